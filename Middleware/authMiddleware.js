@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const dotenv = require("dotenv");
+const pool = require("../db");
 
 dotenv.config();
 
@@ -11,11 +12,45 @@ function authenticateJWT(req, res, next) {
   if (authHeader) {
     const token = authHeader.split(" ")[1];
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
       if (err) {
         return res.sendStatus(403);
       }
 
+      // A valid signature isn't enough: the session the token was issued
+      // for may have been logged out or revoked since, or the account
+      // disabled.
+      if (!user.sid) {
+        return res.status(401).json({ error: "Session has been revoked" });
+      }
+
+      try {
+        const session = await pool.query(
+          `SELECT u.role, u.disabled_at,
+             COALESCE(array_agg(rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions
+           FROM auth_sessions s
+           JOIN users u ON u.id = s.user_id
+           LEFT JOIN role_permissions rp ON rp.role = u.role
+           WHERE s.id = $1 AND s.revoked_at IS NULL
+           GROUP BY u.id`,
+          [user.sid]
+        );
+        if (session.rows.length === 0) {
+          return res.status(401).json({ error: "Session has been revoked" });
+        }
+        if (session.rows[0].disabled_at) {
+          return res.status(403).json({ error: "Account disabled" });
+        }
+
+        // Role and permission changes take effect immediately rather than
+        // when the token expires
+        user.role = session.rows[0].role;
+        user.permissions = session.rows[0].permissions;
+      } catch (error) {
+        console.error("Error checking session:", error);
+        return res.status(500).json({ error: "Failed to authenticate" });
+      }
+
       req.user = user;
       next();
     });
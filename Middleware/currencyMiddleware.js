@@ -0,0 +1,26 @@
+const pool = require("../db");
+const { resolveCurrency } = require("../Services/currency");
+
+// Sets req.currency to the currency the request wants prices in: the
+// `currency` query parameter or body field, or the base currency if neither
+// is given.
+async function requestCurrency(req, res, next) {
+  const code = req.query.currency || (req.body && req.body.currency);
+  if (code !== undefined && (typeof code !== "string" || !/^[A-Za-z]{3}$/.test(code))) {
+    return res.status(400).json({ error: "Currency must be a three-letter currency code" });
+  }
+
+  try {
+    const currency = await resolveCurrency(pool, code);
+    if (!currency) {
+      return res.status(400).json({ error: `Prices are not available in ${code.toUpperCase()}` });
+    }
+    req.currency = currency;
+    next();
+  } catch (error) {
+    console.error("Error resolving currency:", error);
+    res.status(500).json({ error: "Failed to resolve currency" });
+  }
+}
+
+module.exports = requestCurrency;
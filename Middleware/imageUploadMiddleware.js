@@ -0,0 +1,44 @@
+const multer = require("multer");
+const { MAX_IMAGE_BYTES, IMAGE_TOO_LARGE } = require("../Services/imageUploads");
+
+// Files are kept in memory: Services/imageUploads.js checks and re-encodes
+// them before anything is written to the image storage.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+});
+
+// Reads a multipart/form-data body with an optional image file in `field`
+// onto req.file, and its other fields onto req.body. Other requests pass
+// through untouched, so JSON bodies keep working.
+function acceptImageUpload(field = "image") {
+  const single = upload.single(field);
+  return (req, res, next) => {
+    single(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({ error: IMAGE_TOO_LARGE });
+        }
+        if (error.code === "LIMIT_UNEXPECTED_FILE" || error.code === "LIMIT_FILE_COUNT") {
+          return res.status(400).json({ error: `Send one image, in the "${field}" field` });
+        }
+        return res.status(400).json({ error: error.message });
+      }
+      if (error) {
+        return res.status(400).json({ error: "Couldn't read the upload" });
+      }
+      next();
+    });
+  };
+}
+
+// The image a request carries: the uploaded file if there is one, otherwise
+// the `image` string from the body (a data URI or URL). Undefined if neither.
+function requestImage(req) {
+  if (req.file) {
+    return { data: req.file.buffer, contentType: req.file.mimetype };
+  }
+  return req.body.image || undefined;
+}
+
+module.exports = { acceptImageUpload, requestImage };
@@ -0,0 +1,22 @@
+// Must run after authenticateJWT, which loads the permissions of the
+// user's role onto req.user.permissions.
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const granted = req.user.permissions || [];
+    const missing = permissions.filter((permission) => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res
+        .status(403)
+        .json({ message: `Forbidden. Missing permission: ${missing.join(", ")}` });
+    }
+    next();
+  };
+}
+
+// For handlers that change behaviour rather than refuse outright
+function hasPermission(req, permission) {
+  return (req.user.permissions || []).includes(permission);
+}
+
+module.exports = { requirePermission, hasPermission };
@@ -0,0 +1,19 @@
+const pool = require("../db");
+
+// Must run after authenticateJWT
+async function requireVerifiedEmail(req, res, next) {
+  try {
+    const result = await pool.query("SELECT email_verified_at FROM users WHERE id = $1", [req.user.userId]);
+    if (result.rows.length === 0 || !result.rows[0].email_verified_at) {
+      return res
+        .status(403)
+        .json({ message: "Forbidden. Please verify your email address first." });
+    }
+    next();
+  } catch (error) {
+    console.error("Error checking email verification:", error);
+    res.status(500).json({ error: "Failed to check email verification" });
+  }
+}
+
+module.exports = requireVerifiedEmail;
@@ -1,18 +1,18 @@
+const crypto = require("crypto");
 const express = require("express");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
-const dotenv = require("dotenv");
 const { body, validationResult } = require("express-validator");
-
-dotenv.config();
-
-const JWT_SECRET = process.env.JWT_SECRET;
-
-function generateToken(user) {
-  return jwt.sign({ userId: user.id, role: user.role }, JWT_SECRET, {
-    expiresIn: "1h",
-  });
-}
+const authenticateJWT = require("../Middleware/authMiddleware");
+const createMailer = require("../Services/mailer");
+const createLoginThrottle = require("../Services/loginThrottle");
+const { consumeUserToken } = require("../Services/userTokens");
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../Services/accountEmails");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../Services/authTokens");
 
 /**
  * @swagger
@@ -23,6 +23,15 @@ function generateToken(user) {
 
 module.exports = (pool) => {
   const router = express.Router();
+  const mailer = createMailer(pool);
+  const throttle = createLoginThrottle(pool);
+
+  function tooManyAttempts(res, retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+    return res
+      .status(429)
+      .json({ error: `Too many attempts. Try again in ${retryAfter} seconds.` });
+  }
 
   // Routes
 
@@ -30,7 +39,7 @@ module.exports = (pool) => {
    * @swagger
    * /signup:
    *   post:
-   *     summary: Create a new user
+   *     summary: Create a new customer account
    *     tags: [Auth]
    *     requestBody:
    *       required: true
@@ -41,14 +50,11 @@ module.exports = (pool) => {
    *             required:
    *               - email
    *               - password
-   *               - role
    *             properties:
    *               email:
    *                 type: string
    *               password:
    *                 type: string
-   *               role:
-   *                 type: string
    *     responses:
    *       201:
    *         description: User created successfully
@@ -68,6 +74,8 @@ module.exports = (pool) => {
    *                       type: string
    *                     role:
    *                       type: string
+   *       429:
+   *         description: Too many signups from this address; see the Retry-After header
    *       500:
    *         description: Failed to create user
    */
@@ -76,7 +84,6 @@ module.exports = (pool) => {
     [
       body("email").isEmail().withMessage("Invalid email address"),
       body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
-      body("role").isIn(["admin", "customer"]).withMessage("Invalid role"),
     ],
     async (req, res) => {
       const errors = validationResult(req);
@@ -85,19 +92,31 @@ module.exports = (pool) => {
       }
 
       try {
-        const { email, password, role } = req.body;
+        const retryAfter = await throttle.signupRetryAfter(req.ip);
+        if (retryAfter > 0) {
+          return tooManyAttempts(res, retryAfter);
+        }
+
+        const { email, password } = req.body;
 
         // Hash the password
         const hashedPassword = await bcrypt.hash(password, 10); // 10 is the salt rounds
 
-        // Insert user into the database
+        // Self-service accounts are always customers; admins are created by other admins
         const result = await pool.query(
-          "INSERT INTO users (email, password, role) VALUES ($1, $2, $3) RETURNING id, email, role",
-          [email, hashedPassword, role]
+          "INSERT INTO users (email, password, role) VALUES ($1, $2, 'customer') RETURNING id, email, role",
+          [email, hashedPassword]
         );
 
         const user = result.rows[0];
 
+        // The account exists either way; a failed email can be re-sent later
+        try {
+          await sendVerificationEmail(pool, mailer, user);
+        } catch (error) {
+          console.error("Error sending verification email:", error);
+        }
+
         res.status(201).json({ message: "User created successfully", user }); // Send back user details (excluding password).
       } catch (error) {
         console.error(error);
@@ -136,8 +155,16 @@ module.exports = (pool) => {
    *               properties:
    *                 token:
    *                   type: string
+   *                   description: Short-lived access token
+   *                 refreshToken:
+   *                   type: string
+   *                   description: Single-use token for POST /auth/refresh
    *       401:
    *         description: Invalid credentials
+   *       403:
+   *         description: Account disabled or password reset required
+   *       429:
+   *         description: Too many failed attempts for this account or address; see the Retry-After header
    *       500:
    *         description: Login failed
    */
@@ -156,26 +183,44 @@ module.exports = (pool) => {
       try {
         const { email, password } = req.body;
 
+        const retryAfter = await throttle.loginRetryAfter(email, req.ip);
+        if (retryAfter > 0) {
+          return tooManyAttempts(res, retryAfter);
+        }
+
         // Find the user by email
         const result = await pool.query("SELECT * FROM users WHERE email = $1", [
           email,
         ]);
         const user = result.rows[0];
 
+        // Unknown emails count as failures too, so lockouts don't reveal which accounts exist
         if (!user) {
+          await throttle.loginFailed(email, req.ip);
           return res.status(401).json({ error: "Invalid credentials" });
         }
 
         // Compare the password
         const passwordMatch = await bcrypt.compare(password, user.password);
         if (!passwordMatch) {
+          await throttle.loginFailed(email, req.ip);
           return res.status(401).json({ error: "Invalid credentials" });
         }
 
-        // Generate a JWT
-        const token = generateToken(user);
+        await throttle.loginSucceeded(email);
+
+        if (user.disabled_at) {
+          return res.status(403).json({ error: "Account disabled" });
+        }
+
+        if (user.password_reset_required) {
+          return res.status(403).json({ error: "Password reset required. Check your email for a reset link." });
+        }
+
+        // Start a session and hand out its first token pair
+        const { accessToken, refreshToken } = await createSession(pool, user, req.get("user-agent"));
 
-        res.json({ token });
+        res.json({ token: accessToken, refreshToken });
       } catch (error) {
         console.error(error);
         res.status(500).json({ error: "Login failed" });
@@ -183,5 +228,428 @@ module.exports = (pool) => {
     }
   );
 
+  /**
+   * @swagger
+   * /refresh:
+   *   post:
+   *     summary: Exchange a refresh token for a new access/refresh token pair
+   *     description: >
+   *       Refresh tokens are single use. Presenting one that has already been
+   *       exchanged revokes the whole session it belongs to.
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - refreshToken
+   *             properties:
+   *               refreshToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: New token pair
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 token:
+   *                   type: string
+   *                 refreshToken:
+   *                   type: string
+   *       401:
+   *         description: Invalid, expired, reused or revoked refresh token
+   *       500:
+   *         description: Failed to refresh token
+   */
+  router.post(
+    "/refresh",
+    [body("refreshToken").isString().notEmpty().withMessage("Refresh token is required")],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const result = await rotateRefreshToken(pool, req.body.refreshToken);
+        if (result.error) {
+          return res.status(401).json({ error: result.error });
+        }
+
+        res.json({ token: result.accessToken, refreshToken: result.refreshToken });
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: "Failed to refresh token" });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /logout:
+   *   post:
+   *     summary: Log out of the current session
+   *     description: Revokes the session, so its access and refresh tokens stop working.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Logged out
+   *       401:
+   *         description: Unauthorized
+   *       500:
+   *         description: Logout failed
+   */
+  router.post("/logout", authenticateJWT, async (req, res) => {
+    try {
+      await revokeSession(pool, req.user.sid, "logout");
+      res.json({ message: "Logged out" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: "Logout failed" });
+    }
+  });
+
+  /**
+   * @swagger
+   * /logout-all:
+   *   post:
+   *     summary: Log out of every session on every device
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: All sessions revoked
+   *       401:
+   *         description: Unauthorized
+   *       500:
+   *         description: Logout failed
+   */
+  router.post("/logout-all", authenticateJWT, async (req, res) => {
+    try {
+      await revokeAllSessions(pool, req.user.userId, "logout_all");
+      res.json({ message: "Logged out of all devices" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: "Logout failed" });
+    }
+  });
+
+  /**
+   * @swagger
+   * /verify-email:
+   *   post:
+   *     summary: Confirm an email address with the token from the verification email
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Email verified
+   *       400:
+   *         description: Invalid or expired token
+   *       500:
+   *         description: Failed to verify email
+   */
+  router.post(
+    "/verify-email",
+    [body("token").isString().notEmpty().withMessage("Token is required")],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const userId = await consumeUserToken(pool, req.body.token, "email_verification");
+        if (!userId) {
+          return res.status(400).json({ error: "Invalid or expired token" });
+        }
+
+        await pool.query(
+          "UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1",
+          [userId]
+        );
+        res.json({ message: "Email verified" });
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: "Failed to verify email" });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /resend-verification:
+   *   post:
+   *     summary: Send a new email verification link
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Verification email sent
+   *       409:
+   *         description: Email already verified
+   *       500:
+   *         description: Failed to send verification email
+   */
+  router.post("/resend-verification", authenticateJWT, async (req, res) => {
+    try {
+      const result = await pool.query("SELECT id, email, email_verified_at FROM users WHERE id = $1", [
+        req.user.userId,
+      ]);
+      const user = result.rows[0];
+
+      if (user.email_verified_at) {
+        return res.status(409).json({ error: "Email already verified" });
+      }
+
+      await sendVerificationEmail(pool, mailer, user);
+      res.json({ message: "Verification email sent" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ error: "Failed to send verification email" });
+    }
+  });
+
+  /**
+   * @swagger
+   * /forgot-password:
+   *   post:
+   *     summary: Email a password reset link
+   *     description: Always responds the same way so it can't be used to find out which emails have accounts.
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Reset link sent if the account exists
+   *       500:
+   *         description: Failed to send password reset email
+   */
+  router.post(
+    "/forgot-password",
+    [body("email").isEmail().withMessage("Invalid email address")],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const result = await pool.query("SELECT id, email FROM users WHERE email = $1", [req.body.email]);
+        const user = result.rows[0];
+
+        if (user) {
+          await sendPasswordResetEmail(pool, mailer, user);
+        }
+
+        res.json({ message: "If an account exists for that email, a reset link has been sent" });
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: "Failed to send password reset email" });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /reset-password:
+   *   post:
+   *     summary: Set a new password with the token from the reset email
+   *     description: Logs the user out of every existing session.
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - password
+   *             properties:
+   *               token:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Password updated
+   *       400:
+   *         description: Invalid or expired token
+   *       500:
+   *         description: Failed to reset password
+   */
+  router.post(
+    "/reset-password",
+    [
+      body("token").isString().notEmpty().withMessage("Token is required"),
+      body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+
+        const userId = await consumeUserToken(client, req.body.token, "password_reset");
+        if (!userId) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "Invalid or expired token" });
+        }
+
+        const hashedPassword = await bcrypt.hash(req.body.password, 10);
+        // Receiving the email proves ownership of the address as well
+        await client.query(
+          `UPDATE users SET password = $1, password_reset_required = false,
+             email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+           WHERE id = $2`,
+          [hashedPassword, userId]
+        );
+        await revokeAllSessions(client, userId, "password_reset");
+
+        await client.query("COMMIT");
+        res.json({ message: "Password updated" });
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        console.error(error);
+        res.status(500).json({ error: "Failed to reset password" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /bootstrap-admin:
+   *   post:
+   *     summary: Create the first admin account
+   *     description: >
+   *       Only works while no admin exists, and only when the server has
+   *       ADMIN_BOOTSTRAP_TOKEN set and the same value is sent. Further admins
+   *       are promoted through the users API.
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *               - password
+   *               - bootstrapToken
+   *             properties:
+   *               email:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *               bootstrapToken:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Admin created
+   *       403:
+   *         description: Bootstrap disabled, wrong token or an admin already exists
+   *       500:
+   *         description: Failed to create admin
+   */
+  router.post(
+    "/bootstrap-admin",
+    [
+      body("email").isEmail().withMessage("Invalid email address"),
+      body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+      body("bootstrapToken").isString().notEmpty().withMessage("Bootstrap token is required"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const bootstrapToken = process.env.ADMIN_BOOTSTRAP_TOKEN;
+      if (!bootstrapToken || !safeEqual(req.body.bootstrapToken, bootstrapToken)) {
+        return res.status(403).json({ error: "Admin bootstrap is not available" });
+      }
+
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+        // Serialise bootstrap attempts so two requests can't both see "no admin yet"
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('bootstrap-admin'))");
+
+        const admins = await client.query("SELECT 1 FROM users WHERE role = 'admin' LIMIT 1");
+        if (admins.rows.length > 0) {
+          await client.query("ROLLBACK");
+          return res.status(403).json({ error: "Admin bootstrap is not available" });
+        }
+
+        const { email, password } = req.body;
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const result = await client.query(
+          `INSERT INTO users (email, password, role, email_verified_at)
+           VALUES ($1, $2, 'admin', CURRENT_TIMESTAMP) RETURNING id, email, role`,
+          [email, hashedPassword]
+        );
+
+        await client.query("COMMIT");
+        res.status(201).json({ message: "Admin created successfully", user: result.rows[0] });
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        console.error(error);
+        res.status(500).json({ error: "Failed to create admin" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
   return router;
 };
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
@@ -0,0 +1,244 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const requireVerifiedEmail = require('../Middleware/verifiedEmailMiddleware');
+const { RESERVED_FOR_PRODUCT, RESERVED_FOR_VARIANT } = require('../Services/stockReservations');
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Back in stock
+   *   description: >
+   *     "Notify me when available" subscriptions. Subscribers are notified once,
+   *     when stock is added to the product or variant they're waiting for.
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     BackInStockSubscription:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         product_id:
+   *           type: integer
+   *         variant_id:
+   *           type: integer
+   *           nullable: true
+   *         name:
+   *           type: string
+   *         sku:
+   *           type: string
+   *           nullable: true
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   */
+
+  /**
+   * @swagger
+   * /back-in-stock:
+   *   get:
+   *     summary: List the products the customer is waiting for
+   *     tags: [Back in stock]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Subscriptions not yet notified, newest first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/BackInStockSubscription'
+   *       500:
+   *         description: Failed to list back-in-stock subscriptions
+   */
+  router.get('/back-in-stock', authenticateJWT, async (req, res) => {
+    try {
+      const subscriptions = await pool.query(
+        `SELECT s.id, s.product_id, s.variant_id, p.name, v.sku, s.created_at
+         FROM back_in_stock_subscriptions s
+         JOIN products p ON p.id = s.product_id
+         LEFT JOIN product_variants v ON v.id = s.variant_id
+         WHERE s.user_id = $1 AND s.notified_at IS NULL
+         ORDER BY s.created_at DESC, s.id DESC`,
+        [req.user.userId]
+      );
+      res.json(subscriptions.rows);
+    } catch (error) {
+      console.error("Error listing back-in-stock subscriptions:", error);
+      res.status(500).json({ error: 'Failed to list back-in-stock subscriptions' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /products/{productId}/back-in-stock:
+   *   post:
+   *     summary: Ask to be notified when an out-of-stock product is available
+   *     tags: [Back in stock]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               variantId:
+   *                 type: integer
+   *                 description: Required for products with variants
+   *     responses:
+   *       201:
+   *         description: Subscribed
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/BackInStockSubscription'
+   *       400:
+   *         description: The product has variants and no variant was given
+   *       403:
+   *         description: Email address not verified
+   *       404:
+   *         description: Product or variant not found
+   *       409:
+   *         description: The item is in stock, or the customer is already subscribed
+   *       500:
+   *         description: Failed to subscribe
+   */
+  router.post(
+    '/products/:productId/back-in-stock',
+    authenticateJWT,
+    requireVerifiedEmail,
+    [
+      param('productId').isInt().withMessage('Product ID must be an integer').toInt(),
+      body('variantId').optional({ nullable: true }).isInt().withMessage('Variant ID must be an integer').toInt(),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { productId } = req.params;
+      const variantId = req.body.variantId || null;
+
+      try {
+        const product = await pool.query(
+          `SELECT name, (stock - ${RESERVED_FOR_PRODUCT})::int AS available,
+             EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id) AS has_variants
+           FROM products WHERE id = $1`,
+          [productId]
+        );
+        if (product.rows.length === 0) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+        if (product.rows[0].has_variants && !variantId) {
+          return res.status(400).json({ error: 'Choose the variant you want to be notified about' });
+        }
+
+        let available = product.rows[0].available;
+        let sku = null;
+        if (variantId) {
+          const variant = await pool.query(
+            `SELECT sku, (stock - ${RESERVED_FOR_VARIANT})::int AS available
+             FROM product_variants WHERE id = $1 AND product_id = $2`,
+            [variantId, productId]
+          );
+          if (variant.rows.length === 0) {
+            return res.status(404).json({ message: 'Variant not found' });
+          }
+          ({ available, sku } = variant.rows[0]);
+        }
+        if (available > 0) {
+          return res.status(409).json({ error: 'This item is in stock' });
+        }
+
+        const subscription = await pool.query(
+          `INSERT INTO back_in_stock_subscriptions (user_id, product_id, variant_id) VALUES ($1, $2, $3)
+           RETURNING id, product_id, variant_id, created_at`,
+          [req.user.userId, productId, variantId]
+        );
+        res.status(201).json({ ...subscription.rows[0], name: product.rows[0].name, sku });
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: "You'll already be notified when this item is available" });
+        }
+        console.error("Error subscribing to back-in-stock notifications:", error);
+        res.status(500).json({ error: 'Failed to subscribe' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{productId}/back-in-stock:
+   *   delete:
+   *     summary: Stop waiting for a product
+   *     tags: [Back in stock]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Unsubscribed
+   *       404:
+   *         description: Not subscribed
+   *       500:
+   *         description: Failed to unsubscribe
+   */
+  router.delete(
+    '/products/:productId/back-in-stock',
+    authenticateJWT,
+    [
+      param('productId').isInt().withMessage('Product ID must be an integer'),
+      query('variantId').optional().isInt().withMessage('Variant ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const deleted = await pool.query(
+          `DELETE FROM back_in_stock_subscriptions
+           WHERE user_id = $1 AND product_id = $2 AND COALESCE(variant_id, 0) = COALESCE($3::int, 0) AND notified_at IS NULL
+           RETURNING id`,
+          [req.user.userId, req.params.productId, req.query.variantId || null]
+        );
+        if (deleted.rows.length === 0) {
+          return res.status(404).json({ message: 'Subscription not found' });
+        }
+        res.json({ message: 'Unsubscribed successfully' });
+      } catch (error) {
+        console.error("Error unsubscribing from back-in-stock notifications:", error);
+        res.status(500).json({ error: 'Failed to unsubscribe' });
+      }
+    }
+  );
+
+  return router;
+};
@@ -1,9 +1,16 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const authenticateJWT = require('../Middleware/authMiddleware');
+const requestCurrency = require('../Middleware/currencyMiddleware');
+const { addCartItem, priceCart } = require('../Services/cart');
+const { normalizeCode, priceCartLines, calculateDiscounts } = require('../Services/promotions');
+const { releaseReservations } = require('../Services/stockReservations');
+const { sendStockNotifications } = require('../Services/stockNotifications');
+const createNotifier = require('../Services/notifier');
 
 module.exports = (pool) => {
   const router = express.Router();
+  const notifier = createNotifier(pool);
 
   /**
    * @swagger
@@ -12,6 +19,28 @@ module.exports = (pool) => {
    *   description: Cart related routes
    */
 
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     DiscountLine:
+   *       type: object
+   *       properties:
+   *         promotionId:
+   *           type: integer
+   *         code:
+   *           type: string
+   *           nullable: true
+   *           description: The coupon code, or null for an automatic promotion
+   *         name:
+   *           type: string
+   *         type:
+   *           type: string
+   *           enum: [percentage, fixed_amount, free_shipping, buy_x_get_y]
+   *         amount:
+   *           type: number
+   */
+
   /**
    * @swagger
    * /cart:
@@ -20,9 +49,11 @@ module.exports = (pool) => {
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/Currency'
    *     responses:
    *       200:
-   *         description: The user's cart
+   *         description: The user's cart, priced at current prices with any promotions applied
    *         content:
    *           application/json:
    *             schema:
@@ -37,16 +68,45 @@ module.exports = (pool) => {
    *                     properties:
    *                       productId:
    *                         type: integer
+   *                       variantId:
+   *                         type: integer
    *                       quantity:
    *                         type: integer
    *                       price:
    *                         type: number
-   *                 totalPrice:
+   *                       reservedUntil:
+   *                         type: string
+   *                         format: date-time
+   *                         nullable: true
+   *                         description: When the stock held for this line is released; null once it has been
+   *                 coupon_code:
+   *                   type: string
+   *                   nullable: true
+   *                 currency:
+   *                   type: string
+   *                   example: EUR
+   *                 subtotal:
    *                   type: number
+   *                 discounts:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/DiscountLine'
+   *                 discountTotal:
+   *                   type: number
+   *                 total:
+   *                   type: number
+   *                 freeShipping:
+   *                   type: boolean
+   *                 couponError:
+   *                   type: string
+   *                   nullable: true
+   *                   description: Why the applied coupon currently takes nothing off
+   *       400:
+   *         description: Prices are not available in that currency
    *       500:
    *         description: Failed to get cart
    */
-  router.get('/', authenticateJWT, async (req, res) => {
+  router.get('/', authenticateJWT, requestCurrency, async (req, res) => {
     try {
       const userId = req.user.userId;
       const cart = await pool.query('SELECT * FROM carts WHERE user_id = $1', [userId]);
@@ -55,11 +115,11 @@ module.exports = (pool) => {
         // Create cart if it doesn't exist
         await pool.query('INSERT INTO carts (user_id) VALUES ($1)', [userId]);
         const newCart = await pool.query('SELECT * FROM carts WHERE user_id = $1', [userId]);
-        res.json(newCart.rows[0]);
+        res.json(await priceCart(pool, newCart.rows[0], req.currency));
         return;
       }
 
-      res.json(cart.rows[0]);
+      res.json(await priceCart(pool, cart.rows[0], req.currency));
     } catch (error) {
       console.error("Error getting cart:", error);
       res.status(500).json({ error: 'Failed to get cart' });
@@ -71,6 +131,9 @@ module.exports = (pool) => {
    * /cart:
    *   post:
    *     summary: Add an item to the cart
+   *     description: >
+   *       Holds the stock for the whole cart line for CART_RESERVATION_MINUTES
+   *       (15 by default), restarting the timer if the line was already held.
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
@@ -86,6 +149,9 @@ module.exports = (pool) => {
    *             properties:
    *               productId:
    *                 type: integer
+   *               variantId:
+   *                 type: integer
+   *                 description: Required for products that have variants
    *               quantity:
    *                 type: integer
    *     responses:
@@ -100,8 +166,15 @@ module.exports = (pool) => {
    *                   type: string
    *                 totalPrice:
    *                   type: number
+   *                 reservedUntil:
+   *                   type: string
+   *                   format: date-time
+   *       400:
+   *         description: Product has variants and no variant was chosen
    *       404:
-   *         description: Product not found
+   *         description: Product or variant not found
+   *       409:
+   *         description: Not enough stock available to hold the cart line
    *       500:
    *         description: Failed to add to cart
    */
@@ -109,8 +182,9 @@ module.exports = (pool) => {
     '/',
     authenticateJWT,
     [
-      body('productId').isInt().withMessage('Product ID must be an integer'),
-      body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+      body('productId').isInt().withMessage('Product ID must be an integer').toInt(),
+      body('variantId').optional().isInt().withMessage('Variant ID must be an integer').toInt(),
+      body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
     ],
     async (req, res) => {
       const errors = validationResult(req);
@@ -118,50 +192,144 @@ module.exports = (pool) => {
         return res.status(400).json({ errors: errors.array() });
       }
 
+      let client;
       try {
+        client = await pool.connect();
         const userId = req.user.userId;
-        const { productId, quantity } = req.body;
+        const { productId, variantId, quantity } = req.body;
 
-        // Get product details to calculate price
-        const product = await pool.query('SELECT price FROM products WHERE id = $1', [productId]);
-        if (product.rows.length === 0) {
-          return res.status(404).json({ message: 'Product not found' });
+        await client.query('BEGIN');
+        const result = await addCartItem(client, userId, { productId, variantId, quantity });
+        if (result.error) {
+          await client.query('ROLLBACK');
+          return res.status(result.status).json(result.status === 404 ? { message: result.error } : { error: result.error });
         }
-        const price = parseFloat(product.rows[0].price); // Important: Parse to a number
-        const itemPrice = price * quantity;
+        await client.query('COMMIT');
 
-        const cartResult = await pool.query('SELECT * FROM carts WHERE user_id = $1', [userId]);
-        const cartItems = cartResult.rows[0].items || [];
-
-        // Add or update item in cart
-        const existingItemIndex = cartItems.findIndex(item => item.productId === productId);
-        if (existingItemIndex > -1) {
-          cartItems[existingItemIndex].quantity += quantity;
-        } else {
-          cartItems.push({ productId, quantity, price: itemPrice });
+        res.json({ message: 'Item added to cart', totalPrice: result.totalPrice, reservedUntil: result.reservedUntil });
+      } catch (error) {
+        if (client) {
+          await client.query('ROLLBACK');
         }
+        console.error("Error adding to cart:", error);
+        res.status(500).json({ error: 'Failed to add to cart' });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
 
-        // Calculate total price
-        const totalPrice = cartItems.reduce((sum, item) => sum + item.price, 0);
+  /**
+   * @swagger
+   * /cart/coupon:
+   *   post:
+   *     summary: Apply a coupon code to the cart
+   *     description: >
+   *       Replaces any coupon already applied. The code is checked against the
+   *       current cart and checked again at checkout.
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/Currency'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Coupon applied; returns the re-priced cart (see GET /cart)
+   *       400:
+   *         description: The coupon can't be used on this cart, or prices are not available in that currency
+   *       404:
+   *         description: Coupon code not found
+   *       500:
+   *         description: Failed to apply coupon
+   */
+  router.post(
+    '/coupon',
+    authenticateJWT,
+    requestCurrency,
+    [body('code').isString().trim().notEmpty().withMessage('Code is required')],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-        await pool.query(
-          'UPDATE carts SET items = $1 WHERE user_id = $2',
-          [JSON.stringify(cartItems), userId]
-        );
+      try {
+        const userId = req.user.userId;
+        const code = normalizeCode(req.body.code);
 
-        res.json({ message: 'Item added to cart', totalPrice: totalPrice });
+        let cart = await pool.query('SELECT * FROM carts WHERE user_id = $1', [userId]);
+        if (cart.rows.length === 0) {
+          cart = await pool.query('INSERT INTO carts (user_id) VALUES ($1) RETURNING *', [userId]);
+        }
+
+        const coupon = await pool.query('SELECT id FROM promotions WHERE code = $1', [code]);
+        if (coupon.rows.length === 0) {
+          return res.status(404).json({ message: 'Coupon code not found' });
+        }
+
+        const lines = await priceCartLines(pool, cart.rows[0].items || [], req.currency);
+        const pricing = await calculateDiscounts(pool, { lines, userId, code, currency: req.currency });
+        if (pricing.couponError) {
+          return res.status(400).json({ error: pricing.couponError });
+        }
+
+        const updated = await pool.query('UPDATE carts SET coupon_code = $1 WHERE user_id = $2 RETURNING *', [code, userId]);
+        res.json(await priceCart(pool, updated.rows[0], req.currency));
       } catch (error) {
-        console.error("Error adding to cart:", error);
-        res.status(500).json({ error: 'Failed to add to cart' });
+        console.error("Error applying coupon:", error);
+        res.status(500).json({ error: 'Failed to apply coupon' });
       }
     }
   );
 
+  /**
+   * @swagger
+   * /cart/coupon:
+   *   delete:
+   *     summary: Remove the coupon from the cart
+   *     tags: [Cart]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - $ref: '#/components/parameters/Currency'
+   *     responses:
+   *       200:
+   *         description: Coupon removed; returns the re-priced cart (see GET /cart)
+   *       500:
+   *         description: Failed to remove coupon
+   */
+  router.delete('/coupon', authenticateJWT, requestCurrency, async (req, res) => {
+    try {
+      const cart = await pool.query('UPDATE carts SET coupon_code = NULL WHERE user_id = $1 RETURNING *', [req.user.userId]);
+      if (cart.rows.length === 0) {
+        return res.json({ message: 'Coupon removed' });
+      }
+      res.json(await priceCart(pool, cart.rows[0], req.currency));
+    } catch (error) {
+      console.error("Error removing coupon:", error);
+      res.status(500).json({ error: 'Failed to remove coupon' });
+    }
+  });
+
   /**
    * @swagger
    * /cart/{productId}:
    *   delete:
    *     summary: Remove an item from the cart
+   *     description: Releases the stock held for the removed lines.
    *     tags: [Cart]
    *     security:
    *       - bearerAuth: []
@@ -172,6 +340,11 @@ module.exports = (pool) => {
    *           type: integer
    *         required: true
    *         description: The ID of the product to remove
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *         description: Only remove this variant of the product (default is every variant)
    *     responses:
    *       200:
    *         description: Item removed from cart
@@ -192,6 +365,7 @@ module.exports = (pool) => {
     authenticateJWT,
     [
       param('productId').isInt().withMessage('Product ID must be an integer'),
+      query('variantId').optional().isInt().withMessage('Variant ID must be an integer'),
     ],
     async (req, res) => {
       const errors = validationResult(req);
@@ -206,7 +380,11 @@ module.exports = (pool) => {
         const cartResult = await pool.query('SELECT * FROM carts WHERE user_id = $1', [userId]);
         let cartItems = cartResult.rows[0].items || [];
 
-        cartItems = cartItems.filter(item => item.productId !== productId);
+        const variantId = req.query.variantId ? parseInt(req.query.variantId, 10) : null;
+
+        cartItems = cartItems.filter(
+          item => item.productId !== productId || (variantId !== null && item.variantId !== variantId)
+        );
 
         // Recalculate total price
         const totalPrice = cartItems.reduce((sum, item) => sum + item.price, 0);
@@ -215,6 +393,8 @@ module.exports = (pool) => {
           'UPDATE carts SET items = $1 WHERE user_id = $2',
           [JSON.stringify(cartItems), userId]
         );
+        const released = await releaseReservations(pool, userId, { productId, variantId });
+        await sendStockNotifications(pool, notifier, released);
 
         res.json({ message: 'Item removed from cart', totalPrice: totalPrice });
       } catch (error) {
@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission } = require('../Middleware/permissionMiddleware');
+const { descendantIdsSql, ancestorPathSql, buildTree } = require('../Services/categoryTree');
 
 module.exports = (pool) => {
   const router = express.Router();
@@ -12,6 +14,28 @@ module.exports = (pool) => {
    *   description: Categories related routes
    */
 
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     CategoryNode:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         name:
+   *           type: string
+   *         description:
+   *           type: string
+   *         parent_id:
+   *           type: integer
+   *           nullable: true
+   *         children:
+   *           type: array
+   *           items:
+   *             $ref: '#/components/schemas/CategoryNode'
+   */
+
   /**
    * @swagger
    * /categories:
@@ -34,6 +58,9 @@ module.exports = (pool) => {
    *                     type: string
    *                   description:
    *                     type: string
+   *                   parent_id:
+   *                     type: integer
+   *                     nullable: true
    *       500:
    *         description: Failed to get categories
    */
@@ -47,6 +74,159 @@ module.exports = (pool) => {
     }
   });
 
+  /**
+   * @swagger
+   * /categories/tree:
+   *   get:
+   *     summary: Get every category as a nested tree
+   *     tags: [Categories]
+   *     responses:
+   *       200:
+   *         description: Top-level categories, each with its children nested below it
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/CategoryNode'
+   *       500:
+   *         description: Failed to get category tree
+   */
+  router.get('/tree', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT id, name, description, parent_id FROM categories ORDER BY name');
+      res.json(buildTree(result.rows));
+    } catch (error) {
+      console.error("Error getting category tree:", error);
+      res.status(500).json({ error: 'Failed to get category tree' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /categories/{id}/path:
+   *   get:
+   *     summary: Get the breadcrumb path from the top-level category down to this one
+   *     tags: [Categories]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the category
+   *     responses:
+   *       200:
+   *         description: Categories from the root to this category, root first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *                 properties:
+   *                   id:
+   *                     type: integer
+   *                   name:
+   *                     type: string
+   *                   description:
+   *                     type: string
+   *                   parent_id:
+   *                     type: integer
+   *       404:
+   *         description: Category not found
+   *       500:
+   *         description: Failed to get category path
+   */
+  router.get(
+    '/:id/path',
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const result = await pool.query(ancestorPathSql(1), [req.params.id]);
+        if (result.rows.length === 0) {
+          return res.status(404).json({ message: 'Category not found' });
+        }
+        res.json(result.rows);
+      } catch (error) {
+        console.error("Error getting category path:", error);
+        res.status(500).json({ error: 'Failed to get category path' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /categories/{id}/children:
+   *   get:
+   *     summary: Get the direct subcategories of a category
+   *     tags: [Categories]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the category
+   *     responses:
+   *       200:
+   *         description: List of subcategories
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *                 properties:
+   *                   id:
+   *                     type: integer
+   *                   name:
+   *                     type: string
+   *                   description:
+   *                     type: string
+   *                   parent_id:
+   *                     type: integer
+   *       404:
+   *         description: Category not found
+   *       500:
+   *         description: Failed to get subcategories
+   */
+  router.get(
+    '/:id/children',
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { id } = req.params;
+        const category = await pool.query('SELECT 1 FROM categories WHERE id = $1', [id]);
+        if (category.rows.length === 0) {
+          return res.status(404).json({ message: 'Category not found' });
+        }
+        const result = await pool.query(
+          'SELECT id, name, description, parent_id FROM categories WHERE parent_id = $1 ORDER BY name',
+          [id]
+        );
+        res.json(result.rows);
+      } catch (error) {
+        console.error("Error getting subcategories:", error);
+        res.status(500).json({ error: 'Failed to get subcategories' });
+      }
+    }
+  );
+
   /**
    * @swagger
    * /categories:
@@ -68,6 +248,9 @@ module.exports = (pool) => {
    *                 type: string
    *               description:
    *                 type: string
+   *               parent_id:
+   *                 type: integer
+   *                 description: Leave out for a top-level category
    *     responses:
    *       201:
    *         description: Category created successfully
@@ -82,15 +265,19 @@ module.exports = (pool) => {
    *                   type: string
    *                 description:
    *                   type: string
+   *       400:
+   *         description: Parent category not found
    *       500:
    *         description: Failed to create category
    */
   router.post(
     '/',
     authenticateJWT,
+    requirePermission('categories:write'),
     [
       body('name').notEmpty().withMessage('Name is required'),
       body('description').optional().isString().withMessage('Description must be a string'),
+      body('parent_id').optional({ nullable: true }).isInt().withMessage('Parent ID must be an integer'),
     ],
     async (req, res) => {
       const errors = validationResult(req);
@@ -99,13 +286,16 @@ module.exports = (pool) => {
       }
 
       try {
-        const { name, description } = req.body;
+        const { name, description, parent_id = null } = req.body;
         const result = await pool.query(
-          'INSERT INTO categories (name, description) VALUES ($1, $2) RETURNING id, name, description',
-          [name, description]
+          'INSERT INTO categories (name, description, parent_id) VALUES ($1, $2, $3) RETURNING id, name, description, parent_id',
+          [name, description, parent_id]
         );
         res.status(201).json(result.rows[0]);
       } catch (error) {
+        if (error.code === '23503') {
+          return res.status(400).json({ error: 'Parent category not found' });
+        }
         console.error("Error creating category:", error);
         res.status(500).json({ error: 'Failed to create category' });
       }
@@ -158,6 +348,7 @@ module.exports = (pool) => {
   router.put(
     '/:id',
     authenticateJWT,
+    requirePermission('categories:write'),
     [
       param('id').isInt().withMessage('ID must be an integer'),
       body('name').optional().isString().withMessage('Name must be a string'),
@@ -173,7 +364,7 @@ module.exports = (pool) => {
         const { id } = req.params;
         const { name, description } = req.body;
         const result = await pool.query(
-          'UPDATE categories SET name = $1, description = $2 WHERE id = $3 RETURNING id, name, description',
+          'UPDATE categories SET name = $1, description = $2 WHERE id = $3 RETURNING id, name, description, parent_id',
           [name, description, id]
         );
         res.json(result.rows[0]);
@@ -209,12 +400,15 @@ module.exports = (pool) => {
    *               properties:
    *                 message:
    *                   type: string
+   *       409:
+   *         description: Category still has subcategories or products
    *       500:
    *         description: Failed to delete category
    */
   router.delete(
     '/:id',
     authenticateJWT,
+    requirePermission('categories:delete'),
     [
       param('id').isInt().withMessage('ID must be an integer'),
     ],
@@ -229,21 +423,132 @@ module.exports = (pool) => {
         await pool.query('DELETE FROM categories WHERE id = $1', [id]);
         res.json({ message: 'Category deleted successfully' });
       } catch (error) {
+        if (error.code === '23503') {
+          return res.status(409).json({ error: 'Category still has subcategories or products; move them first' });
+        }
         console.error("Error deleting category:", error);
         res.status(500).json({ error: 'Failed to delete category' });
       }
     }
   );
 
+  /**
+   * @swagger
+   * /categories/{id}/move:
+   *   post:
+   *     summary: Move a category (and everything below it) under a new parent
+   *     tags: [Categories]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the category to move
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - parent_id
+   *             properties:
+   *               parent_id:
+   *                 type: integer
+   *                 nullable: true
+   *                 description: null to make it a top-level category
+   *     responses:
+   *       200:
+   *         description: Category moved
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 id:
+   *                   type: integer
+   *                 name:
+   *                   type: string
+   *                 description:
+   *                   type: string
+   *                 parent_id:
+   *                   type: integer
+   *       400:
+   *         description: Parent category not found
+   *       404:
+   *         description: Category not found
+   *       409:
+   *         description: The new parent is the category itself or one of its descendants
+   *       500:
+   *         description: Failed to move category
+   */
+  router.post(
+    '/:id/move',
+    authenticateJWT,
+    requirePermission('categories:write'),
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+      body('parent_id').custom(value => value === null || Number.isInteger(value)).withMessage('Parent ID must be an integer or null'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const id = parseInt(req.params.id, 10);
+      const parentId = req.body.parent_id;
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        // Two concurrent moves could each pass the cycle check and still
+        // create a loop together, so moves are done one at a time.
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('category-tree'))");
+
+        const category = await client.query('SELECT 1 FROM categories WHERE id = $1', [id]);
+        if (category.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ message: 'Category not found' });
+        }
+
+        if (parentId !== null) {
+          const parent = await client.query('SELECT 1 FROM categories WHERE id = $1', [parentId]);
+          if (parent.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Parent category not found' });
+          }
+
+          const subtree = await client.query(`SELECT 1 FROM (${descendantIdsSql(1)}) AS d WHERE d.id = $2`, [[id], parentId]);
+          if (subtree.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'A category cannot be moved under itself or one of its subcategories' });
+          }
+        }
+
+        const result = await client.query(
+          'UPDATE categories SET parent_id = $1 WHERE id = $2 RETURNING id, name, description, parent_id',
+          [parentId, id]
+        );
+
+        await client.query('COMMIT');
+        res.json(result.rows[0]);
+      } catch (error) {
+        if (client) {
+          await client.query('ROLLBACK');
+        }
+        console.error("Error moving category:", error);
+        res.status(500).json({ error: 'Failed to move category' });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
   return router;
 };
-
-// Example authorizeAdmin middleware
-function authorizeAdmin(req, res, next) {
-  if (req.user.role !== "admin") {
-    return res
-      .status(403)
-      .json({ message: "Forbidden. Admin access required." });
-  }
-  next();
-}
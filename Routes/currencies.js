@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission } = require('../Middleware/permissionMiddleware');
+const { baseCurrency } = require('../Services/currency');
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Currencies
+   *   description: >
+   *     The currencies prices can be shown and charged in. Catalog prices,
+   *     promotion amounts and shipping rates are set in the base currency
+   *     (BASE_CURRENCY) and converted at these rates, rounded half-up to the
+   *     currency's minor unit per unit price.
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   parameters:
+   *     Currency:
+   *       in: query
+   *       name: currency
+   *       schema:
+   *         type: string
+   *         example: EUR
+   *       description: Three-letter code of the currency to price in; the base currency by default
+   *   schemas:
+   *     ExchangeRate:
+   *       type: object
+   *       properties:
+   *         currency:
+   *           type: string
+   *           example: EUR
+   *         rate:
+   *           type: number
+   *           description: Units of this currency per unit of the base currency
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   */
+
+  /**
+   * @swagger
+   * /currencies:
+   *   get:
+   *     summary: List the currencies prices are available in
+   *     tags: [Currencies]
+   *     responses:
+   *       200:
+   *         description: The base currency and the exchange rates to the others
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 base:
+   *                   type: string
+   *                   example: USD
+   *                 rates:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ExchangeRate'
+   *       500:
+   *         description: Failed to list currencies
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const rates = await pool.query('SELECT * FROM exchange_rates ORDER BY currency');
+      res.json({ base: baseCurrency(), rates: rates.rows });
+    } catch (error) {
+      console.error("Error listing currencies:", error);
+      res.status(500).json({ error: 'Failed to list currencies' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /currencies/{currency}:
+   *   put:
+   *     summary: Add a currency or change its exchange rate
+   *     description: Orders already placed keep the rate they were placed at.
+   *     tags: [Currencies]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: currency
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - rate
+   *             properties:
+   *               rate:
+   *                 type: number
+   *                 description: Units of this currency per unit of the base currency
+   *     responses:
+   *       200:
+   *         description: Exchange rate saved
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ExchangeRate'
+   *       400:
+   *         description: Invalid currency or rate, or the currency is the base currency
+   *       403:
+   *         description: Forbidden. Requires the pricing:manage permission.
+   *       500:
+   *         description: Failed to save exchange rate
+   */
+  router.put(
+    '/:currency',
+    authenticateJWT,
+    requirePermission('pricing:manage'),
+    [
+      param('currency').toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 currency code'),
+      body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { currency } = req.params;
+      if (currency === baseCurrency()) {
+        return res.status(400).json({ error: `${currency} is the base currency` });
+      }
+
+      try {
+        const rate = await pool.query(
+          `INSERT INTO exchange_rates (currency, rate) VALUES ($1, $2)
+           ON CONFLICT (currency) DO UPDATE SET rate = EXCLUDED.rate, updated_at = CURRENT_TIMESTAMP
+           RETURNING *`,
+          [currency, req.body.rate]
+        );
+        res.json(rate.rows[0]);
+      } catch (error) {
+        console.error("Error saving exchange rate:", error);
+        res.status(500).json({ error: 'Failed to save exchange rate' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /currencies/{currency}:
+   *   delete:
+   *     summary: Stop selling in a currency
+   *     description: Also deletes the products' price overrides in that currency.
+   *     tags: [Currencies]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: currency
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Currency removed
+   *       404:
+   *         description: Currency not found
+   *       500:
+   *         description: Failed to remove currency
+   */
+  router.delete('/:currency', authenticateJWT, requirePermission('pricing:manage'), async (req, res) => {
+    try {
+      const rate = await pool.query('DELETE FROM exchange_rates WHERE currency = $1 RETURNING currency', [
+        req.params.currency.toUpperCase(),
+      ]);
+      if (rate.rows.length === 0) {
+        return res.status(404).json({ message: 'Currency not found' });
+      }
+      res.json({ message: 'Currency removed successfully' });
+    } catch (error) {
+      console.error("Error removing currency:", error);
+      res.status(500).json({ error: 'Failed to remove currency' });
+    }
+  });
+
+  return router;
+};
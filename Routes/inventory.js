@@ -0,0 +1,582 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission } = require('../Middleware/permissionMiddleware');
+const { MOVEMENT_TYPES, LEDGER_DISCREPANCIES, recordMovement, setStockLevel } = require('../Services/inventory');
+const createNotifier = require('../Services/notifier');
+const { sendStockNotifications } = require('../Services/stockNotifications');
+
+// Sales are only ever recorded by checkout
+const POSTABLE_TYPES = MOVEMENT_TYPES.filter(type => type !== 'sale');
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const notifier = createNotifier(pool);
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Inventory
+   *   description: >
+   *     The stock ledger. Every change to a product's or variant's stock is a
+   *     movement: receipts of new stock, sales at checkout, returns from
+   *     cancelled orders, manual adjustments (damage, loss, samples) and
+   *     corrections after a stock count. Stock is the sum of its movements, and
+   *     movements can't be edited or deleted.
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     StockMovement:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         product_id:
+   *           type: integer
+   *         variant_id:
+   *           type: integer
+   *           nullable: true
+   *           description: null for the product's own stock
+   *         type:
+   *           type: string
+   *           enum: [receipt, sale, return, adjustment, correction]
+   *         quantity:
+   *           type: integer
+   *           description: Units added, negative for units taken away
+   *         balance_after:
+   *           type: integer
+   *         reason:
+   *           type: string
+   *           nullable: true
+   *         reference:
+   *           type: string
+   *           nullable: true
+   *           description: Free text such as a delivery note or count sheet number
+   *         order_id:
+   *           type: integer
+   *           nullable: true
+   *           description: The order a sale or return belongs to
+   *         actor_id:
+   *           type: integer
+   *           nullable: true
+   *         actor_email:
+   *           type: string
+   *           nullable: true
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   */
+
+  /**
+   * @swagger
+   * /inventory/products/{productId}/movements:
+   *   get:
+   *     summary: View a product's stock movement history
+   *     description: >
+   *       Newest first. Also returns the stock of the product and each of its
+   *       variants next to the sum of their movements, which should always agree.
+   *     tags: [Inventory]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *         description: Only this variant's movements
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [receipt, sale, return, adjustment, correction]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *         description: Number of movements per page (max 100)
+   *     responses:
+   *       200:
+   *         description: The product's movements
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 levels:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       variantId:
+   *                         type: integer
+   *                         nullable: true
+   *                       sku:
+   *                         type: string
+   *                         nullable: true
+   *                       stock:
+   *                         type: integer
+   *                       ledgerStock:
+   *                         type: integer
+   *                 movements:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/StockMovement'
+   *                 totalCount:
+   *                   type: integer
+   *                 currentPage:
+   *                   type: integer
+   *                 totalPages:
+   *                   type: integer
+   *       403:
+   *         description: Forbidden. Requires the inventory:manage permission.
+   *       404:
+   *         description: Product not found
+   *       500:
+   *         description: Failed to get stock movements
+   */
+  router.get(
+    '/products/:productId/movements',
+    authenticateJWT,
+    requirePermission('inventory:manage'),
+    [
+      param('productId').isInt().withMessage('Product ID must be an integer'),
+      query('variantId').optional().isInt().withMessage('Variant ID must be an integer'),
+      query('type').optional().isIn(MOVEMENT_TYPES).withMessage(`Type must be one of: ${MOVEMENT_TYPES.join(', ')}`),
+      query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { productId } = req.params;
+        const { variantId, type, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const levels = await pool.query(
+          `SELECT NULL::int AS "variantId", NULL AS sku, p.stock,
+             (SELECT COALESCE(SUM(m.quantity), 0)::int FROM stock_movements m
+              WHERE m.product_id = p.id AND m.variant_id IS NULL) AS "ledgerStock"
+           FROM products p WHERE p.id = $1
+           UNION ALL
+           SELECT v.id, v.sku, v.stock,
+             (SELECT COALESCE(SUM(m.quantity), 0)::int FROM stock_movements m WHERE m.variant_id = v.id)
+           FROM product_variants v WHERE v.product_id = $1`,
+          [productId]
+        );
+        if (levels.rows.length === 0) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const conditions = ['m.product_id = $1'];
+        const values = [productId];
+        if (variantId !== undefined) {
+          values.push(variantId);
+          conditions.push(`m.variant_id = $${values.length}`);
+        }
+        if (type) {
+          values.push(type);
+          conditions.push(`m.type = $${values.length}`);
+        }
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        const movements = await pool.query(
+          `SELECT m.*, u.email AS actor_email
+           FROM stock_movements m LEFT JOIN users u ON u.id = m.actor_id
+           ${whereClause}
+           ORDER BY m.created_at DESC, m.id DESC
+           LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+          [...values, limit, offset]
+        );
+        const totalCountResult = await pool.query(`SELECT COUNT(*) FROM stock_movements m ${whereClause}`, values);
+        const totalCount = parseInt(totalCountResult.rows[0].count, 10);
+
+        res.json({
+          levels: levels.rows,
+          movements: movements.rows,
+          totalCount: totalCount,
+          currentPage: parseInt(page, 10),
+          totalPages: Math.ceil(totalCount / limit),
+        });
+      } catch (error) {
+        console.error("Error getting stock movements:", error);
+        res.status(500).json({ error: 'Failed to get stock movements' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /inventory/products/{productId}/movements:
+   *   post:
+   *     summary: Record a stock movement
+   *     description: >
+   *       Receipts and returns add stock. Adjustments add or take away
+   *       `quantity` units. Corrections take either `quantity` or, after a stock
+   *       count, `countedStock`, and record the difference. Adjustments and
+   *       corrections need a reason. Sales are recorded by checkout only.
+   *     tags: [Inventory]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - type
+   *             properties:
+   *               type:
+   *                 type: string
+   *                 enum: [receipt, return, adjustment, correction]
+   *               variantId:
+   *                 type: integer
+   *                 description: The variant whose stock moved; leave out for products without variants
+   *               quantity:
+   *                 type: integer
+   *                 description: Units added, negative for units taken away
+   *               countedStock:
+   *                 type: integer
+   *                 description: Corrections only; the stock found by a count
+   *               reason:
+   *                 type: string
+   *               reference:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: The count matches the current stock, so nothing was recorded
+   *       201:
+   *         description: Movement recorded
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/StockMovement'
+   *       400:
+   *         description: Invalid movement
+   *       403:
+   *         description: Forbidden. Requires the inventory:manage permission.
+   *       404:
+   *         description: Product or variant not found
+   *       409:
+   *         description: The movement would take stock below zero
+   *       500:
+   *         description: Failed to record stock movement
+   */
+  router.post(
+    '/products/:productId/movements',
+    authenticateJWT,
+    requirePermission('inventory:manage'),
+    [
+      param('productId').isInt().withMessage('Product ID must be an integer').toInt(),
+      body('type').isIn(POSTABLE_TYPES).withMessage(`Type must be one of: ${POSTABLE_TYPES.join(', ')}`),
+      body('variantId').optional({ nullable: true }).isInt().withMessage('Variant ID must be an integer').toInt(),
+      body('quantity')
+        .optional()
+        .isInt().withMessage('Quantity must be a non-zero integer')
+        .not().equals('0').withMessage('Quantity must be a non-zero integer')
+        .toInt(),
+      body('countedStock').optional().isInt({ min: 0 }).withMessage('Counted stock must be a non-negative integer').toInt(),
+      body('reason').optional().isString().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+      body('reference').optional().isString().trim().isLength({ max: 100 }).withMessage('Reference must be at most 100 characters'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { productId } = req.params;
+      const { type, variantId = null, quantity, countedStock, reason, reference } = req.body;
+
+      if (countedStock !== undefined && type !== 'correction') {
+        return res.status(400).json({ error: 'Only corrections can be given a counted stock' });
+      }
+      if ((quantity === undefined) === (countedStock === undefined)) {
+        return res.status(400).json({ error: 'Give either a quantity or a counted stock' });
+      }
+      if ((type === 'receipt' || type === 'return') && quantity < 0) {
+        return res.status(400).json({ error: `A ${type} must add stock` });
+      }
+      if ((type === 'adjustment' || type === 'correction') && !reason) {
+        return res.status(400).json({ error: `A reason is required for ${type}s` });
+      }
+
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const details = { reason: reason || null, reference: reference || null, actorId: req.user.userId };
+        const recorded = countedStock !== undefined
+          ? await setStockLevel(client, { productId, variantId }, countedStock, details)
+          : await recordMovement(client, { productId, variantId, type, quantity, ...details });
+        if (recorded.error) {
+          await client.query('ROLLBACK');
+          return recorded.status === 404
+            ? res.status(404).json({ message: recorded.error })
+            : res.status(recorded.status).json({ error: recorded.error });
+        }
+
+        await client.query('COMMIT');
+        await sendStockNotifications(pool, notifier, [{ productId, variantId }]);
+        if (!recorded.movement) {
+          return res.json({ message: 'Stock already matches the count' });
+        }
+        res.status(201).json(recorded.movement);
+      } catch (error) {
+        if (client) {
+          await client.query('ROLLBACK');
+        }
+        console.error("Error recording stock movement:", error);
+        res.status(500).json({ error: 'Failed to record stock movement' });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /inventory/products/{productId}/low-stock-threshold:
+   *   put:
+   *     summary: Set a product's low-stock threshold
+   *     description: >
+   *       Inventory managers are notified when the product's stock, or any one
+   *       of its variants' stock, falls to the threshold or below. They're
+   *       notified once per product or variant until it's restocked above the
+   *       threshold.
+   *     tags: [Inventory]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - threshold
+   *             properties:
+   *               threshold:
+   *                 type: integer
+   *                 nullable: true
+   *                 description: null to stop low-stock alerts for the product
+   *     responses:
+   *       200:
+   *         description: Threshold saved
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 productId:
+   *                   type: integer
+   *                 threshold:
+   *                   type: integer
+   *                   nullable: true
+   *       400:
+   *         description: Invalid threshold
+   *       403:
+   *         description: Forbidden. Requires the inventory:manage permission.
+   *       404:
+   *         description: Product not found
+   *       500:
+   *         description: Failed to set low-stock threshold
+   */
+  router.put(
+    '/products/:productId/low-stock-threshold',
+    authenticateJWT,
+    requirePermission('inventory:manage'),
+    [
+      param('productId').isInt().withMessage('Product ID must be an integer').toInt(),
+      body('threshold')
+        .custom(value => value === null || (Number.isInteger(value) && value >= 0))
+        .withMessage('Threshold must be a non-negative integer, or null for no alerts'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { productId } = req.params;
+        const { threshold } = req.body;
+        const product = await pool.query(
+          'UPDATE products SET low_stock_threshold = $1 WHERE id = $2 RETURNING low_stock_threshold',
+          [threshold, productId]
+        );
+        if (product.rows.length === 0) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        // Stock may already be at or under the new threshold
+        const variants = await pool.query('SELECT id FROM product_variants WHERE product_id = $1', [productId]);
+        await sendStockNotifications(pool, notifier, [
+          { productId },
+          ...variants.rows.map(variant => ({ productId, variantId: variant.id })),
+        ]);
+
+        res.json({ productId, threshold: product.rows[0].low_stock_threshold });
+      } catch (error) {
+        console.error("Error setting low-stock threshold:", error);
+        res.status(500).json({ error: 'Failed to set low-stock threshold' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /inventory/low-stock:
+   *   get:
+   *     summary: Report products and variants at or below their low-stock threshold
+   *     description: Lowest stock first. Products without a threshold are left out.
+   *     tags: [Inventory]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Products and variants running low
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       productId:
+   *                         type: integer
+   *                       variantId:
+   *                         type: integer
+   *                         nullable: true
+   *                       name:
+   *                         type: string
+   *                       sku:
+   *                         type: string
+   *                         nullable: true
+   *                       stock:
+   *                         type: integer
+   *                       threshold:
+   *                         type: integer
+   *                       alertedAt:
+   *                         type: string
+   *                         format: date-time
+   *                         nullable: true
+   *                         description: When inventory managers were notified
+   *       403:
+   *         description: Forbidden. Requires the inventory:manage permission.
+   *       500:
+   *         description: Failed to get low-stock report
+   */
+  router.get('/low-stock', authenticateJWT, requirePermission('inventory:manage'), async (req, res) => {
+    try {
+      // Products with variants are reported per variant; their own stock column isn't used
+      const items = await pool.query(
+        `SELECT p.id AS "productId", v.id AS "variantId", p.name, v.sku, COALESCE(v.stock, p.stock) AS stock,
+           p.low_stock_threshold AS threshold, a.created_at AS "alertedAt"
+         FROM products p
+         LEFT JOIN product_variants v ON v.product_id = p.id
+         LEFT JOIN low_stock_alerts a ON a.product_id = p.id AND COALESCE(a.variant_id, 0) = COALESCE(v.id, 0)
+         WHERE p.low_stock_threshold IS NOT NULL AND COALESCE(v.stock, p.stock) <= p.low_stock_threshold
+         ORDER BY stock, p.id, v.id`
+      );
+      res.json({ items: items.rows });
+    } catch (error) {
+      console.error("Error getting low-stock report:", error);
+      res.status(500).json({ error: 'Failed to get low-stock report' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /inventory/reconciliation:
+   *   get:
+   *     summary: Find stock that disagrees with the ledger
+   *     description: >
+   *       Lists every product and variant whose stock isn't the sum of its
+   *       movements. Empty unless stock was changed outside the API, e.g.
+   *       directly in the database. Post a correction to bring the two back
+   *       in line.
+   *     tags: [Inventory]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Products and variants whose stock doesn't match the ledger
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 discrepancies:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       productId:
+   *                         type: integer
+   *                       variantId:
+   *                         type: integer
+   *                         nullable: true
+   *                       name:
+   *                         type: string
+   *                       sku:
+   *                         type: string
+   *                         nullable: true
+   *                       stock:
+   *                         type: integer
+   *                       ledgerStock:
+   *                         type: integer
+   *                       difference:
+   *                         type: integer
+   *                         description: stock less ledgerStock
+   *       403:
+   *         description: Forbidden. Requires the inventory:manage permission.
+   *       500:
+   *         description: Failed to reconcile stock
+   */
+  router.get('/reconciliation', authenticateJWT, requirePermission('inventory:manage'), async (req, res) => {
+    try {
+      const discrepancies = await pool.query(`${LEDGER_DISCREPANCIES} ORDER BY 1, 2 NULLS FIRST`);
+      res.json({ discrepancies: discrepancies.rows });
+    } catch (error) {
+      console.error("Error reconciling stock:", error);
+      res.status(500).json({ error: 'Failed to reconcile stock' });
+    }
+  });
+
+  return router;
+};
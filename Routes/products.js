@@ -1,21 +1,92 @@
 require("dotenv").config();
 const express = require("express");
 const authenticateJWT = require("../Middleware/authMiddleware");
-const { query, validationResult } = require("express-validator");
+const { requirePermission } = require("../Middleware/permissionMiddleware");
+const requestCurrency = require("../Middleware/currencyMiddleware");
+const { descendantIdsSql, categoryPaths } = require("../Services/categoryTree");
+const {
+  tsQuerySql,
+  headlineSql,
+  toPrefixTsQuery,
+  escapeLike,
+  suggestSearchTerms,
+} = require("../Services/productSearch");
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  PRODUCT_SORTS,
+  decodeCursor,
+  paginateProducts,
+} = require("../Services/productPagination");
+const { AVERAGE_RATING, RATING_SUMMARY } = require("../Services/productReviews");
+const { baseCurrency, localizeProducts } = require("../Services/currency");
+const { RESERVED_FOR_PRODUCT, RESERVED_FOR_VARIANT } = require("../Services/stockReservations");
+const { recordMovement, setStockLevel } = require("../Services/inventory");
+const createNotifier = require("../Services/notifier");
+const { sendStockNotifications } = require("../Services/stockNotifications");
+const { IMPORT_FORMATS, CATALOG_COLUMNS, readImportFile, runImportJob } = require("../Services/productImport");
+const { toCsvField } = require("../Services/csv");
+const { createImageStorage, removeStoredImages } = require("../Services/imageStorage");
+const { storeImage } = require("../Services/imageUploads");
+const { acceptImageUpload, requestImage } = require("../Middleware/imageUploadMiddleware");
+const {
+  addProductImage,
+  replacePrimaryImage,
+  setPrimaryImage,
+  removeProductImage,
+  reorderProductImages,
+  listProductImages,
+} = require("../Services/productImages");
+const { body, param, query, validationResult } = require("express-validator");
 
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
 
-const cloudinary = require("cloudinary").v2;
+const router = express.Router();
 
-cloudinary.config({
-  cloud_name: process.env.CLOUD_NAME,
-  api_key: process.env.API_KEY,
-  api_secret: process.env.API_SECRET,
-});
+// Stock across all variants, or the product's own stock if it has none
+const TOTAL_STOCK = `COALESCE((SELECT SUM(v.stock) FROM product_variants v WHERE v.product_id = products.id), products.stock)`;
 
-const router = express.Router();
+// Total stock less what customers are holding in their carts
+const AVAILABLE_STOCK = `(${TOTAL_STOCK} - ${RESERVED_FOR_PRODUCT})`;
+
+// Per-product variant summary for listings. Products without variants report
+// their own price and stock.
+const VARIANT_SUMMARY = `
+  (SELECT COUNT(*) FROM product_variants v WHERE v.product_id = products.id)::int AS variant_count,
+  COALESCE((SELECT MIN(COALESCE(v.price, products.price)) FROM product_variants v WHERE v.product_id = products.id), products.price) AS min_price,
+  COALESCE((SELECT MAX(COALESCE(v.price, products.price)) FROM product_variants v WHERE v.product_id = products.id), products.price) AS max_price,
+  ${TOTAL_STOCK}::int AS total_stock,
+  ${AVAILABLE_STOCK}::int AS available_stock
+`;
+
+// Variant columns returned by the variant routes (image_storage_key stays internal)
+const VARIANT_COLUMNS = "id, product_id, sku, price, stock, image_url, options";
+
+// Multipart bodies carry every field as text, so objects arrive as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Upper bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [25, 50, 100, 250, 500, 1000];
+
+// Shared by every paginated product listing; each route validates its own sort
+const paginationValidators = [
+  query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query("cursor")
+    .optional()
+    .custom((value) => decodeCursor(value) !== null)
+    .withMessage("Invalid cursor"),
+];
 
 module.exports = (pool) => {
+  const notifier = createNotifier(pool);
+  const storage = createImageStorage();
 
   /**
    * @swagger
@@ -32,35 +103,66 @@ module.exports = (pool) => {
    *     tags: [Products]
    *     parameters:
    *       - in: query
-   *         name: page
+   *         name: sort
    *         schema:
-   *           type: integer
-   *         description: Page number
+   *           type: string
+   *           enum: [newest, price_asc, price_desc, name, best_selling, rating, relevance]
+   *         description: Sort order, ties broken by product ID. Defaults to relevance when searching, otherwise newest.
+   *       - in: query
+   *         name: cursor
+   *         schema:
+   *           type: string
+   *         description: nextCursor or prevCursor from a previous response, sent with the same sort
    *       - in: query
    *         name: limit
    *         schema:
    *           type: integer
-   *         description: Number of products per page
+   *           minimum: 1
+   *           maximum: 100
+   *         description: Number of products per page (default 10)
    *       - in: query
    *         name: minPrice
    *         schema:
    *           type: number
-   *         description: Minimum price
+   *         description: Minimum price, in the base currency
    *       - in: query
    *         name: maxPrice
    *         schema:
    *           type: number
-   *         description: Maximum price
+   *         description: Maximum price, in the base currency
+   *       - $ref: '#/components/parameters/Currency'
    *       - in: query
    *         name: category
    *         schema:
-   *           type: integer
-   *         description: Category ID
+   *           type: string
+   *         description: Category ID, or several comma-separated IDs to match any of them
+   *       - in: query
+   *         name: includeSubcategories
+   *         schema:
+   *           type: boolean
+   *         description: Also include products from every category below the chosen ones
+   *       - in: query
+   *         name: minRating
+   *         schema:
+   *           type: number
+   *           minimum: 1
+   *           maximum: 5
+   *         description: Only products whose average approved rating is at least this
+   *       - in: query
+   *         name: inStock
+   *         schema:
+   *           type: boolean
+   *         description: >
+   *           true for only products with stock available to sell, false for only
+   *           sold-out products. Units held in customers' carts don't count.
    *       - in: query
    *         name: search
    *         schema:
    *           type: string
-   *         description: Search term
+   *         description: >
+   *           Full-text search over name, category and description. Every word
+   *           matches as a prefix, close misspellings of the name still match,
+   *           and results are ordered by relevance unless another sort is given.
    *     responses:
    *       200:
    *         description: List of products
@@ -82,30 +184,134 @@ module.exports = (pool) => {
    *                         type: string
    *                       price:
    *                         type: number
+   *                       currency:
+   *                         type: string
+   *                         description: Currency of price, min_price and max_price
    *                       stock:
    *                         type: integer
    *                       category_id:
    *                         type: integer
    *                       image_url:
    *                         type: string
+   *                       variant_count:
+   *                         type: integer
+   *                       min_price:
+   *                         type: number
+   *                       max_price:
+   *                         type: number
+   *                       total_stock:
+   *                         type: integer
+   *                       available_stock:
+   *                         type: integer
+   *                         description: total_stock less the units held in customers' carts
+   *                       average_rating:
+   *                         type: number
+   *                         nullable: true
+   *                       review_count:
+   *                         type: integer
+   *                       relevance:
+   *                         type: number
+   *                         description: Only when searching
+   *                       name_highlight:
+   *                         type: string
+   *                         description: Only when searching. Name with matches wrapped in <mark>; not HTML-escaped.
+   *                       snippet:
+   *                         type: string
+   *                         description: Only when searching. Best matching part of the description with matches wrapped in <mark>; not HTML-escaped.
    *                 totalCount:
    *                   type: integer
-   *                 currentPage:
-   *                   type: integer
-   *                 totalPages:
-   *                   type: integer
+   *                 nextCursor:
+   *                   type: string
+   *                   nullable: true
+   *                   description: Cursor for the following page; null on the last page
+   *                 prevCursor:
+   *                   type: string
+   *                   nullable: true
+   *                   description: Cursor for the preceding page; null on the first page
+   *                 facets:
+   *                   type: object
+   *                   description: >
+   *                     Counts for the storefront sidebar. Each facet applies every
+   *                     filter except its own, so picking a category still shows the
+   *                     counts for the other categories.
+   *                   properties:
+   *                     categories:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           id:
+   *                             type: integer
+   *                           name:
+   *                             type: string
+   *                           count:
+   *                             type: integer
+   *                     priceRanges:
+   *                       type: array
+   *                       description: In the base currency
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           min:
+   *                             type: number
+   *                           max:
+   *                             type: number
+   *                             nullable: true
+   *                           count:
+   *                             type: integer
+   *                     availability:
+   *                       type: object
+   *                       properties:
+   *                         inStock:
+   *                           type: integer
+   *                         outOfStock:
+   *                           type: integer
+   *                     attributes:
+   *                       type: array
+   *                       description: Variant option values, e.g. Size and Colour
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           name:
+   *                             type: string
+   *                           values:
+   *                             type: array
+   *                             items:
+   *                               type: object
+   *                               properties:
+   *                                 value:
+   *                                   type: string
+   *                                 count:
+   *                                   type: integer
+   *                 suggestions:
+   *                   type: array
+   *                   items:
+   *                     type: string
+   *                   description: Only when searching. "Did you mean" terms, filled in when nothing matched.
+   *       400:
+   *         description: Invalid filters, or prices are not available in that currency
    *       500:
    *         description: Failed to list products
    */
   router.get(
     '/list',
+    requestCurrency,
     [
-      query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-      query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+      ...paginationValidators,
       query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be a non-negative number'),
       query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be a non-negative number'),
-      query('category').optional().isInt().withMessage('Category must be an integer'),
+      query('category').optional().matches(/^\d+(,\d+)*$/).withMessage('Category must be a category ID or a comma-separated list of them'),
+      query('includeSubcategories').optional().isBoolean().withMessage('includeSubcategories must be true or false'),
+      query('minRating').optional().isFloat({ min: 1, max: 5 }).withMessage('Min rating must be between 1 and 5'),
+      query('inStock').optional().isBoolean().withMessage('inStock must be true or false'),
       query('search').optional().isString().withMessage('Search must be a string'),
+      query('sort')
+        .optional()
+        .isIn([...Object.keys(PRODUCT_SORTS), 'relevance'])
+        .withMessage(`Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}, relevance`)
+        .bail()
+        .custom((value, { req }) => value !== 'relevance' || Boolean(req.query.search))
+        .withMessage('Sorting by relevance needs a search'),
     ],
     async (req, res) => {
       const errors = validationResult(req);
@@ -115,57 +321,54 @@ module.exports = (pool) => {
   
       try {
         const {
-          page = 1, // Default page
-          limit = 10, // Default limit
-          minPrice,
-          maxPrice,
-          category,
+          limit = DEFAULT_PAGE_SIZE,
           search,
+          sort = search ? 'relevance' : 'newest',
         } = req.query;
   
         console.log("inside /list")
   
-        const offset = (page - 1) * limit;
-  
-        let whereClause = 'WHERE 1=1'; // Start with a basic WHERE clause
-  
-        const values = []; // Array to hold parameter values
-  
-        if (minPrice) {
-          whereClause += ' AND price >= $' + (values.length + 1);
-          values.push(minPrice);
-        }
-  
-        if (maxPrice) {
-          whereClause += ' AND price <= $' + (values.length + 1);
-          values.push(maxPrice);
-        }
-  
-        if (category) {
-          whereClause += ' AND category_id = $' + (values.length + 1);
-          values.push(category);
-        }
-  
+        const filters = buildProductFilters(req.query);
+        const { fromClause, whereClause, values, tsQueryParam, textParam } = filters;
+
+        let columns = `products.*, ${VARIANT_SUMMARY}, ${RATING_SUMMARY}`;
+        let sortOrder = { name: sort, ...PRODUCT_SORTS[sort] };
+
         if (search) {
-          whereClause += ' AND name ILIKE $' + (values.length + 1); // ILIKE for case-insensitive search
-          values.push(`%${search}%`); // Add wildcards for partial matches
+          const tsQuery = tsQuerySql(tsQueryParam);
+          const relevance = `COALESCE(ts_rank(ps.document, ${tsQuery}), 0) + similarity(products.name, $${textParam})`;
+          columns += `,
+            ${relevance} AS relevance,
+            ${headlineSql('products.name', tsQuery, 'HighlightAll=true')} AS name_highlight,
+            ${headlineSql("COALESCE(products.description, '')", tsQuery, 'MaxWords=35, MinWords=15')} AS snippet`;
+          if (sort === 'relevance') {
+            sortOrder = { name: sort, key: relevance, type: 'real', descending: true };
+          }
+        }
+
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        if (cursor && cursor.sort !== sort) {
+          return res.status(400).json({ error: 'Cursor was issued for a different sort' });
         }
   
-        const query = `
-          SELECT * FROM products ${whereClause} LIMIT $${values.length + 1} OFFSET $${values.length + 2}
-        `;
-  
-        const countQuery = `SELECT COUNT(*) FROM products ${whereClause}`; // Count total products
+        const page = await paginateProducts(pool, filters, { columns, sort: sortOrder, cursor, limit: Number(limit) });
   
-        const products = await pool.query(query, [...values, limit, offset]);
+        const countQuery = `SELECT COUNT(*) ${fromClause} ${whereClause}`; // Count total products
         const totalCountResult = await pool.query(countQuery, values);
         const totalCount = parseInt(totalCountResult.rows[0].count, 10);
+
+        // Nothing matched: offer corrected spellings instead
+        const suggestions = search && totalCount === 0 ? await suggestSearchTerms(pool, search) : [];
+
+        const facets = await computeFacets(pool, req.query);
   
         res.json({
-          products: products.rows,
+          products: await localizeProducts(pool, page.products, req.currency),
           totalCount: totalCount,
-          currentPage: parseInt(page, 10),
-          totalPages: Math.ceil(totalCount / limit),
+          nextCursor: page.nextCursor,
+          prevCursor: page.prevCursor,
+          facets,
+          ...(search && { suggestions }),
         });
       } catch (error) {
         console.error("Error listing products:", error);
@@ -178,223 +381,655 @@ module.exports = (pool) => {
    * @swagger
    * /products:
    *   get:
-   *     summary: Get all products
+   *     summary: Get all products, a page at a time
    *     tags: [Products]
+   *     parameters:
+   *       - in: query
+   *         name: sort
+   *         schema:
+   *           type: string
+   *           enum: [newest, price_asc, price_desc, name, best_selling, rating]
+   *         description: Sort order, ties broken by product ID. Defaults to newest.
+   *       - in: query
+   *         name: cursor
+   *         schema:
+   *           type: string
+   *         description: nextCursor or prevCursor from a previous response, sent with the same sort
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *         description: Number of products per page (default 10)
+   *       - $ref: '#/components/parameters/Currency'
    *     responses:
    *       200:
-   *         description: List of all products
+   *         description: A page of products
    *         content:
    *           application/json:
    *             schema:
-   *               type: array
-   *               items:
-   *                 type: object
-   *                 properties:
-   *                   id:
-   *                     type: integer
-   *                   name:
-   *                     type: string
-   *                   description:
-   *                     type: string
-   *                   price:
-   *                     type: number
-   *                   stock:
-   *                     type: integer
-   *                   category_id:
-   *                     type: integer
-   *                   image_url:
-   *                     type: string
+   *               type: object
+   *               properties:
+   *                 products:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                       name:
+   *                         type: string
+   *                       description:
+   *                         type: string
+   *                       price:
+   *                         type: number
+   *                       currency:
+   *                         type: string
+   *                         description: Currency of price, min_price and max_price
+   *                       stock:
+   *                         type: integer
+   *                       category_id:
+   *                         type: integer
+   *                       image_url:
+   *                         type: string
+   *                       variant_count:
+   *                         type: integer
+   *                       min_price:
+   *                         type: number
+   *                       max_price:
+   *                         type: number
+   *                       total_stock:
+   *                         type: integer
+   *                       available_stock:
+   *                         type: integer
+   *                         description: total_stock less the units held in customers' carts
+   *                       average_rating:
+   *                         type: number
+   *                         nullable: true
+   *                       review_count:
+   *                         type: integer
+   *                 nextCursor:
+   *                   type: string
+   *                   nullable: true
+   *                 prevCursor:
+   *                   type: string
+   *                   nullable: true
+   *       400:
+   *         description: Invalid sort, cursor, limit or currency
    *       500:
    *         description: Failed to get products
    */
-  router.get("/", async (req, res) => {
-    try {
-      const products = await pool.query("SELECT * FROM products");
-      res.json(products.rows);
-    } catch (error) {
-      console.error("Error getting products:", error);
-      res.status(500).json({ error: "Failed to get products" });
+  router.get(
+    "/",
+    requestCurrency,
+    [
+      ...paginationValidators,
+      query("sort")
+        .optional()
+        .isIn(Object.keys(PRODUCT_SORTS))
+        .withMessage(`Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(", ")}`),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { limit = DEFAULT_PAGE_SIZE, sort = "newest" } = req.query;
+
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        if (cursor && cursor.sort !== sort) {
+          return res.status(400).json({ error: "Cursor was issued for a different sort" });
+        }
+
+        const page = await paginateProducts(
+          pool,
+          { fromClause: "FROM products", whereClause: "WHERE 1=1", values: [] },
+          { columns: `products.*, ${VARIANT_SUMMARY}, ${RATING_SUMMARY}`, sort: { name: sort, ...PRODUCT_SORTS[sort] }, cursor, limit: Number(limit) }
+        );
+        res.json({ ...page, products: await localizeProducts(pool, page.products, req.currency) });
+      } catch (error) {
+        console.error("Error getting products:", error);
+        res.status(500).json({ error: "Failed to get products" });
+      }
     }
-  });
+  );
 
   /**
    * @swagger
-   * /products/{id}:
+   * /products/autocomplete:
    *   get:
-   *     summary: Get product by ID
+   *     summary: Suggest products and categories for a partly typed search
    *     tags: [Products]
    *     parameters:
-   *       - in: path
-   *         name: id
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: What the user has typed so far
+   *       - in: query
+   *         name: limit
    *         schema:
    *           type: integer
-   *         required: true
-   *         description: The ID of the product
+   *         description: Maximum number of products to return (default 8, max 20)
    *     responses:
    *       200:
-   *         description: Product details
+   *         description: Matching products and categories
    *         content:
    *           application/json:
    *             schema:
    *               type: object
    *               properties:
-   *                 id:
-   *                   type: integer
-   *                 name:
-   *                   type: string
-   *                 description:
-   *                   type: string
-   *                 price:
-   *                   type: number
-   *                 stock:
-   *                   type: integer
-   *                 category_id:
-   *                   type: integer
-   *                 image_url:
-   *                   type: string
-   *       404:
-   *         description: Product not found
+   *                 products:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                       name:
+   *                         type: string
+   *                 categories:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       id:
+   *                         type: integer
+   *                       name:
+   *                         type: string
    *       500:
-   *         description: Failed to get product
+   *         description: Failed to autocomplete
    */
-  router.get("/:id", async (req, res) => {
-    try {
-      const { id } = req.params;
-      const product = await pool.query("SELECT * FROM products WHERE id = $1", [
-        id,
-      ]);
-      if (product.rows.length === 0) {
-        return res.status(404).json({ message: "Product not found" });
+  router.get(
+    "/autocomplete",
+    [
+      query("q").isString().trim().notEmpty().withMessage("q is required"),
+      query("limit").optional().isInt({ min: 1, max: 20 }).withMessage("Limit must be between 1 and 20"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { q, limit = 8 } = req.query;
+        const startsWith = `${escapeLike(q)}%`;
+
+        // Names that start with what was typed come first, then other word-prefix matches
+        const products = await pool.query(
+          `SELECT products.id, products.name
+           FROM products LEFT JOIN product_search ps ON ps.product_id = products.id
+           WHERE products.name ILIKE $2 OR ps.document @@ ${tsQuerySql(1)}
+           ORDER BY products.name ILIKE $2 DESC, COALESCE(ts_rank(ps.document, ${tsQuerySql(1)}), 0) DESC, products.name
+           LIMIT $3`,
+          [toPrefixTsQuery(q), startsWith, limit]
+        );
+        const categories = await pool.query(
+          `SELECT id, name FROM categories WHERE name ILIKE $1 OR name ILIKE $2 ORDER BY name ILIKE $1 DESC, name LIMIT 5`,
+          [startsWith, `% ${escapeLike(q)}%`]
+        );
+
+        res.json({ products: products.rows, categories: categories.rows });
+      } catch (error) {
+        console.error("Error autocompleting products:", error);
+        res.status(500).json({ error: "Failed to autocomplete" });
       }
-      res.json(product.rows[0]);
-    } catch (error) {
-      console.error("Error getting product by ID:", error);
-      res.status(500).json({ error: "Failed to get product" });
     }
-  });
+  );
 
   /**
    * @swagger
-   * /products:
+   * /products/import:
    *   post:
-   *     summary: Create a new product
+   *     summary: Create and update products in bulk from a CSV or JSON file
+   *     description: >
+   *       Send the file itself as the request body: CSV with a header row
+   *       (Content-Type text/csv), or a JSON array of objects (application/json),
+   *       with the columns id, sku, name, description, price, stock, category,
+   *       weight_grams, image_url and low_stock_threshold. category is a full
+   *       path such as "Home > Lighting", a name no other category shares, or
+   *       an id. Rows are
+   *       matched to products by SKU; new SKUs create products and need a name,
+   *       price, category and image_url, while known SKUs only change the
+   *       fields the row fills in. Rows with a blank sku update the product
+   *       with their id instead, so products without a SKU can be exported
+   *       and imported again; id is ignored when sku is filled in. Stock
+   *       changes are recorded in the stock ledger. The file is processed by
+   *       a background job: poll
+   *       /products/import/{jobId} for progress and the rows that failed
+   *       validation, which are skipped. With dryRun nothing is saved and the
+   *       job reports what would be created and updated.
    *     tags: [Products]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: dryRun
+   *         schema:
+   *           type: boolean
+   *         description: Only validate the file
    *     requestBody:
    *       required: true
    *       content:
+   *         text/csv:
+   *           schema:
+   *             type: string
+   *             example: |
+   *               sku,name,price,stock,category,image_url
+   *               LAMP-01,Desk lamp,24.99,40,Lighting,https://example.com/lamp.jpg
    *         application/json:
    *           schema:
-   *             type: object
-   *             required:
-   *               - name
-   *               - description
-   *               - price
-   *               - stock
-   *               - category_id
-   *               - image
-   *             properties:
-   *               name:
-   *                 type: string
-   *               description:
-   *                 type: string
-   *               price:
-   *                 type: number
-   *               stock:
-   *                 type: integer
-   *               category_id:
-   *                 type: integer
-   *               image:
-   *                 type: string
+   *             type: array
+   *             items:
+   *               type: object
    *     responses:
-   *       201:
-   *         description: Product created successfully
+   *       202:
+   *         description: Import job queued
    *         content:
    *           application/json:
    *             schema:
-   *               type: object
-   *               properties:
-   *                 id:
-   *                   type: integer
-   *                 name:
-   *                   type: string
-   *                 description:
-   *                   type: string
-   *                 price:
-   *                   type: number
-   *                 stock:
-   *                   type: integer
-   *                 category_id:
-   *                   type: integer
-   *                 image_url:
-   *                   type: string
+   *               $ref: '#/components/schemas/ImportJob'
+   *       400:
+   *         description: The file is missing, unreadable, empty or has unknown columns
+   *       403:
+   *         description: Forbidden. Requires the products:import permission.
+   *       413:
+   *         description: The file is larger than 20MB
    *       500:
-   *         description: Failed to create product
+   *         description: Failed to start import
    */
   router.post(
-    "/",
+    "/import",
     authenticateJWT,
-    authorizeAdmin,
-    [
-      body("name").notEmpty().withMessage("Name is required"),
-      body("description").notEmpty().withMessage("Description is required"),
-      body("price").isFloat({ min: 0 }).withMessage("Price must be a positive number"),
-      body("stock").isInt({ min: 0 }).withMessage("Stock must be a non-negative integer"),
-      body("category_id").isInt().withMessage("Category ID must be an integer"),
-      body("image").optional().isString().withMessage("Image must be a string"),
-    ],
+    requirePermission("products:import"),
+    [query("dryRun").optional().isBoolean().withMessage("dryRun must be true or false")],
     async (req, res) => {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
-  
+
+      const format = req.is("text/csv") ? "csv" : req.is("application/json") ? "json" : null;
+      if (!format || typeof req.body !== "string") {
+        return res.status(400).json({ error: "Send the file as the request body with Content-Type text/csv or application/json" });
+      }
+
+      const file = readImportFile(format, req.body);
+      if (file.error) {
+        return res.status(400).json({ error: file.error });
+      }
+
       try {
-        const { name, description, price, stock, category_id, image } = req.body;
-  
-        let imageUrl = null;
-        if (image) {
-          // Check if image is provided
-          // Upload an image
-          const uploadResult = await cloudinary.uploader
-            .upload(image)
-            .then((result) => {
-              console.log(result);
-              imageUrl = result["secure_url"];
-            })
-            .catch((error) => {
-              console.log(error);
-            });
-        }
-  
-        const result = await pool.query(
-          "INSERT INTO products (name, description, price, stock, category_id, image_url) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-          [name, description, price, stock, category_id, imageUrl]
+        const dryRun = req.query.dryRun === "true";
+        const job = await pool.query(
+          "INSERT INTO import_jobs (user_id, format, dry_run, total_rows) VALUES ($1, $2, $3, $4) RETURNING *",
+          [req.user.userId, format, dryRun, file.rows.length]
         );
-        res.status(201).json(result.rows[0]);
+
+        // Runs after the response; progress is read back through GET /products/import/:jobId
+        setImmediate(() => runImportJob(pool, notifier, job.rows[0].id, file.rows, { dryRun, actorId: req.user.userId }));
+
+        res.status(202).location(`/api/products/import/${job.rows[0].id}`).json(job.rows[0]);
       } catch (error) {
-        console.error("Error creating product:", error);
-        res.status(500).json({ error: "Failed to create product" });
+        console.error("Error starting product import:", error);
+        res.status(500).json({ error: "Failed to start import" });
       }
     }
   );
 
   /**
    * @swagger
-   * /products/{id}:
-   *   put:
-   *     summary: Update a product
+   * components:
+   *   schemas:
+   *     ImportJob:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         format:
+   *           type: string
+   *           enum: [csv, json]
+   *         dry_run:
+   *           type: boolean
+   *         status:
+   *           type: string
+   *           enum: [queued, running, completed, failed]
+   *         total_rows:
+   *           type: integer
+   *         processed_rows:
+   *           type: integer
+   *         created_count:
+   *           type: integer
+   *           description: Products created, or that would be on a dry run
+   *         updated_count:
+   *           type: integer
+   *           description: Products updated, or that would be on a dry run
+   *         error_count:
+   *           type: integer
+   *         errors:
+   *           type: array
+   *           description: The first 1000 row errors, filled in when the job finishes
+   *           items:
+   *             type: object
+   *             properties:
+   *               row:
+   *                 type: integer
+   *                 description: Position of the product in the file, from 1 (not counting the CSV header)
+   *               sku:
+   *                 type: string
+   *                 nullable: true
+   *               field:
+   *                 type: string
+   *                 nullable: true
+   *               message:
+   *                 type: string
+   *         error:
+   *           type: string
+   *           nullable: true
+   *           description: Why a failed job stopped
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         started_at:
+   *           type: string
+   *           format: date-time
+   *         finished_at:
+   *           type: string
+   *           format: date-time
+   *         heartbeat_at:
+   *           type: string
+   *           format: date-time
+   *           description: >
+   *             Last time the server running the job reported it alive; queued and
+   *             running jobs silent for two minutes are marked failed
+   */
+
+  /**
+   * @swagger
+   * /products/import/{jobId}:
+   *   get:
+   *     summary: Get the progress and results of a product import
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: jobId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: The import job
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ImportJob'
+   *       403:
+   *         description: Forbidden. Requires the products:import permission.
+   *       404:
+   *         description: Import job not found
+   *       500:
+   *         description: Failed to get import job
+   */
+  router.get(
+    "/import/:jobId",
+    authenticateJWT,
+    requirePermission("products:import"),
+    [param("jobId").isInt().withMessage("Job ID must be an integer")],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const job = await pool.query("SELECT * FROM import_jobs WHERE id = $1", [req.params.jobId]);
+        if (job.rows.length === 0) {
+          return res.status(404).json({ message: "Import job not found" });
+        }
+        res.json(job.rows[0]);
+      } catch (error) {
+        console.error("Error getting import job:", error);
+        res.status(500).json({ error: "Failed to get import job" });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/export:
+   *   get:
+   *     summary: Export the catalog, or the products matching the filters, as CSV or JSON
+   *     description: >
+   *       Uses the import columns, so an edited export can be imported again.
+   *       Categories are given as full paths, e.g. "Home > Lighting".
+   *       Products with variants are exported without them, and their stock
+   *       column is the product's own stock, not the variants'.
    *     tags: [Products]
    *     security:
    *       - bearerAuth: []
    *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [csv, json]
+   *         description: csv by default
+   *       - in: query
+   *         name: minPrice
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: maxPrice
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: category
+   *         schema:
+   *           type: string
+   *         description: Category ID, or several comma-separated IDs to match any of them
+   *       - in: query
+   *         name: includeSubcategories
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: inStock
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The products, ordered by ID
+   *         content:
+   *           text/csv:
+   *             schema:
+   *               type: string
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *       403:
+   *         description: Forbidden. Requires the products:export permission.
+   *       500:
+   *         description: Failed to export products
+   */
+  router.get(
+    "/export",
+    authenticateJWT,
+    requirePermission("products:export"),
+    [
+      query("format").optional().isIn(IMPORT_FORMATS).withMessage("Format must be csv or json"),
+      query("minPrice").optional().isFloat({ min: 0 }).withMessage("Min price must be a non-negative number"),
+      query("maxPrice").optional().isFloat({ min: 0 }).withMessage("Max price must be a non-negative number"),
+      query("category").optional().matches(/^\d+(,\d+)*$/).withMessage("Category must be a category ID or a comma-separated list of them"),
+      query("includeSubcategories").optional().isBoolean().withMessage("includeSubcategories must be true or false"),
+      query("inStock").optional().isBoolean().withMessage("inStock must be true or false"),
+      query("search").optional().isString().withMessage("Search must be a string"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { format = "csv", minPrice, maxPrice, category, includeSubcategories, inStock, search } = req.query;
+        const { fromClause, whereClause, values } = buildProductFilters({
+          minPrice,
+          maxPrice,
+          category,
+          includeSubcategories,
+          inStock,
+          search,
+        });
+        const products = await pool.query(
+          `SELECT products.id, products.sku, products.name, products.description, products.price, products.stock,
+             products.category_id, products.weight_grams, products.image_url, products.low_stock_threshold
+           ${fromClause}
+           ${whereClause}
+           ORDER BY products.id`,
+          values
+        );
+        // Categories are written as full paths, which unlike names can't be mistaken for another category
+        const categories = categoryPaths((await pool.query("SELECT id, name, parent_id FROM categories")).rows);
+        const rows = products.rows.map((product) =>
+          Object.fromEntries(
+            CATALOG_COLUMNS.map((column) => [column, column === "category" ? categories.get(product.category_id) : product[column]])
+          )
+        );
+
+        if (format === "json") {
+          res.setHeader("Content-Disposition", 'attachment; filename="products.json"');
+          return res.json(rows);
+        }
+
+        const lines = rows.map((product) => CATALOG_COLUMNS.map((column) => toCsvField(product[column])).join(","));
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader("Content-Disposition", 'attachment; filename="products.csv"');
+        res.send([CATALOG_COLUMNS.join(","), ...lines].join("\r\n"));
+      } catch (error) {
+        console.error("Error exporting products:", error);
+        res.status(500).json({ error: "Failed to export products" });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}:
+   *   get:
+   *     summary: Get product by ID
+   *     tags: [Products]
+   *     parameters:
    *       - in: path
    *         name: id
    *         schema:
    *           type: integer
    *         required: true
    *         description: The ID of the product
+   *       - $ref: '#/components/parameters/Currency'
+   *     responses:
+   *       200:
+   *         description: Product details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 id:
+   *                   type: integer
+   *                 name:
+   *                   type: string
+   *                 description:
+   *                   type: string
+   *                 price:
+   *                   type: number
+   *                 currency:
+   *                   type: string
+   *                   description: Currency of price and the variant prices
+   *                 stock:
+   *                   type: integer
+   *                 available_stock:
+   *                   type: integer
+   *                   description: Stock across the variants less the units held in customers' carts
+   *                 category_id:
+   *                   type: integer
+   *                 image_url:
+   *                   type: string
+   *                   nullable: true
+   *                   description: URL of the primary image
+   *                 images:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProductImage'
+   *                 average_rating:
+   *                   type: number
+   *                   nullable: true
+   *                 review_count:
+   *                   type: integer
+   *                 options:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProductOption'
+   *                 variants:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProductVariant'
+   *       400:
+   *         description: Prices are not available in that currency
+   *       404:
+   *         description: Product not found
+   *       500:
+   *         description: Failed to get product
+   */
+  router.get("/:id", requestCurrency, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const product = await pool.query(
+        `SELECT products.*, ${AVAILABLE_STOCK}::int AS available_stock, ${RATING_SUMMARY} FROM products WHERE id = $1`,
+        [id]
+      );
+      if (product.rows.length === 0) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+      const options = await pool.query(
+        "SELECT name, values FROM product_options WHERE product_id = $1 ORDER BY position",
+        [id]
+      );
+      // Variants without a price of their own are given the product's by localizeProducts
+      const variants = await pool.query(
+        `SELECT id, sku, options, price, stock, (stock - ${RESERVED_FOR_VARIANT})::int AS available_stock,
+           COALESCE(image_url, $2) AS image_url
+         FROM product_variants WHERE product_id = $1 ORDER BY id`,
+        [id, product.rows[0].image_url]
+      );
+      const images = await listProductImages(pool, id);
+      const [localized] = await localizeProducts(pool, [{ ...product.rows[0], variants: variants.rows }], req.currency);
+      res.json({ ...localized, options: options.rows, images });
+    } catch (error) {
+      console.error("Error getting product by ID:", error);
+      res.status(500).json({ error: "Failed to get product" });
+    }
+  });
+
+  /**
+   * @swagger
+   * /products:
+   *   post:
+   *     summary: Create a new product
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
    *     requestBody:
    *       required: true
    *       content:
@@ -407,10 +1042,12 @@ module.exports = (pool) => {
    *               - price
    *               - stock
    *               - category_id
-   *               - image
    *             properties:
    *               name:
    *                 type: string
+   *               sku:
+   *                 type: string
+   *                 description: Unique; matches the product on catalog import.
    *               description:
    *                 type: string
    *               price:
@@ -421,9 +1058,25 @@ module.exports = (pool) => {
    *                 type: integer
    *               image:
    *                 type: string
+   *                 description: >
+   *                   The product's first image, as a base64 data URI or a public http(s)
+   *                   URL to download, or uploaded as a file in a multipart/form-data body
+   *               image_alt_text:
+   *                 type: string
+   *               weight_grams:
+   *                 type: integer
+   *                 description: Shipping weight of one unit, used by weight-based shipping rates
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             description: The same fields as the JSON body, with the image as a file
+   *             properties:
+   *               image:
+   *                 type: string
+   *                 format: binary
    *     responses:
-   *       200:
-   *         description: Product updated successfully
+   *       201:
+   *         description: Product created successfully
    *         content:
    *           application/json:
    *             schema:
@@ -443,22 +1096,39 @@ module.exports = (pool) => {
    *                   type: integer
    *                 image_url:
    *                   type: string
-   *       404:
-   *         description: Product not found
+   *                   nullable: true
+   *                 images:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProductImage'
+   *       400:
+   *         description: Invalid input, or the image couldn't be read
+   *       409:
+   *         description: A product with this SKU already exists
+   *       413:
+   *         description: The image is larger than MAX_IMAGE_UPLOAD_BYTES (5 MB by default)
+   *       415:
+   *         description: The image isn't a JPEG, PNG or WebP, or isn't the type it was sent as
    *       500:
-   *         description: Failed to update product
+   *         description: Failed to create product
+   *       502:
+   *         description: The image couldn't be stored
    */
-  router.put(
-    "/:id",
+  router.post(
+    "/",
     authenticateJWT,
-    authorizeAdmin,
+    requirePermission("products:write"),
+    acceptImageUpload(),
     [
       body("name").notEmpty().withMessage("Name is required"),
+      body("sku").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("SKU must be 1 to 100 characters"),
       body("description").notEmpty().withMessage("Description is required"),
       body("price").isFloat({ min: 0 }).withMessage("Price must be a positive number"),
-      body("stock").isInt({ min: 0 }).withMessage("Stock must be a non-negative integer"),
+      body("stock").isInt({ min: 0 }).withMessage("Stock must be a non-negative integer").toInt(),
       body("category_id").isInt().withMessage("Category ID must be an integer"),
       body("image").optional().isString().withMessage("Image must be a string"),
+      body("image_alt_text").optional().isString().isLength({ max: 255 }).withMessage("Alt text must be at most 255 characters"),
+      body("weight_grams").optional().isInt({ min: 0 }).withMessage("Weight must be a non-negative number of grams"),
     ],
     async (req, res) => {
       const errors = validationResult(req);
@@ -466,32 +1136,66 @@ module.exports = (pool) => {
         return res.status(400).json({ errors: errors.array() });
       }
   
+      let client;
+      let uploaded = null;
       try {
-        const { id } = req.params;
-        const { name, description, price, stock, category_id, image } = req.body;
+        const { name, sku, description, price, stock, category_id, image_alt_text, weight_grams } = req.body;
   
-        let imageUrl = null;
+        const image = requestImage(req);
         if (image) {
-          // Check if image is provided
-          const result = await cloudinary.uploader.upload(image, {
-            folder: "products", // Optional folder in Cloudinary
-          });
-          imageUrl = result.secure_url;
+          const stored = await storeImage(storage, image);
+          if (stored.error) {
+            return res.status(stored.status).json({ error: stored.error });
+          }
+          uploaded = stored;
         }
   
-        const result = await pool.query(
-          "UPDATE products SET name = $1, description = $2, price = $3, stock = $4, category_id = $5, image_url = $6 WHERE id = $7 RETURNING *",
-          [name, description, price, stock, category_id, imageUrl, id]
+        client = await pool.connect();
+        await client.query("BEGIN");
+        const result = await client.query(
+          "INSERT INTO products (name, sku, description, price, stock, category_id, weight_grams) VALUES ($1, $2, $3, $4, 0, $5, $6) RETURNING *",
+          [name, sku || null, description, price, category_id, weight_grams || 0]
         );
-  
-        if (result.rows.length === 0) {
-          return res.status(404).json({ message: "Product not found" });
+        const images = [];
+        if (uploaded) {
+          images.push(
+            await addProductImage(client, result.rows[0].id, {
+              url: uploaded.url,
+              storageKey: uploaded.key,
+              renditions: uploaded.renditions,
+              renditionKeys: uploaded.renditionKeys,
+              altText: image_alt_text,
+            })
+          );
         }
-  
-        res.json(result.rows[0]);
+        // Opening stock goes through the ledger like any other delivery
+        if (stock > 0) {
+          await recordMovement(client, {
+            productId: result.rows[0].id,
+            type: "receipt",
+            quantity: stock,
+            reason: "Initial stock",
+            actorId: req.user.userId,
+          });
+        }
+        await client.query("COMMIT");
+        res.status(201).json({ ...result.rows[0], image_url: uploaded ? uploaded.url : null, stock, images });
       } catch (error) {
-        console.error("Error updating product:", error);
-        res.status(500).json({ error: "Failed to update product" });
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        if (uploaded) {
+          await removeStoredImages(storage, uploaded.keys);
+        }
+        if (error.code === "23505") {
+          return res.status(409).json({ error: "A product with this SKU already exists" });
+        }
+        console.error("Error creating product:", error);
+        res.status(500).json({ error: "Failed to create product" });
+      } finally {
+        if (client) {
+          client.release();
+        }
       }
     }
   );
@@ -499,8 +1203,8 @@ module.exports = (pool) => {
   /**
    * @swagger
    * /products/{id}:
-   *   delete:
-   *     summary: Delete a product
+   *   put:
+   *     summary: Update a product
    *     tags: [Products]
    *     security:
    *       - bearerAuth: []
@@ -511,7 +1215,218 @@ module.exports = (pool) => {
    *           type: integer
    *         required: true
    *         description: The ID of the product
-   *     responses:
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - description
+   *               - price
+   *               - category_id
+   *             properties:
+   *               name:
+   *                 type: string
+   *               sku:
+   *                 type: string
+   *                 description: Unique; matches the product on catalog import. Leave out to keep the current SKU.
+   *               description:
+   *                 type: string
+   *               price:
+   *                 type: number
+   *               stock:
+   *                 type: integer
+   *                 description: >
+   *                   Leave out to keep the current stock. A change is recorded in the
+   *                   stock ledger as a correction; prefer posting a stock movement.
+   *               category_id:
+   *                 type: integer
+   *               image:
+   *                 type: string
+   *                 description: >
+   *                   A new primary image (as for creating a product), which replaces the
+   *                   current one. Leave out to keep the product's images as they are;
+   *                   manage the gallery through /products/{id}/images.
+   *               image_alt_text:
+   *                 type: string
+   *               weight_grams:
+   *                 type: integer
+   *                 description: Shipping weight of one unit, used by weight-based shipping rates
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             description: The same fields as the JSON body, with the image as a file
+   *             properties:
+   *               image:
+   *                 type: string
+   *                 format: binary
+   *     responses:
+   *       200:
+   *         description: Product updated successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 id:
+   *                   type: integer
+   *                 name:
+   *                   type: string
+   *                 description:
+   *                   type: string
+   *                 price:
+   *                   type: number
+   *                 stock:
+   *                   type: integer
+   *                 category_id:
+   *                   type: integer
+   *                 image_url:
+   *                   type: string
+   *                   nullable: true
+   *                 images:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProductImage'
+   *       400:
+   *         description: Invalid input, or the image couldn't be read
+   *       404:
+   *         description: Product not found
+   *       409:
+   *         description: A product with this SKU already exists
+   *       413:
+   *         description: The image is larger than MAX_IMAGE_UPLOAD_BYTES (5 MB by default)
+   *       415:
+   *         description: The image isn't a JPEG, PNG or WebP, or isn't the type it was sent as
+   *       500:
+   *         description: Failed to update product
+   *       502:
+   *         description: The image couldn't be stored
+   */
+  router.put(
+    "/:id",
+    authenticateJWT,
+    requirePermission("products:write"),
+    acceptImageUpload(),
+    [
+      body("name").notEmpty().withMessage("Name is required"),
+      body("sku").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("SKU must be 1 to 100 characters"),
+      body("description").notEmpty().withMessage("Description is required"),
+      body("price").isFloat({ min: 0 }).withMessage("Price must be a positive number"),
+      body("stock").optional().isInt({ min: 0 }).withMessage("Stock must be a non-negative integer").toInt(),
+      body("category_id").isInt().withMessage("Category ID must be an integer"),
+      body("image").optional().isString().withMessage("Image must be a string"),
+      body("image_alt_text").optional().isString().isLength({ max: 255 }).withMessage("Alt text must be at most 255 characters"),
+      body("weight_grams").optional().isInt({ min: 0 }).withMessage("Weight must be a non-negative number of grams"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+  
+      let client;
+      let uploaded = null;
+      try {
+        const { id } = req.params;
+        const { name, sku, description, price, stock, category_id, image_alt_text, weight_grams } = req.body;
+  
+        const image = requestImage(req);
+        if (image) {
+          const stored = await storeImage(storage, image);
+          if (stored.error) {
+            return res.status(stored.status).json({ error: stored.error });
+          }
+          uploaded = stored;
+        }
+  
+        client = await pool.connect();
+        await client.query("BEGIN");
+        if (stock !== undefined) {
+          const counted = await setStockLevel(client, { productId: id }, stock, {
+            reason: "Stock level set on product update",
+            actorId: req.user.userId,
+          });
+          if (counted.error) {
+            await client.query("ROLLBACK");
+            if (uploaded) {
+              await removeStoredImages(storage, uploaded.keys);
+            }
+            return res.status(404).json({ message: "Product not found" });
+          }
+        }
+
+        const result = await client.query(
+          "UPDATE products SET name = $1, description = $2, price = $3, category_id = $4, weight_grams = COALESCE($6, weight_grams), sku = COALESCE($7, sku) WHERE id = $5 RETURNING *",
+          [name, description, price, category_id, id, weight_grams ?? null, sku || null]
+        );
+  
+        if (result.rows.length === 0) {
+          await client.query("ROLLBACK");
+          if (uploaded) {
+            await removeStoredImages(storage, uploaded.keys);
+          }
+          return res.status(404).json({ message: "Product not found" });
+        }
+
+        // A new image replaces the primary one; without one the gallery is left alone
+        let replaced = null;
+        if (uploaded) {
+          let primary;
+          ({ image: primary, replaced } = await replacePrimaryImage(client, id, {
+            url: uploaded.url,
+            storageKey: uploaded.key,
+            renditions: uploaded.renditions,
+            renditionKeys: uploaded.renditionKeys,
+            altText: image_alt_text,
+          }));
+          result.rows[0].image_url = primary.url;
+        }
+        const images = await listProductImages(client, id);
+  
+        await client.query("COMMIT");
+        if (replaced) {
+          await removeStoredImages(storage, replaced.storage_keys);
+        }
+        await sendStockNotifications(pool, notifier, [{ productId: Number(id) }]);
+        res.json({ ...result.rows[0], images });
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        if (uploaded) {
+          await removeStoredImages(storage, uploaded.keys);
+        }
+        if (error.code === "23505") {
+          return res.status(409).json({ error: "A product with this SKU already exists" });
+        }
+        console.error("Error updating product:", error);
+        res.status(500).json({ error: "Failed to update product" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}:
+   *   delete:
+   *     summary: Delete a product
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *     responses:
    *       200:
    *         description: Product deleted successfully
    *         content:
@@ -540,12 +1455,20 @@ module.exports = (pool) => {
    *                       type: string
    *       404:
    *         description: Product not found
+   *       409:
+   *         description: The product has stock movements, which are kept for good
    *       500:
    *         description: Failed to delete product
    */
-  router.delete("/:id", authenticateJWT, authorizeAdmin, async (req, res) => {
+  router.delete("/:id", authenticateJWT, requirePermission("products:delete"), async (req, res) => {
     try {
       const { id } = req.params;
+      const stored = await pool.query(
+        `SELECT UNNEST(array_prepend(storage_key, rendition_keys)) AS key FROM product_images WHERE product_id = $1
+         UNION ALL
+         SELECT image_storage_key FROM product_variants WHERE product_id = $1 AND image_storage_key IS NOT NULL`,
+        [id]
+      );
       const result = await pool.query(
         "DELETE FROM products WHERE id = $1 RETURNING *",
         [id]
@@ -555,22 +1478,1428 @@ module.exports = (pool) => {
         return res.status(404).json({ message: "Product not found" });
       }
 
+      await removeStoredImages(storage, stored.rows.map((image) => image.key));
       res.json({ message: "Product deleted", product: result.rows[0] });
     } catch (error) {
+      if (error.code === "23001") {
+        return res.status(409).json({ error: "This product has stock movements on record, so it can't be deleted" });
+      }
       console.error("Error deleting product:", error);
       res.status(500).json({ error: "Failed to delete product" });
     }
   });
 
-  return router;
-};
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ProductOption:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   *           example: Size
+   *         values:
+   *           type: array
+   *           items:
+   *             type: string
+   *           example: [S, M, L]
+   *     ProductVariant:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         sku:
+   *           type: string
+   *         options:
+   *           type: object
+   *           additionalProperties:
+   *             type: string
+   *           example: { Size: M, Colour: Red }
+   *         price:
+   *           type: number
+   *           description: The variant's own price, or the product price if it has no override
+   *         stock:
+   *           type: integer
+   *         available_stock:
+   *           type: integer
+   *           description: Stock less the units held in customers' carts
+   *         image_url:
+   *           type: string
+   *           description: The variant's own image, or the product image if it has none
+   */
+
+  /**
+   * @swagger
+   * /products/{id}/options:
+   *   put:
+   *     summary: Replace the options (e.g. Size, Colour) a product's variants are built from
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - options
+   *             properties:
+   *               options:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/ProductOption'
+   *     responses:
+   *       200:
+   *         description: Options updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/ProductOption'
+   *       404:
+   *         description: Product not found
+   *       409:
+   *         description: Existing variants don't fit the new options
+   *       500:
+   *         description: Failed to update product options
+   */
+  router.put(
+    "/:id/options",
+    authenticateJWT,
+    requirePermission("products:write"),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      body("options").isArray().withMessage("Options must be an array"),
+      body("options.*.name").isString().notEmpty().withMessage("Option name is required"),
+      body("options.*.values").isArray({ min: 1 }).withMessage("Option values must be a non-empty array"),
+      body("options.*.values.*").isString().notEmpty().withMessage("Option values must be strings"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { options } = req.body;
+      const names = options.map((option) => option.name);
+      if (new Set(names).size !== names.length) {
+        return res.status(400).json({ error: "Option names must be unique" });
+      }
+
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+
+        const product = await client.query("SELECT id FROM products WHERE id = $1 FOR UPDATE", [id]);
+        if (product.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ message: "Product not found" });
+        }
+
+        const variants = await client.query("SELECT sku, options FROM product_variants WHERE product_id = $1", [id]);
+        const misfits = variants.rows.filter((variant) => variantOptionsError(options, variant.options));
+        if (misfits.length > 0) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            error: "Existing variants don't fit the new options; update or delete them first",
+            skus: misfits.map((variant) => variant.sku),
+          });
+        }
+
+        await client.query("DELETE FROM product_options WHERE product_id = $1", [id]);
+        for (const [position, option] of options.entries()) {
+          await client.query(
+            "INSERT INTO product_options (product_id, name, values, position) VALUES ($1, $2, $3, $4)",
+            [id, option.name, option.values, position]
+          );
+        }
+
+        await client.query("COMMIT");
+        res.json(options.map(({ name, values }) => ({ name, values })));
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        console.error("Error updating product options:", error);
+        res.status(500).json({ error: "Failed to update product options" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}/variants:
+   *   get:
+   *     summary: List a product's variants
+   *     tags: [Products]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *     responses:
+   *       200:
+   *         description: List of variants
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/ProductVariant'
+   *       404:
+   *         description: Product not found
+   *       500:
+   *         description: Failed to get variants
+   */
+  router.get("/:id/variants", [param("id").isInt().withMessage("ID must be an integer")], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const product = await pool.query("SELECT price, image_url FROM products WHERE id = $1", [req.params.id]);
+      if (product.rows.length === 0) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+      const variants = await pool.query(
+        `SELECT id, sku, options, COALESCE(price, $2) AS price, stock, (stock - ${RESERVED_FOR_VARIANT})::int AS available_stock,
+           COALESCE(image_url, $3) AS image_url
+         FROM product_variants WHERE product_id = $1 ORDER BY id`,
+        [req.params.id, product.rows[0].price, product.rows[0].image_url]
+      );
+      res.json(variants.rows);
+    } catch (error) {
+      console.error("Error getting variants:", error);
+      res.status(500).json({ error: "Failed to get variants" });
+    }
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/variants:
+   *   post:
+   *     summary: Add a variant to a product
+   *     description: The variant must pick exactly one value for each of the product's options.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - sku
+   *               - stock
+   *               - options
+   *             properties:
+   *               sku:
+   *                 type: string
+   *               price:
+   *                 type: number
+   *                 description: Leave out to use the product price
+   *               stock:
+   *                 type: integer
+   *               options:
+   *                 type: object
+   *                 additionalProperties:
+   *                   type: string
+   *               image:
+   *                 type: string
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             description: The same fields as the JSON body, with the image as a file
+   *             properties:
+   *               image:
+   *                 type: string
+   *                 format: binary
+   *     responses:
+   *       201:
+   *         description: Variant created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ProductVariant'
+   *       400:
+   *         description: Options don't match the product's options, or the image couldn't be read
+   *       404:
+   *         description: Product not found
+   *       409:
+   *         description: SKU or option combination already exists
+   *       413:
+   *         description: The image is larger than MAX_IMAGE_UPLOAD_BYTES (5 MB by default)
+   *       415:
+   *         description: The image isn't a JPEG, PNG or WebP, or isn't the type it was sent as
+   *       500:
+   *         description: Failed to create variant
+   *       502:
+   *         description: The image couldn't be stored
+   */
+  router.post(
+    "/:id/variants",
+    authenticateJWT,
+    requirePermission("products:write"),
+    acceptImageUpload(),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      body("sku").isString().trim().notEmpty().withMessage("SKU is required"),
+      body("price").optional({ nullable: true }).isFloat({ min: 0 }).withMessage("Price must be a positive number"),
+      body("stock").isInt({ min: 0 }).withMessage("Stock must be a non-negative integer").toInt(),
+      body("options").customSanitizer(parseJsonField).isObject().withMessage("Options must be an object"),
+      body("image").optional().isString().withMessage("Image must be a string"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let client;
+      let uploaded = null;
+      try {
+        const { id } = req.params;
+        const { sku, price, stock, options } = req.body;
+
+        const product = await pool.query("SELECT id FROM products WHERE id = $1", [id]);
+        if (product.rows.length === 0) {
+          return res.status(404).json({ message: "Product not found" });
+        }
+
+        const optionDefs = await pool.query("SELECT name, values FROM product_options WHERE product_id = $1", [id]);
+        const optionsError = variantOptionsError(optionDefs.rows, options);
+        if (optionsError) {
+          return res.status(400).json({ error: optionsError });
+        }
+
+        const image = requestImage(req);
+        if (image) {
+          const stored = await storeImage(storage, image, { withRenditions: false });
+          if (stored.error) {
+            return res.status(stored.status).json({ error: stored.error });
+          }
+          uploaded = stored;
+        }
+
+        client = await pool.connect();
+        await client.query("BEGIN");
+        const result = await client.query(
+          `INSERT INTO product_variants (product_id, sku, price, stock, options, image_url, image_storage_key)
+           VALUES ($1, $2, $3, 0, $4, $5, $6) RETURNING ${VARIANT_COLUMNS}`,
+          [id, sku, price, JSON.stringify(options), uploaded ? uploaded.url : null, uploaded ? uploaded.key : null]
+        );
+        if (stock > 0) {
+          await recordMovement(client, {
+            productId: Number(id),
+            variantId: result.rows[0].id,
+            type: "receipt",
+            quantity: stock,
+            reason: "Initial stock",
+            actorId: req.user.userId,
+          });
+        }
+        await client.query("COMMIT");
+        await sendStockNotifications(pool, notifier, [{ productId: Number(id), variantId: result.rows[0].id }]);
+        res.status(201).json({ ...result.rows[0], stock });
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        if (uploaded) {
+          await removeStoredImages(storage, uploaded.keys);
+        }
+        if (error.code === "23505") {
+          return res.status(409).json({ error: "A variant with this SKU or these options already exists" });
+        }
+        console.error("Error creating variant:", error);
+        res.status(500).json({ error: "Failed to create variant" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}/variants/{variantId}:
+   *   put:
+   *     summary: Update a variant
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *       - in: path
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the variant
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - sku
+   *               - options
+   *             properties:
+   *               sku:
+   *                 type: string
+   *               price:
+   *                 type: number
+   *                 nullable: true
+   *                 description: null to fall back to the product price
+   *               stock:
+   *                 type: integer
+   *                 description: >
+   *                   Leave out to keep the current stock. A change is recorded in the
+   *                   stock ledger as a correction; prefer posting a stock movement.
+   *               options:
+   *                 type: object
+   *                 additionalProperties:
+   *                   type: string
+   *               image:
+   *                 type: string
+   *                 description: Leave out to keep the current image
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             description: The same fields as the JSON body, with the image as a file
+   *             properties:
+   *               image:
+   *                 type: string
+   *                 format: binary
+   *     responses:
+   *       200:
+   *         description: Variant updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ProductVariant'
+   *       400:
+   *         description: Options don't match the product's options, or the image couldn't be read
+   *       404:
+   *         description: Variant not found
+   *       409:
+   *         description: SKU or option combination already exists
+   *       413:
+   *         description: The image is larger than MAX_IMAGE_UPLOAD_BYTES (5 MB by default)
+   *       415:
+   *         description: The image isn't a JPEG, PNG or WebP, or isn't the type it was sent as
+   *       500:
+   *         description: Failed to update variant
+   *       502:
+   *         description: The image couldn't be stored
+   */
+  router.put(
+    "/:id/variants/:variantId",
+    authenticateJWT,
+    requirePermission("products:write"),
+    acceptImageUpload(),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      param("variantId").isInt().withMessage("Variant ID must be an integer"),
+      body("sku").isString().trim().notEmpty().withMessage("SKU is required"),
+      body("price").optional({ nullable: true }).isFloat({ min: 0 }).withMessage("Price must be a positive number"),
+      body("stock").optional().isInt({ min: 0 }).withMessage("Stock must be a non-negative integer").toInt(),
+      body("options").customSanitizer(parseJsonField).isObject().withMessage("Options must be an object"),
+      body("image").optional().isString().withMessage("Image must be a string"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let client;
+      let uploaded = null;
+      try {
+        const { id, variantId } = req.params;
+        const { sku, price, stock, options } = req.body;
+
+        const optionDefs = await pool.query("SELECT name, values FROM product_options WHERE product_id = $1", [id]);
+        const optionsError = variantOptionsError(optionDefs.rows, options);
+        if (optionsError) {
+          return res.status(400).json({ error: optionsError });
+        }
+
+        const image = requestImage(req);
+        if (image) {
+          const stored = await storeImage(storage, image, { withRenditions: false });
+          if (stored.error) {
+            return res.status(stored.status).json({ error: stored.error });
+          }
+          uploaded = stored;
+        }
+
+        client = await pool.connect();
+        await client.query("BEGIN");
+        const current = await client.query(
+          "SELECT image_storage_key FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE",
+          [variantId, id]
+        );
+        if (current.rows.length === 0) {
+          await client.query("ROLLBACK");
+          if (uploaded) {
+            await removeStoredImages(storage, uploaded.keys);
+          }
+          return res.status(404).json({ message: "Variant not found" });
+        }
+        if (stock !== undefined) {
+          await setStockLevel(client, { productId: id, variantId }, stock, {
+            reason: "Stock level set on variant update",
+            actorId: req.user.userId,
+          });
+        }
+
+        const result = await client.query(
+          `UPDATE product_variants
+           SET sku = $1, price = $2, options = $3, image_url = COALESCE($4, image_url),
+             image_storage_key = CASE WHEN $4::text IS NULL THEN image_storage_key ELSE $7 END
+           WHERE id = $5 AND product_id = $6 RETURNING ${VARIANT_COLUMNS}`,
+          [
+            sku,
+            price === undefined ? null : price,
+            JSON.stringify(options),
+            uploaded ? uploaded.url : null,
+            variantId,
+            id,
+            uploaded ? uploaded.key : null,
+          ]
+        );
+        await client.query("COMMIT");
+        // The replaced image is no longer used anywhere
+        if (uploaded) {
+          await removeStoredImages(storage, [current.rows[0].image_storage_key]);
+        }
+        await sendStockNotifications(pool, notifier, [{ productId: Number(id), variantId: Number(variantId) }]);
+        res.json(result.rows[0]);
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        if (uploaded) {
+          await removeStoredImages(storage, uploaded.keys);
+        }
+        if (error.code === "23505") {
+          return res.status(409).json({ error: "A variant with this SKU or these options already exists" });
+        }
+        console.error("Error updating variant:", error);
+        res.status(500).json({ error: "Failed to update variant" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}/variants/{variantId}:
+   *   delete:
+   *     summary: Delete a variant
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *       - in: path
+   *         name: variantId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the variant
+   *     responses:
+   *       200:
+   *         description: Variant deleted
+   *       404:
+   *         description: Variant not found
+   *       409:
+   *         description: The variant has stock movements, which are kept for good
+   *       500:
+   *         description: Failed to delete variant
+   */
+  router.delete(
+    "/:id/variants/:variantId",
+    authenticateJWT,
+    requirePermission("products:write"),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      param("variantId").isInt().withMessage("Variant ID must be an integer"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const result = await pool.query(
+          `DELETE FROM product_variants WHERE id = $1 AND product_id = $2 RETURNING ${VARIANT_COLUMNS}, image_storage_key`,
+          [req.params.variantId, req.params.id]
+        );
+        if (result.rows.length === 0) {
+          return res.status(404).json({ message: "Variant not found" });
+        }
+        const { image_storage_key: storageKey, ...variant } = result.rows[0];
+        await removeStoredImages(storage, [storageKey]);
+        res.json({ message: "Variant deleted", variant });
+      } catch (error) {
+        if (error.code === "23001") {
+          return res.status(409).json({ error: "This variant has stock movements on record, so it can't be deleted" });
+        }
+        console.error("Error deleting variant:", error);
+        res.status(500).json({ error: "Failed to delete variant" });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ProductImage:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         url:
+   *           type: string
+   *           description: The image as uploaded, upright and with its metadata removed
+   *         renditions:
+   *           type: object
+   *           description: >
+   *             URLs of resized copies: thumbnail (200px square, cropped), medium
+   *             (within 800px) and large (within 1600px). Empty for images added by URL
+   *             through catalog import.
+   *           additionalProperties:
+   *             type: string
+   *         alt_text:
+   *           type: string
+   *           nullable: true
+   *         position:
+   *           type: integer
+   *           description: Place in the gallery, from 0
+   *         is_primary:
+   *           type: boolean
+   *           description: The primary image is also the product's image_url
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   */
+
+  /**
+   * @swagger
+   * /products/{id}/images:
+   *   get:
+   *     summary: List a product's images in gallery order
+   *     tags: [Products]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *     responses:
+   *       200:
+   *         description: The product's images
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/ProductImage'
+   *       404:
+   *         description: Product not found
+   *       500:
+   *         description: Failed to get product images
+   */
+  router.get("/:id/images", [param("id").isInt().withMessage("ID must be an integer")], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const product = await pool.query("SELECT id FROM products WHERE id = $1", [req.params.id]);
+      if (product.rows.length === 0) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+      res.json(await listProductImages(pool, req.params.id));
+    } catch (error) {
+      console.error("Error getting product images:", error);
+      res.status(500).json({ error: "Failed to get product images" });
+    }
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/images:
+   *   post:
+   *     summary: Add an image to the end of a product's gallery
+   *     description: A product's first image becomes its primary image.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - image
+   *             properties:
+   *               image:
+   *                 type: string
+   *                 description: >
+   *                   A base64 data URI or a public http(s) URL to download, or upload
+   *                   the file in a multipart/form-data body
+   *               alt_text:
+   *                 type: string
+   *               is_primary:
+   *                 type: boolean
+   *                 description: Make the new image the primary image
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             description: The same fields as the JSON body, with the image as a file
+   *             properties:
+   *               image:
+   *                 type: string
+   *                 format: binary
+   *     responses:
+   *       201:
+   *         description: Image added
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ProductImage'
+   *       400:
+   *         description: No image was sent, or it couldn't be read
+   *       404:
+   *         description: Product not found
+   *       413:
+   *         description: The image is larger than MAX_IMAGE_UPLOAD_BYTES (5 MB by default)
+   *       415:
+   *         description: The image isn't a JPEG, PNG or WebP, or isn't the type it was sent as
+   *       500:
+   *         description: Failed to add product image
+   *       502:
+   *         description: The image couldn't be stored
+   */
+  router.post(
+    "/:id/images",
+    authenticateJWT,
+    requirePermission("products:write"),
+    acceptImageUpload(),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      body("image")
+        .custom((value, { req }) => Boolean(req.file) || (typeof value === "string" && value !== ""))
+        .withMessage("Image is required"),
+      body("alt_text").optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage("Alt text must be at most 255 characters"),
+      body("is_primary").optional().isBoolean().withMessage("is_primary must be true or false").toBoolean(),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let client;
+      let uploaded = null;
+      try {
+        const { id } = req.params;
+        const { alt_text, is_primary } = req.body;
+
+        const product = await pool.query("SELECT id FROM products WHERE id = $1", [id]);
+        if (product.rows.length === 0) {
+          return res.status(404).json({ message: "Product not found" });
+        }
+
+        const stored = await storeImage(storage, requestImage(req));
+        if (stored.error) {
+          return res.status(stored.status).json({ error: stored.error });
+        }
+        uploaded = stored;
+
+        client = await pool.connect();
+        await client.query("BEGIN");
+        // Lock the product so concurrent changes to its gallery don't interleave
+        await client.query("SELECT id FROM products WHERE id = $1 FOR UPDATE", [id]);
+        const added = await addProductImage(client, id, {
+          url: uploaded.url,
+          storageKey: uploaded.key,
+          renditions: uploaded.renditions,
+          renditionKeys: uploaded.renditionKeys,
+          altText: alt_text,
+          primary: is_primary === true,
+        });
+        await client.query("COMMIT");
+        res.status(201).json(added);
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        if (uploaded) {
+          await removeStoredImages(storage, uploaded.keys);
+        }
+        console.error("Error adding product image:", error);
+        res.status(500).json({ error: "Failed to add product image" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}/images/order:
+   *   put:
+   *     summary: Reorder a product's gallery
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - image_ids
+   *             properties:
+   *               image_ids:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *                 description: Every one of the product's image IDs, in the new order
+   *     responses:
+   *       200:
+   *         description: The reordered images
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/ProductImage'
+   *       400:
+   *         description: image_ids doesn't list each of the product's images exactly once
+   *       404:
+   *         description: Product not found
+   *       500:
+   *         description: Failed to reorder product images
+   */
+  router.put(
+    "/:id/images/order",
+    authenticateJWT,
+    requirePermission("products:write"),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      body("image_ids").isArray({ min: 1 }).withMessage("image_ids must be a non-empty array of image IDs"),
+      body("image_ids.*").isInt().withMessage("Image IDs must be integers").toInt(),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query("BEGIN");
+        const product = await client.query("SELECT id FROM products WHERE id = $1 FOR UPDATE", [req.params.id]);
+        if (product.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ message: "Product not found" });
+        }
+        const images = await reorderProductImages(client, req.params.id, req.body.image_ids);
+        if (!images) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "image_ids must list each of the product's images exactly once" });
+        }
+        await client.query("COMMIT");
+        res.json(images);
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        console.error("Error reordering product images:", error);
+        res.status(500).json({ error: "Failed to reorder product images" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}/images/{imageId}:
+   *   patch:
+   *     summary: Change an image's alt text or make it the primary image
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *       - in: path
+   *         name: imageId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the image
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               alt_text:
+   *                 type: string
+   *                 nullable: true
+   *               is_primary:
+   *                 type: boolean
+   *                 enum: [true]
+   *                 description: To stop an image being primary, make another one primary
+   *     responses:
+   *       200:
+   *         description: Image updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ProductImage'
+   *       404:
+   *         description: Product or image not found
+   *       500:
+   *         description: Failed to update product image
+   */
+  router.patch(
+    "/:id/images/:imageId",
+    authenticateJWT,
+    requirePermission("products:write"),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      param("imageId").isInt().withMessage("Image ID must be an integer"),
+      body("alt_text").optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage("Alt text must be at most 255 characters"),
+      body("is_primary")
+        .optional()
+        .custom((value) => value === true)
+        .withMessage("is_primary can only be set to true; make another image primary instead"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let client;
+      try {
+        client = await pool.connect();
+        const { id, imageId } = req.params;
+        const { alt_text, is_primary } = req.body;
+
+        await client.query("BEGIN");
+        const product = await client.query("SELECT id FROM products WHERE id = $1 FOR UPDATE", [id]);
+        if (product.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ message: "Product not found" });
+        }
+        const image = await client.query(
+          "UPDATE product_images SET alt_text = CASE WHEN $3 THEN $4 ELSE alt_text END WHERE id = $1 AND product_id = $2 RETURNING id",
+          [imageId, id, alt_text !== undefined, alt_text ?? null]
+        );
+        if (image.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ message: "Image not found" });
+        }
+        if (is_primary) {
+          await setPrimaryImage(client, id, imageId);
+        }
+        await client.query("COMMIT");
+
+        const images = await listProductImages(pool, id);
+        res.json(images.find((candidate) => candidate.id === Number(imageId)));
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        console.error("Error updating product image:", error);
+        res.status(500).json({ error: "Failed to update product image" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}/images/{imageId}:
+   *   delete:
+   *     summary: Remove an image from a product's gallery and delete the stored file
+   *     description: If it was the primary image, the next image in the gallery becomes primary.
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *       - in: path
+   *         name: imageId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the image
+   *     responses:
+   *       200:
+   *         description: Image deleted
+   *       404:
+   *         description: Image not found
+   *       500:
+   *         description: Failed to delete product image
+   */
+  router.delete(
+    "/:id/images/:imageId",
+    authenticateJWT,
+    requirePermission("products:write"),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      param("imageId").isInt().withMessage("Image ID must be an integer"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let client;
+      try {
+        client = await pool.connect();
+        const { id, imageId } = req.params;
+
+        await client.query("BEGIN");
+        await client.query("SELECT id FROM products WHERE id = $1 FOR UPDATE", [id]);
+        const removed = await removeProductImage(client, id, imageId);
+        if (!removed) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ message: "Image not found" });
+        }
+        await client.query("COMMIT");
+
+        const { storage_keys: storageKeys, ...image } = removed;
+        await removeStoredImages(storage, storageKeys);
+        res.json({ message: "Image deleted", image });
+      } catch (error) {
+        if (client) {
+          await client.query("ROLLBACK");
+        }
+        console.error("Error deleting product image:", error);
+        res.status(500).json({ error: "Failed to delete product image" });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}/prices:
+   *   get:
+   *     summary: List a product's prices in other currencies
+   *     description: >
+   *       Prices set here are used instead of converting the base price in that
+   *       currency. They don't apply to variants with a price of their own,
+   *       which are always converted.
+   *     tags: [Products]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *     responses:
+   *       200:
+   *         description: Price overrides
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *                 properties:
+   *                   currency:
+   *                     type: string
+   *                   price:
+   *                     type: number
+   *       500:
+   *         description: Failed to get product prices
+   */
+  router.get("/:id/prices", [param("id").isInt().withMessage("ID must be an integer")], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const prices = await pool.query(
+        "SELECT currency, price FROM product_prices WHERE product_id = $1 ORDER BY currency",
+        [req.params.id]
+      );
+      res.json(prices.rows);
+    } catch (error) {
+      console.error("Error getting product prices:", error);
+      res.status(500).json({ error: "Failed to get product prices" });
+    }
+  });
+
+  /**
+   * @swagger
+   * /products/{id}/prices/{currency}:
+   *   put:
+   *     summary: Set a product's price in another currency
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *       - in: path
+   *         name: currency
+   *         schema:
+   *           type: string
+   *         required: true
+   *         description: A currency with an exchange rate (see /currencies)
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - price
+   *             properties:
+   *               price:
+   *                 type: number
+   *     responses:
+   *       200:
+   *         description: Price saved
+   *       400:
+   *         description: Invalid price, the base currency, or a currency we don't sell in
+   *       404:
+   *         description: Product not found
+   *       500:
+   *         description: Failed to set product price
+   */
+  router.put(
+    "/:id/prices/:currency",
+    authenticateJWT,
+    requirePermission("products:write"),
+    [
+      param("id").isInt().withMessage("ID must be an integer"),
+      param("currency").toUpperCase().isISO4217().withMessage("Currency must be an ISO 4217 currency code"),
+      body("price").isFloat({ min: 0 }).withMessage("Price must be a non-negative number"),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, currency } = req.params;
+      if (currency === baseCurrency()) {
+        return res.status(400).json({ error: `${currency} is the base currency; update the product's price instead` });
+      }
+
+      try {
+        const product = await pool.query("SELECT id FROM products WHERE id = $1", [id]);
+        if (product.rows.length === 0) {
+          return res.status(404).json({ message: "Product not found" });
+        }
+        const rate = await pool.query("SELECT currency FROM exchange_rates WHERE currency = $1", [currency]);
+        if (rate.rows.length === 0) {
+          return res.status(400).json({ error: `Add an exchange rate for ${currency} first` });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO product_prices (product_id, currency, price) VALUES ($1, $2, $3)
+           ON CONFLICT (product_id, currency) DO UPDATE SET price = EXCLUDED.price
+           RETURNING currency, price`,
+          [id, currency, req.body.price]
+        );
+        res.json(result.rows[0]);
+      } catch (error) {
+        console.error("Error setting product price:", error);
+        res.status(500).json({ error: "Failed to set product price" });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{id}/prices/{currency}:
+   *   delete:
+   *     summary: Go back to converting a product's base price in a currency
+   *     tags: [Products]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the product
+   *       - in: path
+   *         name: currency
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Price removed
+   *       404:
+   *         description: Price not found
+   *       500:
+   *         description: Failed to remove product price
+   */
+  router.delete(
+    "/:id/prices/:currency",
+    authenticateJWT,
+    requirePermission("products:write"),
+    [param("id").isInt().withMessage("ID must be an integer")],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const result = await pool.query(
+          "DELETE FROM product_prices WHERE product_id = $1 AND currency = $2 RETURNING currency, price",
+          [req.params.id, req.params.currency.toUpperCase()]
+        );
+        if (result.rows.length === 0) {
+          return res.status(404).json({ message: "Price not found" });
+        }
+        res.json({ message: "Price removed", price: result.rows[0] });
+      } catch (error) {
+        console.error("Error removing product price:", error);
+        res.status(500).json({ error: "Failed to remove product price" });
+      }
+    }
+  );
+
+  return router;
+};
+
+// Shared by the product listing and its facets. `exclude` leaves out one
+// filter ("price", "category" or "inStock") so a facet can count the options
+// its own filter would otherwise hide.
+function buildProductFilters({ minPrice, maxPrice, category, includeSubcategories, minRating, inStock, search }, exclude) {
+  let fromClause = 'FROM products';
+  let whereClause = 'WHERE 1=1'; // Start with a basic WHERE clause
+  const values = []; // Array to hold parameter values
+  let tsQueryParam;
+  let textParam;
+
+  if (minPrice && exclude !== 'price') {
+    whereClause += ' AND price >= $' + (values.length + 1);
+    values.push(minPrice);
+  }
+
+  if (maxPrice && exclude !== 'price') {
+    whereClause += ' AND price <= $' + (values.length + 1);
+    values.push(maxPrice);
+  }
+
+  if (category && exclude !== 'category') {
+    const categoryIds = [].concat(category).flatMap((ids) => ids.split(',')).map(Number);
+    if (includeSubcategories === 'true') {
+      whereClause += ` AND category_id IN (${descendantIdsSql(values.length + 1)})`;
+    } else {
+      whereClause += ' AND category_id = ANY($' + (values.length + 1) + '::int[])';
+    }
+    values.push(categoryIds);
+  }
+
+  if (minRating) {
+    whereClause += ` AND ${AVERAGE_RATING} >= $` + (values.length + 1);
+    values.push(minRating);
+  }
+
+  if (inStock && exclude !== 'inStock') {
+    whereClause += inStock === 'true' ? ` AND ${AVAILABLE_STOCK} > 0` : ` AND ${AVAILABLE_STOCK} <= 0`;
+  }
+
+  if (search) {
+    // Full-text match on name, category and description (with prefix
+    // matching), or a close trigram match on the name to forgive typos
+    tsQueryParam = values.length + 1;
+    textParam = values.length + 2;
+    values.push(toPrefixTsQuery(search), search);
+
+    fromClause += ' LEFT JOIN product_search ps ON ps.product_id = products.id';
+    whereClause += ` AND (ps.document @@ ${tsQuerySql(tsQueryParam)} OR products.name % $${textParam})`;
+  }
+
+  return { fromClause, whereClause, values, tsQueryParam, textParam };
+}
+
+async function computeFacets(pool, filters) {
+  const byCategory = buildProductFilters(filters, 'category');
+  const categories = await pool.query(
+    `SELECT c.id, c.name, COUNT(*)::int AS count
+     FROM (SELECT products.category_id ${byCategory.fromClause} ${byCategory.whereClause}) AS matched
+     JOIN categories c ON c.id = matched.category_id
+     GROUP BY c.id, c.name ORDER BY c.name`,
+    byCategory.values
+  );
+
+  const byPrice = buildProductFilters(filters, 'price');
+  const prices = await pool.query(
+    `SELECT width_bucket(products.price, $${byPrice.values.length + 1}::numeric[]) AS bucket, COUNT(*)::int AS count
+     ${byPrice.fromClause} ${byPrice.whereClause} GROUP BY bucket`,
+    [...byPrice.values, PRICE_BUCKETS]
+  );
+  const bucketCounts = new Map(prices.rows.map((row) => [row.bucket, row.count]));
+  const bounds = [0, ...PRICE_BUCKETS];
+  const priceRanges = bounds.map((min, bucket) => ({
+    min,
+    max: bucket < PRICE_BUCKETS.length ? PRICE_BUCKETS[bucket] : null,
+    count: bucketCounts.get(bucket) || 0,
+  }));
+
+  const byStock = buildProductFilters(filters, 'inStock');
+  const stock = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE ${AVAILABLE_STOCK} > 0)::int AS "inStock",
+            COUNT(*) FILTER (WHERE ${AVAILABLE_STOCK} <= 0)::int AS "outOfStock"
+     ${byStock.fromClause} ${byStock.whereClause}`,
+    byStock.values
+  );
+
+  const all = buildProductFilters(filters);
+  const attributes = await pool.query(
+    `SELECT o.key AS name, o.value, COUNT(DISTINCT v.product_id)::int AS count
+     FROM product_variants v CROSS JOIN LATERAL jsonb_each_text(v.options) AS o
+     WHERE v.product_id IN (SELECT products.id ${all.fromClause} ${all.whereClause})
+     GROUP BY o.key, o.value ORDER BY o.key, o.value`,
+    all.values
+  );
+  const attributeFacets = [];
+  for (const { name, value, count } of attributes.rows) {
+    let facet = attributeFacets.find((entry) => entry.name === name);
+    if (!facet) {
+      facet = { name, values: [] };
+      attributeFacets.push(facet);
+    }
+    facet.values.push({ value, count });
+  }
+
+  return {
+    categories: categories.rows,
+    priceRanges,
+    availability: stock.rows[0],
+    attributes: attributeFacets,
+  };
+}
+
+// A variant has to pick exactly one of the allowed values for every option the
+// product defines, and nothing else. Returns a message, or null if it fits.
+function variantOptionsError(optionDefs, options) {
+  for (const { name, values } of optionDefs) {
+    if (!Object.prototype.hasOwnProperty.call(options, name)) {
+      return `Missing value for option "${name}"`;
+    }
+    if (!values.includes(options[name])) {
+      return `"${options[name]}" is not a valid value for option "${name}"`;
+    }
+  }
 
-// Example authorizeAdmin middleware
-function authorizeAdmin(req, res, next) {
-  if (req.user.role !== "admin") {
-    return res
-      .status(403)
-      .json({ message: "Forbidden. Admin access required." });
+  const known = optionDefs.map((option) => option.name);
+  const unknown = Object.keys(options).find((name) => !known.includes(name));
+  if (unknown) {
+    return `Product has no option "${unknown}"`;
   }
-  next();
+  return null;
 }
@@ -0,0 +1,433 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission } = require('../Middleware/permissionMiddleware');
+const { PROMOTION_TYPES, REDEMPTION_COUNT, normalizeCode } = require('../Services/promotions');
+
+const PROMOTION_COLUMNS = `promotions.*, ${REDEMPTION_COUNT} AS times_redeemed`;
+
+// Body validators shared by create and update
+const promotionValidators = [
+  body('code')
+    .optional({ values: 'null' })
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('Code must be 3 to 50 letters, digits, dashes or underscores'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('type').isIn(PROMOTION_TYPES).withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+  body('value')
+    .if(body('type').equals('percentage'))
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Percentage promotions need a value between 0 and 100'),
+  body('value')
+    .if(body('type').equals('fixed_amount'))
+    .isFloat({ gt: 0 })
+    .withMessage('Fixed amount promotions need a positive value'),
+  body('buy_quantity')
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1 })
+    .withMessage('Buy X get Y promotions need buy_quantity of at least 1'),
+  body('get_quantity')
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1 })
+    .withMessage('Buy X get Y promotions need get_quantity of at least 1'),
+  body('product_ids').optional().isArray().withMessage('product_ids must be an array of product IDs'),
+  body('product_ids.*').isInt().withMessage('product_ids must be an array of product IDs'),
+  body('category_ids').optional().isArray().withMessage('category_ids must be an array of category IDs'),
+  body('category_ids.*').isInt().withMessage('category_ids must be an array of category IDs'),
+  body('min_order_value').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Minimum order value must be a non-negative number'),
+  body('starts_at').optional({ values: 'null' }).isISO8601().withMessage('starts_at must be a date'),
+  body('ends_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('ends_at must be a date')
+    .bail()
+    .custom((value, { req }) => !req.body.starts_at || new Date(value) > new Date(req.body.starts_at))
+    .withMessage('ends_at must be after starts_at'),
+  body('usage_limit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+  body('per_customer_limit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Per-customer limit must be a positive integer'),
+  body('active').optional().isBoolean().withMessage('active must be true or false'),
+];
+
+// Column values for INSERT and UPDATE, in PROMOTION_FIELDS order
+const PROMOTION_FIELDS = [
+  'code', 'name', 'type', 'value', 'buy_quantity', 'get_quantity', 'product_ids', 'category_ids',
+  'min_order_value', 'starts_at', 'ends_at', 'usage_limit', 'per_customer_limit', 'active',
+];
+
+function promotionValues(input) {
+  const usesValue = input.type === 'percentage' || input.type === 'fixed_amount';
+  const buyGet = input.type === 'buy_x_get_y';
+  return [
+    input.code ? normalizeCode(input.code) : null,
+    input.name,
+    input.type,
+    usesValue ? input.value : null,
+    buyGet ? input.buy_quantity : null,
+    buyGet ? input.get_quantity : null,
+    input.product_ids || [],
+    input.category_ids || [],
+    input.min_order_value ?? null,
+    input.starts_at ?? null,
+    input.ends_at ?? null,
+    input.usage_limit ?? null,
+    input.per_customer_limit ?? null,
+    input.active ?? true,
+  ];
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Promotions
+   *   description: Coupons and automatic promotions
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     PromotionInput:
+   *       type: object
+   *       required:
+   *         - name
+   *         - type
+   *       properties:
+   *         code:
+   *           type: string
+   *           nullable: true
+   *           description: Coupon code customers enter. Leave out for a promotion that applies automatically.
+   *         name:
+   *           type: string
+   *           description: Shown on the discount line
+   *         type:
+   *           type: string
+   *           enum: [percentage, fixed_amount, free_shipping, buy_x_get_y]
+   *         value:
+   *           type: number
+   *           description: Percent off (percentage) or amount off (fixed_amount)
+   *         buy_quantity:
+   *           type: integer
+   *           description: buy_x_get_y only; units to pay for in each group
+   *         get_quantity:
+   *           type: integer
+   *           description: buy_x_get_y only; cheapest units free in each group
+   *         product_ids:
+   *           type: array
+   *           items:
+   *             type: integer
+   *         category_ids:
+   *           type: array
+   *           items:
+   *             type: integer
+   *           description: Also covers their subcategories. With no products or categories the whole order counts.
+   *         min_order_value:
+   *           type: number
+   *           nullable: true
+   *         starts_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         ends_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         usage_limit:
+   *           type: integer
+   *           nullable: true
+   *           description: Total uses across all customers
+   *         per_customer_limit:
+   *           type: integer
+   *           nullable: true
+   *         active:
+   *           type: boolean
+   *           default: true
+   *     Promotion:
+   *       allOf:
+   *         - $ref: '#/components/schemas/PromotionInput'
+   *         - type: object
+   *           properties:
+   *             id:
+   *               type: integer
+   *             times_redeemed:
+   *               type: integer
+   *               description: Uses on orders that were not cancelled or refunded
+   *             created_at:
+   *               type: string
+   *               format: date-time
+   */
+
+  /**
+   * @swagger
+   * /promotions:
+   *   get:
+   *     summary: List promotions
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: active
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: Promotions, newest first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/Promotion'
+   *       403:
+   *         description: Forbidden. Requires the promotions:manage permission.
+   *       500:
+   *         description: Failed to list promotions
+   */
+  router.get(
+    '/',
+    authenticateJWT,
+    requirePermission('promotions:manage'),
+    [query('active').optional().isBoolean().withMessage('active must be true or false')],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { active } = req.query;
+        const promotions = await pool.query(
+          `SELECT ${PROMOTION_COLUMNS} FROM promotions WHERE $1::boolean IS NULL OR active = $1 ORDER BY id DESC`,
+          [active === undefined ? null : active === 'true']
+        );
+        res.json(promotions.rows);
+      } catch (error) {
+        console.error("Error listing promotions:", error);
+        res.status(500).json({ error: 'Failed to list promotions' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /promotions/{id}:
+   *   get:
+   *     summary: Get a promotion
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The promotion
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Promotion'
+   *       404:
+   *         description: Promotion not found
+   *       500:
+   *         description: Failed to get promotion
+   */
+  router.get(
+    '/:id',
+    authenticateJWT,
+    requirePermission('promotions:manage'),
+    [param('id').isInt().withMessage('ID must be an integer')],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const promotion = await pool.query(`SELECT ${PROMOTION_COLUMNS} FROM promotions WHERE id = $1`, [req.params.id]);
+        if (promotion.rows.length === 0) {
+          return res.status(404).json({ message: 'Promotion not found' });
+        }
+        res.json(promotion.rows[0]);
+      } catch (error) {
+        console.error("Error getting promotion:", error);
+        res.status(500).json({ error: 'Failed to get promotion' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /promotions:
+   *   post:
+   *     summary: Create a coupon or automatic promotion
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/PromotionInput'
+   *     responses:
+   *       201:
+   *         description: Promotion created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Promotion'
+   *       409:
+   *         description: A promotion with this code already exists
+   *       500:
+   *         description: Failed to create promotion
+   */
+  router.post('/', authenticateJWT, requirePermission('promotions:manage'), promotionValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const placeholders = PROMOTION_FIELDS.map((field, i) => `$${i + 1}`).join(', ');
+      const promotion = await pool.query(
+        `INSERT INTO promotions (${PROMOTION_FIELDS.join(', ')}) VALUES (${placeholders}) RETURNING *, 0 AS times_redeemed`,
+        promotionValues(req.body)
+      );
+      res.status(201).json(promotion.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A promotion with this code already exists' });
+      }
+      console.error("Error creating promotion:", error);
+      res.status(500).json({ error: 'Failed to create promotion' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /promotions/{id}:
+   *   put:
+   *     summary: Update a promotion
+   *     description: Replaces every field. Orders that already used the promotion keep their discount.
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/PromotionInput'
+   *     responses:
+   *       200:
+   *         description: Promotion updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Promotion'
+   *       404:
+   *         description: Promotion not found
+   *       409:
+   *         description: A promotion with this code already exists
+   *       500:
+   *         description: Failed to update promotion
+   */
+  router.put(
+    '/:id',
+    authenticateJWT,
+    requirePermission('promotions:manage'),
+    [param('id').isInt().withMessage('ID must be an integer'), ...promotionValidators],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const assignments = PROMOTION_FIELDS.map((field, i) => `${field} = $${i + 2}`).join(', ');
+        const promotion = await pool.query(
+          `UPDATE promotions SET ${assignments} WHERE id = $1 RETURNING id`,
+          [req.params.id, ...promotionValues(req.body)]
+        );
+        if (promotion.rows.length === 0) {
+          return res.status(404).json({ message: 'Promotion not found' });
+        }
+
+        const updated = await pool.query(`SELECT ${PROMOTION_COLUMNS} FROM promotions WHERE id = $1`, [req.params.id]);
+        res.json(updated.rows[0]);
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'A promotion with this code already exists' });
+        }
+        console.error("Error updating promotion:", error);
+        res.status(500).json({ error: 'Failed to update promotion' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /promotions/{id}:
+   *   delete:
+   *     summary: Delete a promotion that has never been used
+   *     description: Used promotions are part of order history; deactivate them instead.
+   *     tags: [Promotions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Promotion deleted
+   *       404:
+   *         description: Promotion not found
+   *       409:
+   *         description: Promotion has been used
+   *       500:
+   *         description: Failed to delete promotion
+   */
+  router.delete(
+    '/:id',
+    authenticateJWT,
+    requirePermission('promotions:manage'),
+    [param('id').isInt().withMessage('ID must be an integer')],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const promotion = await pool.query('DELETE FROM promotions WHERE id = $1 RETURNING id', [req.params.id]);
+        if (promotion.rows.length === 0) {
+          return res.status(404).json({ message: 'Promotion not found' });
+        }
+        res.json({ message: 'Promotion deleted successfully' });
+      } catch (error) {
+        if (error.code === '23503') {
+          return res.status(409).json({ error: 'This promotion has been used on orders; deactivate it instead' });
+        }
+        console.error("Error deleting promotion:", error);
+        res.status(500).json({ error: 'Failed to delete promotion' });
+      }
+    }
+  );
+
+  return router;
+};
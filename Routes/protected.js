@@ -1,5 +1,6 @@
 const express = require("express");
 const authenticateJWT = require("../Middleware/authMiddleware"); // JWT middleware
+const { requirePermission } = require("../Middleware/permissionMiddleware");
 
 module.exports = (pool) => {
   const router = express.Router();
@@ -39,16 +40,11 @@ module.exports = (pool) => {
    *                     role:
    *                       type: string
    *       403:
-   *         description: Forbidden. Admin access required.
+   *         description: Forbidden. Requires the admin_panel:access permission.
    *       401:
    *         description: Unauthorized
    */
-  router.get("/admin-panel", authenticateJWT, (req, res) => {
-    if (req.user.role !== "admin") {
-      return res
-        .status(403)
-        .json({ message: "Forbidden. Admin access required." });
-    }
+  router.get("/admin-panel", authenticateJWT, requirePermission("admin_panel:access"), (req, res) => {
     res.json({ message: "Admin panel accessed", user: req.user });
   });
 
@@ -80,16 +76,11 @@ module.exports = (pool) => {
    *                     role:
    *                       type: string
    *       403:
-   *         description: Forbidden. Customer access required.
+   *         description: Forbidden. Requires the customer_dashboard:access permission.
    *       401:
    *         description: Unauthorized
    */
-  router.get("/customer-dashboard", authenticateJWT, (req, res) => {
-    if (req.user.role !== "customer") {
-      return res
-        .status(403)
-        .json({ message: "Forbidden. Customer access required." });
-    }
+  router.get("/customer-dashboard", authenticateJWT, requirePermission("customer_dashboard:access"), (req, res) => {
     res.json({ message: "Customer dashboard accessed", user: req.user });
   });
 
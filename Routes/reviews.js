@@ -0,0 +1,684 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission, hasPermission } = require('../Middleware/permissionMiddleware');
+const { reviewsRequireApproval, hasPurchasedProduct } = require('../Services/productReviews');
+const { recordAudit } = require('../Services/audit');
+
+const REVIEW_COLUMNS = `
+  r.id, r.product_id, r.user_id, r.rating, r.body, r.status, r.created_at, r.updated_at,
+  (SELECT COUNT(*) FROM review_helpful_votes v WHERE v.review_id = r.id)::int AS helpful_count
+`;
+
+const REVIEW_SORTS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  helpful: 'helpful_count DESC, r.created_at DESC, r.id DESC',
+  rating_high: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  rating_low: 'r.rating ASC, r.created_at DESC, r.id DESC',
+};
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Reviews
+   *   description: Product reviews and ratings
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Review:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         product_id:
+   *           type: integer
+   *         user_id:
+   *           type: integer
+   *         rating:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 5
+   *         body:
+   *           type: string
+   *         status:
+   *           type: string
+   *           enum: [pending, approved, hidden]
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   *         updated_at:
+   *           type: string
+   *           format: date-time
+   *         helpful_count:
+   *           type: integer
+   */
+
+  /**
+   * @swagger
+   * /products/{productId}/reviews:
+   *   get:
+   *     summary: List the approved reviews of a product
+   *     tags: [Reviews]
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: sort
+   *         schema:
+   *           type: string
+   *           enum: [newest, helpful, rating_high, rating_low]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Reviews with the product's rating summary
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 reviews:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Review'
+   *                 averageRating:
+   *                   type: number
+   *                   nullable: true
+   *                 reviewCount:
+   *                   type: integer
+   *                 ratingBreakdown:
+   *                   type: object
+   *                   description: Number of reviews per star rating, keyed 1 to 5
+   *                 currentPage:
+   *                   type: integer
+   *                 totalPages:
+   *                   type: integer
+   *       404:
+   *         description: Product not found
+   *       500:
+   *         description: Failed to list reviews
+   */
+  router.get(
+    '/products/:productId/reviews',
+    [
+      param('productId').isInt().withMessage('Product ID must be an integer'),
+      query('sort').optional().isIn(Object.keys(REVIEW_SORTS)).withMessage(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`),
+      query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { productId } = req.params;
+        const { sort = 'newest', page = 1, limit = 10 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const product = await pool.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (product.rows.length === 0) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const reviews = await pool.query(
+          `SELECT ${REVIEW_COLUMNS} FROM product_reviews r
+           WHERE r.product_id = $1 AND r.status = 'approved'
+           ORDER BY ${REVIEW_SORTS[sort]} LIMIT $2 OFFSET $3`,
+          [productId, limit, offset]
+        );
+        const breakdown = await pool.query(
+          `SELECT rating, COUNT(*)::int AS count FROM product_reviews
+           WHERE product_id = $1 AND status = 'approved' GROUP BY rating`,
+          [productId]
+        );
+
+        const ratingBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        let reviewCount = 0;
+        let ratingTotal = 0;
+        for (const { rating, count } of breakdown.rows) {
+          ratingBreakdown[rating] = count;
+          reviewCount += count;
+          ratingTotal += rating * count;
+        }
+
+        res.json({
+          reviews: reviews.rows,
+          averageRating: reviewCount > 0 ? Math.round((ratingTotal / reviewCount) * 100) / 100 : null,
+          reviewCount,
+          ratingBreakdown,
+          currentPage: parseInt(page, 10),
+          totalPages: Math.ceil(reviewCount / limit),
+        });
+      } catch (error) {
+        console.error("Error listing reviews:", error);
+        res.status(500).json({ error: 'Failed to list reviews' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /products/{productId}/reviews:
+   *   post:
+   *     summary: Review a product you have ordered
+   *     description: >
+   *       Each customer can review a product once, and only after placing an
+   *       order for it that was not cancelled or refunded. When
+   *       REVIEWS_REQUIRE_APPROVAL is set the review stays pending until a
+   *       moderator approves it.
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: productId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - rating
+   *               - body
+   *             properties:
+   *               rating:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 5
+   *               body:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Review created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Review'
+   *       403:
+   *         description: You have not ordered this product
+   *       404:
+   *         description: Product not found
+   *       409:
+   *         description: You have already reviewed this product
+   *       500:
+   *         description: Failed to create review
+   */
+  router.post(
+    '/products/:productId/reviews',
+    authenticateJWT,
+    [
+      param('productId').isInt().withMessage('Product ID must be an integer'),
+      body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+      body('body').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Review text must be 1 to 5000 characters'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const productId = parseInt(req.params.productId, 10);
+        const { rating, body: text } = req.body;
+
+        const product = await pool.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (product.rows.length === 0) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        if (!(await hasPurchasedProduct(pool, req.user.userId, productId))) {
+          return res.status(403).json({ message: 'You can only review products you have ordered' });
+        }
+
+        const review = await pool.query(
+          `INSERT INTO product_reviews (product_id, user_id, rating, body, status)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *, 0 AS helpful_count`,
+          [productId, req.user.userId, rating, text, reviewsRequireApproval() ? 'pending' : 'approved']
+        );
+        res.status(201).json(review.rows[0]);
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'You have already reviewed this product' });
+        }
+        console.error("Error creating review:", error);
+        res.status(500).json({ error: 'Failed to create review' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /reviews:
+   *   get:
+   *     summary: List reviews for moderation
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, approved, hidden]
+   *       - in: query
+   *         name: productId
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Matching reviews, oldest first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 reviews:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Review'
+   *                 totalCount:
+   *                   type: integer
+   *                 currentPage:
+   *                   type: integer
+   *                 totalPages:
+   *                   type: integer
+   *       403:
+   *         description: Forbidden. Requires the reviews:moderate permission.
+   *       500:
+   *         description: Failed to list reviews
+   */
+  router.get(
+    '/reviews',
+    authenticateJWT,
+    requirePermission('reviews:moderate'),
+    [
+      query('status').optional().isIn(['pending', 'approved', 'hidden']).withMessage('Status must be pending, approved or hidden'),
+      query('productId').optional().isInt().withMessage('Product ID must be an integer'),
+      query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { status, productId, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let whereClause = 'WHERE 1=1';
+        const values = [];
+
+        if (status) {
+          whereClause += ' AND r.status = $' + (values.length + 1);
+          values.push(status);
+        }
+
+        if (productId) {
+          whereClause += ' AND r.product_id = $' + (values.length + 1);
+          values.push(productId);
+        }
+
+        const reviews = await pool.query(
+          `SELECT ${REVIEW_COLUMNS} FROM product_reviews r ${whereClause}
+           ORDER BY r.created_at, r.id LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+          [...values, limit, offset]
+        );
+        const totalCountResult = await pool.query(`SELECT COUNT(*) FROM product_reviews r ${whereClause}`, values);
+        const totalCount = parseInt(totalCountResult.rows[0].count, 10);
+
+        res.json({
+          reviews: reviews.rows,
+          totalCount: totalCount,
+          currentPage: parseInt(page, 10),
+          totalPages: Math.ceil(totalCount / limit),
+        });
+      } catch (error) {
+        console.error("Error listing reviews for moderation:", error);
+        res.status(500).json({ error: 'Failed to list reviews' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /reviews/{id}:
+   *   put:
+   *     summary: Edit your review
+   *     description: With REVIEWS_REQUIRE_APPROVAL set, an edited review goes back to pending.
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               rating:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 5
+   *               body:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Review updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Review'
+   *       404:
+   *         description: Review not found
+   *       500:
+   *         description: Failed to update review
+   */
+  router.put(
+    '/reviews/:id',
+    authenticateJWT,
+    [
+      param('id').isInt().withMessage('Review ID must be an integer'),
+      body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+      body('body').optional().isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Review text must be 1 to 5000 characters'),
+      body().custom((value) => value.rating !== undefined || value.body !== undefined).withMessage('Provide a rating or body to change'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { id } = req.params;
+        const { rating, body: text } = req.body;
+
+        // A hidden review stays hidden; otherwise re-queue it for approval if required
+        const review = await pool.query(
+          `UPDATE product_reviews r
+           SET rating = COALESCE($3, rating), body = COALESCE($4, body), updated_at = NOW(),
+               status = CASE WHEN status <> 'hidden' AND $5 THEN 'pending' ELSE status END
+           WHERE id = $1 AND user_id = $2
+           RETURNING ${REVIEW_COLUMNS}`,
+          [id, req.user.userId, rating ?? null, text ?? null, reviewsRequireApproval()]
+        );
+        if (review.rows.length === 0) {
+          return res.status(404).json({ message: 'Review not found' });
+        }
+        res.json(review.rows[0]);
+      } catch (error) {
+        console.error("Error updating review:", error);
+        res.status(500).json({ error: 'Failed to update review' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /reviews/{id}:
+   *   delete:
+   *     summary: Delete your review
+   *     description: Moderators can delete any review.
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Review deleted
+   *       404:
+   *         description: Review not found
+   *       500:
+   *         description: Failed to delete review
+   */
+  router.delete('/reviews/:id', authenticateJWT, [param('id').isInt().withMessage('Review ID must be an integer')], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const review = await pool.query(
+        'DELETE FROM product_reviews WHERE id = $1 AND (user_id = $2 OR $3) RETURNING id',
+        [req.params.id, req.user.userId, hasPermission(req, 'reviews:moderate')]
+      );
+      if (review.rows.length === 0) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+      res.json({ message: 'Review deleted successfully' });
+    } catch (error) {
+      console.error("Error deleting review:", error);
+      res.status(500).json({ error: 'Failed to delete review' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /reviews/{id}/helpful:
+   *   post:
+   *     summary: Mark a review as helpful
+   *     description: Each user counts once per review; marking again has no effect.
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The review's new helpful count
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 helpful_count:
+   *                   type: integer
+   *       400:
+   *         description: You cannot mark your own review
+   *       404:
+   *         description: Review not found
+   *       500:
+   *         description: Failed to mark review as helpful
+   */
+  router.post('/reviews/:id/helpful', authenticateJWT, [param('id').isInt().withMessage('Review ID must be an integer')], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { id } = req.params;
+      const review = await pool.query("SELECT user_id FROM product_reviews WHERE id = $1 AND status = 'approved'", [id]);
+      if (review.rows.length === 0) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+      if (review.rows[0].user_id === req.user.userId) {
+        return res.status(400).json({ error: 'You cannot mark your own review as helpful' });
+      }
+
+      await pool.query(
+        'INSERT INTO review_helpful_votes (review_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [id, req.user.userId]
+      );
+      const votes = await pool.query('SELECT COUNT(*)::int AS helpful_count FROM review_helpful_votes WHERE review_id = $1', [id]);
+      res.json(votes.rows[0]);
+    } catch (error) {
+      console.error("Error marking review helpful:", error);
+      res.status(500).json({ error: 'Failed to mark review as helpful' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /reviews/{id}/helpful:
+   *   delete:
+   *     summary: Take back a helpful mark
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The review's new helpful count
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 helpful_count:
+   *                   type: integer
+   *       500:
+   *         description: Failed to remove helpful mark
+   */
+  router.delete('/reviews/:id/helpful', authenticateJWT, [param('id').isInt().withMessage('Review ID must be an integer')], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { id } = req.params;
+      await pool.query('DELETE FROM review_helpful_votes WHERE review_id = $1 AND user_id = $2', [id, req.user.userId]);
+      const votes = await pool.query('SELECT COUNT(*)::int AS helpful_count FROM review_helpful_votes WHERE review_id = $1', [id]);
+      res.json(votes.rows[0]);
+    } catch (error) {
+      console.error("Error removing helpful mark:", error);
+      res.status(500).json({ error: 'Failed to remove helpful mark' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /reviews/{id}/status:
+   *   patch:
+   *     summary: Approve or hide a review
+   *     tags: [Reviews]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - status
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [approved, hidden]
+   *     responses:
+   *       200:
+   *         description: Review updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Review'
+   *       403:
+   *         description: Forbidden. Requires the reviews:moderate permission.
+   *       404:
+   *         description: Review not found
+   *       500:
+   *         description: Failed to moderate review
+   */
+  router.patch(
+    '/reviews/:id/status',
+    authenticateJWT,
+    requirePermission('reviews:moderate'),
+    [
+      param('id').isInt().withMessage('Review ID must be an integer'),
+      body('status').isIn(['approved', 'hidden']).withMessage('Status must be approved or hidden'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        const review = await pool.query(
+          `UPDATE product_reviews r SET status = $2 WHERE id = $1 RETURNING ${REVIEW_COLUMNS}`,
+          [id, status]
+        );
+        if (review.rows.length === 0) {
+          return res.status(404).json({ message: 'Review not found' });
+        }
+
+        await recordAudit(pool, {
+          event: status === 'approved' ? 'review_approved' : 'review_hidden',
+          actorId: req.user.userId,
+          subject: `review:${id}`,
+          ip: req.ip,
+          details: { productId: review.rows[0].product_id },
+        });
+
+        res.json(review.rows[0]);
+      } catch (error) {
+        console.error("Error moderating review:", error);
+        res.status(500).json({ error: 'Failed to moderate review' });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,352 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission } = require('../Middleware/permissionMiddleware');
+const { PERMISSIONS, ADMIN_ROLE, BUILT_IN_ROLES, isKnownPermission } = require('../Services/permissions');
+
+const ROLES_QUERY = `
+  SELECT r.name, r.description,
+    COALESCE(array_agg(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions
+  FROM roles r LEFT JOIN role_permissions rp ON rp.role = r.name
+`;
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Roles
+   *   description: Roles and the permissions they grant
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     Role:
+   *       type: object
+   *       properties:
+   *         name:
+   *           type: string
+   *         description:
+   *           type: string
+   *         permissions:
+   *           type: array
+   *           items:
+   *             type: string
+   */
+
+  /**
+   * @swagger
+   * /roles/permissions:
+   *   get:
+   *     summary: List every permission that can be granted to a role
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Permission names and what they allow
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *                 properties:
+   *                   name:
+   *                     type: string
+   *                   description:
+   *                     type: string
+   *       403:
+   *         description: Forbidden. Requires the roles:manage permission.
+   */
+  router.get('/permissions', authenticateJWT, requirePermission('roles:manage'), (req, res) => {
+    res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+  });
+
+  /**
+   * @swagger
+   * /roles:
+   *   get:
+   *     summary: List roles with their permissions
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: List of roles
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/Role'
+   *       403:
+   *         description: Forbidden. Requires the roles:manage permission.
+   *       500:
+   *         description: Failed to get roles
+   */
+  router.get('/', authenticateJWT, requirePermission('roles:manage'), async (req, res) => {
+    try {
+      const result = await pool.query(`${ROLES_QUERY} GROUP BY r.name ORDER BY r.name`);
+      res.json(result.rows);
+    } catch (error) {
+      console.error("Error getting roles:", error);
+      res.status(500).json({ error: 'Failed to get roles' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /roles:
+   *   post:
+   *     summary: Create a role
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - permissions
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: catalog_manager
+   *               description:
+   *                 type: string
+   *               permissions:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: [products:write, categories:write]
+   *     responses:
+   *       201:
+   *         description: Role created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Role'
+   *       403:
+   *         description: Forbidden. Requires the roles:manage permission.
+   *       409:
+   *         description: A role with that name already exists
+   *       500:
+   *         description: Failed to create role
+   */
+  router.post(
+    '/',
+    authenticateJWT,
+    requirePermission('roles:manage'),
+    [
+      body('name').matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Name must be lowercase letters, digits and underscores'),
+      body('description').optional().isString().withMessage('Description must be a string'),
+      ...permissionListValidators,
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, permissions } = req.body;
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const inserted = await client.query(
+          'INSERT INTO roles (name, description) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING RETURNING name',
+          [name, description]
+        );
+        if (inserted.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'Role already exists' });
+        }
+        await setRolePermissions(client, name, permissions);
+
+        await client.query('COMMIT');
+        res.status(201).json({ name, description: description || null, permissions: [...new Set(permissions)].sort() });
+      } catch (error) {
+        if (client) {
+          await client.query('ROLLBACK');
+        }
+        console.error("Error creating role:", error);
+        res.status(500).json({ error: 'Failed to create role' });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /roles/{name}:
+   *   put:
+   *     summary: Replace a role's description and permissions
+   *     description: The admin role always has every permission and cannot be edited.
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         schema:
+   *           type: string
+   *         required: true
+   *         description: The name of the role
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - permissions
+   *             properties:
+   *               description:
+   *                 type: string
+   *               permissions:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       200:
+   *         description: Role updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Role'
+   *       403:
+   *         description: Forbidden. Requires the roles:manage permission, or the role is admin.
+   *       404:
+   *         description: Role not found
+   *       500:
+   *         description: Failed to update role
+   */
+  router.put(
+    '/:name',
+    authenticateJWT,
+    requirePermission('roles:manage'),
+    [
+      param('name').isString().withMessage('Name must be a string'),
+      body('description').optional().isString().withMessage('Description must be a string'),
+      ...permissionListValidators,
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name } = req.params;
+      if (name === ADMIN_ROLE) {
+        return res.status(403).json({ error: 'The admin role cannot be edited' });
+      }
+
+      const { description, permissions } = req.body;
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const updated = await client.query(
+          'UPDATE roles SET description = COALESCE($1, description) WHERE name = $2 RETURNING name, description',
+          [description, name]
+        );
+        if (updated.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ message: 'Role not found' });
+        }
+        await client.query('DELETE FROM role_permissions WHERE role = $1', [name]);
+        await setRolePermissions(client, name, permissions);
+
+        await client.query('COMMIT');
+        res.json({ ...updated.rows[0], permissions: [...new Set(permissions)].sort() });
+      } catch (error) {
+        if (client) {
+          await client.query('ROLLBACK');
+        }
+        console.error("Error updating role:", error);
+        res.status(500).json({ error: 'Failed to update role' });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /roles/{name}:
+   *   delete:
+   *     summary: Delete a role that no user has
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         schema:
+   *           type: string
+   *         required: true
+   *         description: The name of the role
+   *     responses:
+   *       200:
+   *         description: Role deleted
+   *       403:
+   *         description: Forbidden. Requires the roles:manage permission, or the role is built in.
+   *       404:
+   *         description: Role not found
+   *       409:
+   *         description: Role is still assigned to users
+   *       500:
+   *         description: Failed to delete role
+   */
+  router.delete('/:name', authenticateJWT, requirePermission('roles:manage'), async (req, res) => {
+    const { name } = req.params;
+    if (BUILT_IN_ROLES.includes(name)) {
+      return res.status(403).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    try {
+      const users = await pool.query('SELECT COUNT(*) FROM users WHERE role = $1', [name]);
+      const userCount = parseInt(users.rows[0].count, 10);
+      if (userCount > 0) {
+        return res.status(409).json({ error: `Role is assigned to ${userCount} user(s)` });
+      }
+
+      const result = await pool.query('DELETE FROM roles WHERE name = $1 RETURNING name', [name]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Role not found' });
+      }
+      res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+      console.error("Error deleting role:", error);
+      res.status(500).json({ error: 'Failed to delete role' });
+    }
+  });
+
+  return router;
+};
+
+const permissionListValidators = [
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').custom(isKnownPermission).withMessage('Unknown permission'),
+];
+
+async function setRolePermissions(client, role, permissions) {
+  await client.query(
+    'INSERT INTO role_permissions (role, permission) SELECT $1, unnest($2::text[]) ON CONFLICT DO NOTHING',
+    [role, permissions]
+  );
+}
@@ -0,0 +1,443 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission } = require('../Middleware/permissionMiddleware');
+
+const ZONES_QUERY = `
+  SELECT z.*,
+    COALESCE(json_agg(r ORDER BY r.id) FILTER (WHERE r.id IS NOT NULL), '[]') AS rates
+  FROM shipping_zones z LEFT JOIN shipping_rates r ON r.zone_id = z.id
+`;
+
+const zoneValidators = [
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('countries').isArray({ min: 1 }).withMessage('countries must list at least one country code, or "*"'),
+  body('countries.*')
+    .custom((value) => value === '*' || /^[A-Za-z]{2}$/.test(value))
+    .withMessage('Countries must be two-letter country codes or "*"'),
+  body('regions').optional().isArray().withMessage('regions must be an array'),
+  body('regions.*').isString().trim().notEmpty().withMessage('Regions must be non-empty strings'),
+];
+
+const rateValidators = [
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('type').isIn(['flat', 'weight', 'free_over']).withMessage('Type must be flat, weight or free_over'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a non-negative number'),
+  body('per_kg')
+    .if(body('type').equals('weight'))
+    .isFloat({ min: 0 })
+    .withMessage('Weight rates need a non-negative per_kg'),
+  body('free_over')
+    .if(body('type').equals('free_over'))
+    .isFloat({ min: 0 })
+    .withMessage('free_over rates need the order value above which shipping is free'),
+];
+
+function zoneValues({ name, countries, regions = [] }) {
+  return [name, countries.map((country) => country.toUpperCase()), regions.map((region) => region.toUpperCase())];
+}
+
+function rateValues({ name, type, amount, per_kg, free_over }) {
+  return [name, type, amount, type === 'weight' ? per_kg : null, type === 'free_over' ? free_over : null];
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Shipping
+   *   description: Shipping zones and their rates
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ShippingRate:
+   *       type: object
+   *       required:
+   *         - name
+   *         - type
+   *         - amount
+   *       properties:
+   *         id:
+   *           type: integer
+   *           readOnly: true
+   *         name:
+   *           type: string
+   *           example: Standard
+   *         type:
+   *           type: string
+   *           enum: [flat, weight, free_over]
+   *         amount:
+   *           type: number
+   *           description: Flat price, base price for weight rates, or the price below the threshold for free_over
+   *         per_kg:
+   *           type: number
+   *           description: Weight rates; added for every started kilogram
+   *         free_over:
+   *           type: number
+   *           description: free_over rates; goods worth at least this (after discounts) ship free
+   *     ShippingZone:
+   *       type: object
+   *       required:
+   *         - name
+   *         - countries
+   *       properties:
+   *         id:
+   *           type: integer
+   *           readOnly: true
+   *         name:
+   *           type: string
+   *         countries:
+   *           type: array
+   *           items:
+   *             type: string
+   *           description: Two-letter country codes, or "*" for everywhere no other zone covers
+   *         regions:
+   *           type: array
+   *           items:
+   *             type: string
+   *           description: Limit the zone to these regions; a region zone wins over a whole-country zone
+   *         rates:
+   *           type: array
+   *           readOnly: true
+   *           items:
+   *             $ref: '#/components/schemas/ShippingRate'
+   */
+
+  /**
+   * @swagger
+   * /shipping/zones:
+   *   get:
+   *     summary: List shipping zones with their rates
+   *     tags: [Shipping]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Shipping zones
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/ShippingZone'
+   *       403:
+   *         description: Forbidden. Requires the pricing:manage permission.
+   *       500:
+   *         description: Failed to list shipping zones
+   */
+  router.get('/zones', authenticateJWT, requirePermission('pricing:manage'), async (req, res) => {
+    try {
+      const zones = await pool.query(`${ZONES_QUERY} GROUP BY z.id ORDER BY z.id`);
+      res.json(zones.rows);
+    } catch (error) {
+      console.error("Error listing shipping zones:", error);
+      res.status(500).json({ error: 'Failed to list shipping zones' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /shipping/zones:
+   *   post:
+   *     summary: Create a shipping zone
+   *     tags: [Shipping]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ShippingZone'
+   *     responses:
+   *       201:
+   *         description: Zone created
+   *       500:
+   *         description: Failed to create shipping zone
+   */
+  router.post('/zones', authenticateJWT, requirePermission('pricing:manage'), zoneValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const zone = await pool.query(
+        'INSERT INTO shipping_zones (name, countries, regions) VALUES ($1, $2, $3) RETURNING *',
+        zoneValues(req.body)
+      );
+      res.status(201).json({ ...zone.rows[0], rates: [] });
+    } catch (error) {
+      console.error("Error creating shipping zone:", error);
+      res.status(500).json({ error: 'Failed to create shipping zone' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /shipping/zones/{id}:
+   *   put:
+   *     summary: Update a shipping zone
+   *     tags: [Shipping]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ShippingZone'
+   *     responses:
+   *       200:
+   *         description: Zone updated
+   *       404:
+   *         description: Shipping zone not found
+   *       500:
+   *         description: Failed to update shipping zone
+   */
+  router.put(
+    '/zones/:id',
+    authenticateJWT,
+    requirePermission('pricing:manage'),
+    [param('id').isInt().withMessage('ID must be an integer'), ...zoneValidators],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const zone = await pool.query(
+          'UPDATE shipping_zones SET name = $2, countries = $3, regions = $4 WHERE id = $1 RETURNING id',
+          [req.params.id, ...zoneValues(req.body)]
+        );
+        if (zone.rows.length === 0) {
+          return res.status(404).json({ message: 'Shipping zone not found' });
+        }
+
+        const updated = await pool.query(`${ZONES_QUERY} WHERE z.id = $1 GROUP BY z.id`, [req.params.id]);
+        res.json(updated.rows[0]);
+      } catch (error) {
+        console.error("Error updating shipping zone:", error);
+        res.status(500).json({ error: 'Failed to update shipping zone' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /shipping/zones/{id}:
+   *   delete:
+   *     summary: Delete a shipping zone and its rates
+   *     tags: [Shipping]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Zone deleted
+   *       404:
+   *         description: Shipping zone not found
+   *       500:
+   *         description: Failed to delete shipping zone
+   */
+  router.delete(
+    '/zones/:id',
+    authenticateJWT,
+    requirePermission('pricing:manage'),
+    [param('id').isInt().withMessage('ID must be an integer')],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const zone = await pool.query('DELETE FROM shipping_zones WHERE id = $1 RETURNING id', [req.params.id]);
+        if (zone.rows.length === 0) {
+          return res.status(404).json({ message: 'Shipping zone not found' });
+        }
+        res.json({ message: 'Shipping zone deleted successfully' });
+      } catch (error) {
+        console.error("Error deleting shipping zone:", error);
+        res.status(500).json({ error: 'Failed to delete shipping zone' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /shipping/zones/{id}/rates:
+   *   post:
+   *     summary: Add a shipping rate to a zone
+   *     tags: [Shipping]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ShippingRate'
+   *     responses:
+   *       201:
+   *         description: Rate created
+   *       404:
+   *         description: Shipping zone not found
+   *       500:
+   *         description: Failed to create shipping rate
+   */
+  router.post(
+    '/zones/:id/rates',
+    authenticateJWT,
+    requirePermission('pricing:manage'),
+    [param('id').isInt().withMessage('ID must be an integer'), ...rateValidators],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const rate = await pool.query(
+          `INSERT INTO shipping_rates (zone_id, name, type, amount, per_kg, free_over)
+           VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+          [req.params.id, ...rateValues(req.body)]
+        );
+        res.status(201).json(rate.rows[0]);
+      } catch (error) {
+        if (error.code === '23503') {
+          return res.status(404).json({ message: 'Shipping zone not found' });
+        }
+        console.error("Error creating shipping rate:", error);
+        res.status(500).json({ error: 'Failed to create shipping rate' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /shipping/rates/{id}:
+   *   put:
+   *     summary: Update a shipping rate
+   *     tags: [Shipping]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ShippingRate'
+   *     responses:
+   *       200:
+   *         description: Rate updated
+   *       404:
+   *         description: Shipping rate not found
+   *       500:
+   *         description: Failed to update shipping rate
+   */
+  router.put(
+    '/rates/:id',
+    authenticateJWT,
+    requirePermission('pricing:manage'),
+    [param('id').isInt().withMessage('ID must be an integer'), ...rateValidators],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const rate = await pool.query(
+          `UPDATE shipping_rates SET name = $2, type = $3, amount = $4, per_kg = $5, free_over = $6
+           WHERE id = $1 RETURNING *`,
+          [req.params.id, ...rateValues(req.body)]
+        );
+        if (rate.rows.length === 0) {
+          return res.status(404).json({ message: 'Shipping rate not found' });
+        }
+        res.json(rate.rows[0]);
+      } catch (error) {
+        console.error("Error updating shipping rate:", error);
+        res.status(500).json({ error: 'Failed to update shipping rate' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /shipping/rates/{id}:
+   *   delete:
+   *     summary: Delete a shipping rate
+   *     tags: [Shipping]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Rate deleted
+   *       404:
+   *         description: Shipping rate not found
+   *       500:
+   *         description: Failed to delete shipping rate
+   */
+  router.delete(
+    '/rates/:id',
+    authenticateJWT,
+    requirePermission('pricing:manage'),
+    [param('id').isInt().withMessage('ID must be an integer')],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const rate = await pool.query('DELETE FROM shipping_rates WHERE id = $1 RETURNING id', [req.params.id]);
+        if (rate.rows.length === 0) {
+          return res.status(404).json({ message: 'Shipping rate not found' });
+        }
+        res.json({ message: 'Shipping rate deleted successfully' });
+      } catch (error) {
+        console.error("Error deleting shipping rate:", error);
+        res.status(500).json({ error: 'Failed to delete shipping rate' });
+      }
+    }
+  );
+
+  return router;
+};
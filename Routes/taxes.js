@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission } = require('../Middleware/permissionMiddleware');
+
+const taxRateValidators = [
+  body('country').isISO31661Alpha2().withMessage('Country must be a two-letter country code'),
+  body('region').optional({ values: 'null' }).isString().trim().notEmpty().withMessage('Region must be a non-empty string'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('rate').isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  body('applies_to_shipping').optional().isBoolean().withMessage('applies_to_shipping must be true or false'),
+];
+
+function taxRateValues({ country, region, name, rate, applies_to_shipping }) {
+  return [country.toUpperCase(), region ? region.toUpperCase() : null, name, rate, applies_to_shipping ?? true];
+}
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Taxes
+   *   description: >
+   *     Tax rates by country and region. Whether catalog prices already include
+   *     tax is set store-wide with the PRICES_INCLUDE_TAX environment variable.
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     TaxRate:
+   *       type: object
+   *       required:
+   *         - country
+   *         - name
+   *         - rate
+   *       properties:
+   *         id:
+   *           type: integer
+   *           readOnly: true
+   *         country:
+   *           type: string
+   *           example: US
+   *         region:
+   *           type: string
+   *           nullable: true
+   *           description: Leave out for the whole country; a region's rate replaces the country's
+   *           example: CA
+   *         name:
+   *           type: string
+   *           example: Sales tax
+   *         rate:
+   *           type: number
+   *           description: Percent
+   *         applies_to_shipping:
+   *           type: boolean
+   *           default: true
+   */
+
+  /**
+   * @swagger
+   * /taxes:
+   *   get:
+   *     summary: List tax rates
+   *     tags: [Taxes]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Tax rates
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/TaxRate'
+   *       403:
+   *         description: Forbidden. Requires the pricing:manage permission.
+   *       500:
+   *         description: Failed to list tax rates
+   */
+  router.get('/', authenticateJWT, requirePermission('pricing:manage'), async (req, res) => {
+    try {
+      const rates = await pool.query('SELECT * FROM tax_rates ORDER BY country, region NULLS FIRST');
+      res.json(rates.rows);
+    } catch (error) {
+      console.error("Error listing tax rates:", error);
+      res.status(500).json({ error: 'Failed to list tax rates' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /taxes:
+   *   post:
+   *     summary: Create a tax rate
+   *     tags: [Taxes]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TaxRate'
+   *     responses:
+   *       201:
+   *         description: Tax rate created
+   *       409:
+   *         description: There is already a rate for this country and region
+   *       500:
+   *         description: Failed to create tax rate
+   */
+  router.post('/', authenticateJWT, requirePermission('pricing:manage'), taxRateValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const rate = await pool.query(
+        `INSERT INTO tax_rates (country, region, name, rate, applies_to_shipping)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        taxRateValues(req.body)
+      );
+      res.status(201).json(rate.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'There is already a tax rate for this country and region' });
+      }
+      console.error("Error creating tax rate:", error);
+      res.status(500).json({ error: 'Failed to create tax rate' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /taxes/{id}:
+   *   put:
+   *     summary: Update a tax rate
+   *     description: Orders already placed keep the tax they were charged.
+   *     tags: [Taxes]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TaxRate'
+   *     responses:
+   *       200:
+   *         description: Tax rate updated
+   *       404:
+   *         description: Tax rate not found
+   *       409:
+   *         description: There is already a rate for this country and region
+   *       500:
+   *         description: Failed to update tax rate
+   */
+  router.put(
+    '/:id',
+    authenticateJWT,
+    requirePermission('pricing:manage'),
+    [param('id').isInt().withMessage('ID must be an integer'), ...taxRateValidators],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const rate = await pool.query(
+          `UPDATE tax_rates SET country = $2, region = $3, name = $4, rate = $5, applies_to_shipping = $6
+           WHERE id = $1 RETURNING *`,
+          [req.params.id, ...taxRateValues(req.body)]
+        );
+        if (rate.rows.length === 0) {
+          return res.status(404).json({ message: 'Tax rate not found' });
+        }
+        res.json(rate.rows[0]);
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'There is already a tax rate for this country and region' });
+        }
+        console.error("Error updating tax rate:", error);
+        res.status(500).json({ error: 'Failed to update tax rate' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /taxes/{id}:
+   *   delete:
+   *     summary: Delete a tax rate
+   *     tags: [Taxes]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Tax rate deleted
+   *       404:
+   *         description: Tax rate not found
+   *       500:
+   *         description: Failed to delete tax rate
+   */
+  router.delete(
+    '/:id',
+    authenticateJWT,
+    requirePermission('pricing:manage'),
+    [param('id').isInt().withMessage('ID must be an integer')],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const rate = await pool.query('DELETE FROM tax_rates WHERE id = $1 RETURNING id', [req.params.id]);
+        if (rate.rows.length === 0) {
+          return res.status(404).json({ message: 'Tax rate not found' });
+        }
+        res.json({ message: 'Tax rate deleted successfully' });
+      } catch (error) {
+        console.error("Error deleting tax rate:", error);
+        res.status(500).json({ error: 'Failed to delete tax rate' });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,656 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { requirePermission, hasPermission } = require('../Middleware/permissionMiddleware');
+const createMailer = require('../Services/mailer');
+const { sendPasswordResetEmail } = require('../Services/accountEmails');
+const { revokeAllSessions } = require('../Services/authTokens');
+const createLoginThrottle = require('../Services/loginThrottle');
+const { recordAudit } = require('../Services/audit');
+
+// Never select the password hash into anything we send back
+const USER_COLUMNS = 'id, email, role, email_verified_at, disabled_at, password_reset_required, created_at';
+
+module.exports = (pool) => {
+  const router = express.Router();
+  const mailer = createMailer(pool);
+  const throttle = createLoginThrottle(pool);
+
+  // Whether `role` holds any permission the signed-in user doesn't
+  async function grantsMoreThanCaller(req, role) {
+    const permissions = await pool.query('SELECT permission FROM role_permissions WHERE role = $1', [role]);
+    return permissions.rows.some(({ permission }) => !hasPermission(req, permission));
+  }
+
+  // Without roles:manage, users:write only reaches users whose role grants
+  // nothing beyond the caller's own permissions, so nobody can disable, lock
+  // out or unlock someone who outranks them. Resolves to { status, message }
+  // to refuse with, or null when the caller may manage user `id`.
+  async function outrankedRefusal(req, id) {
+    if (hasPermission(req, 'roles:manage')) {
+      return null;
+    }
+    const user = await pool.query('SELECT role FROM users WHERE id = $1', [id]);
+    if (user.rows.length === 0) {
+      return { status: 404, message: 'User not found' };
+    }
+    if (await grantsMoreThanCaller(req, user.rows[0].role)) {
+      return {
+        status: 403,
+        message: `Forbidden. Managing a user with the ${user.rows[0].role} role needs the roles:manage permission`,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Users
+   *   description: User administration
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     User:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         email:
+   *           type: string
+   *         role:
+   *           type: string
+   *         email_verified_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         disabled_at:
+   *           type: string
+   *           format: date-time
+   *           nullable: true
+   *         password_reset_required:
+   *           type: boolean
+   *         created_at:
+   *           type: string
+   *           format: date-time
+   */
+
+  /**
+   * @swagger
+   * /users:
+   *   get:
+   *     summary: List and search users
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *         description: Partial email match
+   *       - in: query
+   *         name: role
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [active, disabled]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Matching users
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 users:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/User'
+   *                 totalCount:
+   *                   type: integer
+   *                 currentPage:
+   *                   type: integer
+   *                 totalPages:
+   *                   type: integer
+   *       403:
+   *         description: Forbidden. Requires the users:read permission.
+   *       500:
+   *         description: Failed to list users
+   */
+  router.get(
+    '/',
+    authenticateJWT,
+    requirePermission('users:read'),
+    [
+      query('search').optional().isString().withMessage('Search must be a string'),
+      query('role').optional().isString().withMessage('Role must be a string'),
+      query('status').optional().isIn(['active', 'disabled']).withMessage('Status must be active or disabled'),
+      query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { search, role, status, page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let whereClause = 'WHERE 1=1';
+        const values = [];
+
+        if (search) {
+          whereClause += ' AND email ILIKE $' + (values.length + 1);
+          values.push(`%${search}%`);
+        }
+
+        if (role) {
+          whereClause += ' AND role = $' + (values.length + 1);
+          values.push(role);
+        }
+
+        if (status === 'active') {
+          whereClause += ' AND disabled_at IS NULL';
+        } else if (status === 'disabled') {
+          whereClause += ' AND disabled_at IS NOT NULL';
+        }
+
+        const users = await pool.query(
+          `SELECT ${USER_COLUMNS} FROM users ${whereClause} ORDER BY id LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+          [...values, limit, offset]
+        );
+        const totalCountResult = await pool.query(`SELECT COUNT(*) FROM users ${whereClause}`, values);
+        const totalCount = parseInt(totalCountResult.rows[0].count, 10);
+
+        res.json({
+          users: users.rows,
+          totalCount: totalCount,
+          currentPage: parseInt(page, 10),
+          totalPages: Math.ceil(totalCount / limit),
+        });
+      } catch (error) {
+        console.error("Error listing users:", error);
+        res.status(500).json({ error: 'Failed to list users' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /users/{id}:
+   *   get:
+   *     summary: Get a user with a summary of their activity
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the user
+   *     responses:
+   *       200:
+   *         description: User details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               allOf:
+   *                 - $ref: '#/components/schemas/User'
+   *                 - type: object
+   *                   properties:
+   *                     orderCount:
+   *                       type: integer
+   *                     activeSessions:
+   *                       type: integer
+   *       403:
+   *         description: Forbidden. Requires the users:read permission.
+   *       404:
+   *         description: User not found
+   *       500:
+   *         description: Failed to get user
+   */
+  router.get(
+    '/:id',
+    authenticateJWT,
+    requirePermission('users:read'),
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const result = await pool.query(
+          `SELECT ${USER_COLUMNS},
+             (SELECT COUNT(*) FROM orders WHERE user_id = users.id)::int AS "orderCount",
+             (SELECT COUNT(*) FROM auth_sessions WHERE user_id = users.id AND revoked_at IS NULL)::int AS "activeSessions"
+           FROM users WHERE id = $1`,
+          [req.params.id]
+        );
+        if (result.rows.length === 0) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        res.json(result.rows[0]);
+      } catch (error) {
+        console.error("Error getting user:", error);
+        res.status(500).json({ error: 'Failed to get user' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /users/{id}/role:
+   *   patch:
+   *     summary: Change a user's role
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the user
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - role
+   *             properties:
+   *               role:
+   *                 type: string
+   *                 description: Name of a role from /api/roles
+   *     responses:
+   *       200:
+   *         description: Role updated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/User'
+   *       400:
+   *         description: Unknown role
+   *       403:
+   *         description: >
+   *           Forbidden. Requires the users:write permission, and roles:manage to give
+   *           or take away a role holding permissions the caller does not have.
+   *       404:
+   *         description: User not found
+   *       409:
+   *         description: Admins cannot change their own role
+   *       500:
+   *         description: Failed to update role
+   */
+  router.patch(
+    '/:id/role',
+    authenticateJWT,
+    requirePermission('users:write'),
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+      body('role').isString().notEmpty().withMessage('Role is required'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (id === req.user.userId) {
+          return res.status(409).json({ error: 'You cannot change your own role' });
+        }
+
+        const role = await pool.query('SELECT 1 FROM roles WHERE name = $1', [req.body.role]);
+        if (role.rows.length === 0) {
+          return res.status(400).json({ error: 'Unknown role' });
+        }
+
+        // Without roles:manage, users:write only moves people between roles
+        // that grant nothing beyond the caller's own permissions, so it can't
+        // be used to make anyone (an accomplice included) an admin, or to
+        // demote someone who outranks the caller
+        if (!hasPermission(req, 'roles:manage')) {
+          const user = await pool.query('SELECT role FROM users WHERE id = $1', [id]);
+          if (user.rows.length === 0) {
+            return res.status(404).json({ message: 'User not found' });
+          }
+          for (const name of [req.body.role, user.rows[0].role]) {
+            if (await grantsMoreThanCaller(req, name)) {
+              return res
+                .status(403)
+                .json({ message: `Forbidden. Changing a user to or from the ${name} role needs the roles:manage permission` });
+            }
+          }
+        }
+
+        const result = await pool.query(
+          `UPDATE users SET role = $1 WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+          [req.body.role, id]
+        );
+        if (result.rows.length === 0) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        res.json(result.rows[0]);
+      } catch (error) {
+        console.error("Error updating user role:", error);
+        res.status(500).json({ error: 'Failed to update role' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /users/{id}/disable:
+   *   post:
+   *     summary: Disable an account and end all of its sessions
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the user
+   *     responses:
+   *       200:
+   *         description: User disabled
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/User'
+   *       403:
+   *         description: >
+   *           Forbidden. Requires the users:write permission, and roles:manage when the
+   *           user's role holds permissions the caller does not have.
+   *       404:
+   *         description: User not found
+   *       409:
+   *         description: Admins cannot disable themselves
+   *       500:
+   *         description: Failed to disable user
+   */
+  router.post(
+    '/:id/disable',
+    authenticateJWT,
+    requirePermission('users:write'),
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const id = parseInt(req.params.id, 10);
+      if (id === req.user.userId) {
+        return res.status(409).json({ error: 'You cannot disable your own account' });
+      }
+
+      let client;
+      try {
+        const refusal = await outrankedRefusal(req, id);
+        if (refusal) {
+          return res.status(refusal.status).json({ message: refusal.message });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const result = await client.query(
+          `UPDATE users SET disabled_at = COALESCE(disabled_at, CURRENT_TIMESTAMP) WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+          [id]
+        );
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ message: 'User not found' });
+        }
+        await revokeAllSessions(client, id, 'account_disabled');
+
+        await client.query('COMMIT');
+        res.json(result.rows[0]);
+      } catch (error) {
+        if (client) {
+          await client.query('ROLLBACK');
+        }
+        console.error("Error disabling user:", error);
+        res.status(500).json({ error: 'Failed to disable user' });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /users/{id}/enable:
+   *   post:
+   *     summary: Re-enable a disabled account
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the user
+   *     responses:
+   *       200:
+   *         description: User enabled
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/User'
+   *       403:
+   *         description: >
+   *           Forbidden. Requires the users:write permission, and roles:manage when the
+   *           user's role holds permissions the caller does not have.
+   *       404:
+   *         description: User not found
+   *       500:
+   *         description: Failed to enable user
+   */
+  router.post(
+    '/:id/enable',
+    authenticateJWT,
+    requirePermission('users:write'),
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const id = parseInt(req.params.id, 10);
+        const refusal = await outrankedRefusal(req, id);
+        if (refusal) {
+          return res.status(refusal.status).json({ message: refusal.message });
+        }
+
+        const result = await pool.query(
+          `UPDATE users SET disabled_at = NULL WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+          [id]
+        );
+        if (result.rows.length === 0) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        res.json(result.rows[0]);
+      } catch (error) {
+        console.error("Error enabling user:", error);
+        res.status(500).json({ error: 'Failed to enable user' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /users/{id}/force-password-reset:
+   *   post:
+   *     summary: Force a user to choose a new password
+   *     description: >
+   *       Ends all of the user's sessions, blocks login until the password is
+   *       reset and emails them a reset link.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the user
+   *     responses:
+   *       200:
+   *         description: Password reset forced and email sent
+   *       403:
+   *         description: >
+   *           Forbidden. Requires the users:write permission, and roles:manage when the
+   *           user's role holds permissions the caller does not have.
+   *       404:
+   *         description: User not found
+   *       500:
+   *         description: Failed to force password reset
+   */
+  router.post(
+    '/:id/force-password-reset',
+    authenticateJWT,
+    requirePermission('users:write'),
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const id = parseInt(req.params.id, 10);
+        const refusal = await outrankedRefusal(req, id);
+        if (refusal) {
+          return res.status(refusal.status).json({ message: refusal.message });
+        }
+
+        const result = await pool.query(
+          `UPDATE users SET password_reset_required = true WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+          [id]
+        );
+        if (result.rows.length === 0) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+
+        const user = result.rows[0];
+        await revokeAllSessions(pool, user.id, 'password_reset_forced');
+        await sendPasswordResetEmail(pool, mailer, user);
+
+        res.json({ message: 'Password reset required; reset link sent', user });
+      } catch (error) {
+        console.error("Error forcing password reset:", error);
+        res.status(500).json({ error: 'Failed to force password reset' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /users/{id}/unlock:
+   *   post:
+   *     summary: Clear failed login attempts and lift a lockout on an account
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: The ID of the user
+   *     responses:
+   *       200:
+   *         description: Account unlocked
+   *       403:
+   *         description: >
+   *           Forbidden. Requires the users:write permission, and roles:manage when the
+   *           user's role holds permissions the caller does not have.
+   *       404:
+   *         description: User not found
+   *       500:
+   *         description: Failed to unlock user
+   */
+  router.post(
+    '/:id/unlock',
+    authenticateJWT,
+    requirePermission('users:write'),
+    [
+      param('id').isInt().withMessage('ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const id = parseInt(req.params.id, 10);
+        const refusal = await outrankedRefusal(req, id);
+        if (refusal) {
+          return res.status(refusal.status).json({ message: refusal.message });
+        }
+
+        const result = await pool.query('SELECT email FROM users WHERE id = $1', [id]);
+        if (result.rows.length === 0) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { email } = result.rows[0];
+        await throttle.unlockAccount(email);
+        await recordAudit(pool, { event: 'account_unlocked', actorId: req.user.userId, subject: email.toLowerCase(), ip: req.ip });
+
+        res.json({ message: 'Account unlocked' });
+      } catch (error) {
+        console.error("Error unlocking user:", error);
+        res.status(500).json({ error: 'Failed to unlock user' });
+      }
+    }
+  );
+
+  return router;
+};
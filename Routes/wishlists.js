@@ -0,0 +1,761 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authenticateJWT = require('../Middleware/authMiddleware');
+const { addCartItem } = require('../Services/cart');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Wishlist lines with the product's current price and stock. A line without a
+// variant shows the product price and the stock across all its variants.
+const ITEMS_QUERY = `
+  SELECT wi.id, wi.product_id, wi.variant_id, wi.added_at, p.name, v.sku, v.options,
+    COALESCE(v.image_url, p.image_url) AS image_url,
+    COALESCE(v.price, p.price) AS price,
+    (CASE WHEN wi.variant_id IS NOT NULL THEN v.stock
+          ELSE COALESCE((SELECT SUM(pv.stock) FROM product_variants pv WHERE pv.product_id = p.id), p.stock) END)::int AS stock
+  FROM wishlist_items wi
+  JOIN products p ON p.id = wi.product_id
+  LEFT JOIN product_variants v ON v.id = wi.variant_id
+  WHERE wi.wishlist_id = $1
+  ORDER BY wi.added_at DESC, wi.id DESC
+`;
+
+const shareUrl = (token) => `${APP_URL}/wishlists/shared/${token}`;
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // The caller's own wishlist, or undefined
+  async function findOwnWishlist(id, userId) {
+    const wishlist = await pool.query('SELECT * FROM wishlists WHERE id = $1 AND user_id = $2', [id, userId]);
+    return wishlist.rows[0];
+  }
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Wishlists
+   *   description: Named wishlists, optionally shared through a public link
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     WishlistItem:
+   *       type: object
+   *       properties:
+   *         id:
+   *           type: integer
+   *         product_id:
+   *           type: integer
+   *         variant_id:
+   *           type: integer
+   *           nullable: true
+   *         name:
+   *           type: string
+   *         sku:
+   *           type: string
+   *           nullable: true
+   *         options:
+   *           type: object
+   *           nullable: true
+   *         image_url:
+   *           type: string
+   *         price:
+   *           type: number
+   *           description: Current price
+   *         stock:
+   *           type: integer
+   *           description: Current stock
+   *         added_at:
+   *           type: string
+   *           format: date-time
+   */
+
+  /**
+   * @swagger
+   * /wishlists/shared/{token}:
+   *   get:
+   *     summary: View a shared wishlist
+   *     description: Read-only and needs no login. Only works while the owner keeps the list shared.
+   *     tags: [Wishlists]
+   *     parameters:
+   *       - in: path
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The wishlist and its items
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 name:
+   *                   type: string
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/WishlistItem'
+   *       404:
+   *         description: Wishlist not found
+   *       500:
+   *         description: Failed to get wishlist
+   */
+  router.get('/shared/:token', async (req, res) => {
+    try {
+      const wishlist = await pool.query('SELECT id, name FROM wishlists WHERE share_token = $1', [req.params.token]);
+      if (wishlist.rows.length === 0) {
+        return res.status(404).json({ message: 'Wishlist not found' });
+      }
+
+      const items = await pool.query(ITEMS_QUERY, [wishlist.rows[0].id]);
+      res.json({ name: wishlist.rows[0].name, items: items.rows });
+    } catch (error) {
+      console.error("Error getting shared wishlist:", error);
+      res.status(500).json({ error: 'Failed to get wishlist' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /wishlists:
+   *   get:
+   *     summary: List your wishlists
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Your wishlists with their item counts
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *                 properties:
+   *                   id:
+   *                     type: integer
+   *                   name:
+   *                     type: string
+   *                   item_count:
+   *                     type: integer
+   *                   shared:
+   *                     type: boolean
+   *                   created_at:
+   *                     type: string
+   *                     format: date-time
+   *       500:
+   *         description: Failed to list wishlists
+   */
+  router.get('/', authenticateJWT, async (req, res) => {
+    try {
+      const wishlists = await pool.query(
+        `SELECT w.id, w.name, w.share_token IS NOT NULL AS shared, w.created_at,
+           (SELECT COUNT(*) FROM wishlist_items wi WHERE wi.wishlist_id = w.id)::int AS item_count
+         FROM wishlists w WHERE w.user_id = $1 ORDER BY w.created_at, w.id`,
+        [req.user.userId]
+      );
+      res.json(wishlists.rows);
+    } catch (error) {
+      console.error("Error listing wishlists:", error);
+      res.status(500).json({ error: 'Failed to list wishlists' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /wishlists:
+   *   post:
+   *     summary: Create a wishlist
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Wishlist created
+   *       409:
+   *         description: You already have a wishlist with this name
+   *       500:
+   *         description: Failed to create wishlist
+   */
+  router.post(
+    '/',
+    authenticateJWT,
+    [body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1 to 100 characters')],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const wishlist = await pool.query(
+          'INSERT INTO wishlists (user_id, name) VALUES ($1, $2) RETURNING id, name, created_at',
+          [req.user.userId, req.body.name]
+        );
+        res.status(201).json(wishlist.rows[0]);
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'You already have a wishlist with this name' });
+        }
+        console.error("Error creating wishlist:", error);
+        res.status(500).json({ error: 'Failed to create wishlist' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /wishlists/{id}:
+   *   get:
+   *     summary: Get one of your wishlists with current prices and stock
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The wishlist and its items
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 id:
+   *                   type: integer
+   *                 name:
+   *                   type: string
+   *                 shareUrl:
+   *                   type: string
+   *                   nullable: true
+   *                 items:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/WishlistItem'
+   *       404:
+   *         description: Wishlist not found
+   *       500:
+   *         description: Failed to get wishlist
+   */
+  router.get('/:id', authenticateJWT, [param('id').isInt().withMessage('Wishlist ID must be an integer')], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const wishlist = await findOwnWishlist(req.params.id, req.user.userId);
+      if (!wishlist) {
+        return res.status(404).json({ message: 'Wishlist not found' });
+      }
+
+      const items = await pool.query(ITEMS_QUERY, [wishlist.id]);
+      res.json({
+        id: wishlist.id,
+        name: wishlist.name,
+        shareUrl: wishlist.share_token ? shareUrl(wishlist.share_token) : null,
+        created_at: wishlist.created_at,
+        items: items.rows,
+      });
+    } catch (error) {
+      console.error("Error getting wishlist:", error);
+      res.status(500).json({ error: 'Failed to get wishlist' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /wishlists/{id}:
+   *   patch:
+   *     summary: Rename a wishlist
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Wishlist renamed
+   *       404:
+   *         description: Wishlist not found
+   *       409:
+   *         description: You already have a wishlist with this name
+   *       500:
+   *         description: Failed to rename wishlist
+   */
+  router.patch(
+    '/:id',
+    authenticateJWT,
+    [
+      param('id').isInt().withMessage('Wishlist ID must be an integer'),
+      body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1 to 100 characters'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const wishlist = await pool.query(
+          'UPDATE wishlists SET name = $3 WHERE id = $1 AND user_id = $2 RETURNING id, name, created_at',
+          [req.params.id, req.user.userId, req.body.name]
+        );
+        if (wishlist.rows.length === 0) {
+          return res.status(404).json({ message: 'Wishlist not found' });
+        }
+        res.json(wishlist.rows[0]);
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'You already have a wishlist with this name' });
+        }
+        console.error("Error renaming wishlist:", error);
+        res.status(500).json({ error: 'Failed to rename wishlist' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /wishlists/{id}:
+   *   delete:
+   *     summary: Delete a wishlist and its items
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Wishlist deleted
+   *       404:
+   *         description: Wishlist not found
+   *       500:
+   *         description: Failed to delete wishlist
+   */
+  router.delete('/:id', authenticateJWT, [param('id').isInt().withMessage('Wishlist ID must be an integer')], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const wishlist = await pool.query('DELETE FROM wishlists WHERE id = $1 AND user_id = $2 RETURNING id', [
+        req.params.id,
+        req.user.userId,
+      ]);
+      if (wishlist.rows.length === 0) {
+        return res.status(404).json({ message: 'Wishlist not found' });
+      }
+      res.json({ message: 'Wishlist deleted successfully' });
+    } catch (error) {
+      console.error("Error deleting wishlist:", error);
+      res.status(500).json({ error: 'Failed to delete wishlist' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /wishlists/{id}/items:
+   *   post:
+   *     summary: Add a product to a wishlist
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - productId
+   *             properties:
+   *               productId:
+   *                 type: integer
+   *               variantId:
+   *                 type: integer
+   *                 description: A specific variant; leave out to save the product in general
+   *     responses:
+   *       201:
+   *         description: Item added
+   *       404:
+   *         description: Wishlist, product or variant not found
+   *       409:
+   *         description: Already in this wishlist
+   *       500:
+   *         description: Failed to add to wishlist
+   */
+  router.post(
+    '/:id/items',
+    authenticateJWT,
+    [
+      param('id').isInt().withMessage('Wishlist ID must be an integer'),
+      body('productId').isInt().withMessage('Product ID must be an integer'),
+      body('variantId').optional().isInt().withMessage('Variant ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const { productId, variantId } = req.body;
+
+        const wishlist = await findOwnWishlist(req.params.id, req.user.userId);
+        if (!wishlist) {
+          return res.status(404).json({ message: 'Wishlist not found' });
+        }
+
+        const product = await pool.query('SELECT id FROM products WHERE id = $1', [productId]);
+        if (product.rows.length === 0) {
+          return res.status(404).json({ message: 'Product not found' });
+        }
+
+        if (variantId) {
+          const variant = await pool.query('SELECT id FROM product_variants WHERE id = $1 AND product_id = $2', [
+            variantId,
+            productId,
+          ]);
+          if (variant.rows.length === 0) {
+            return res.status(404).json({ message: 'Variant not found' });
+          }
+        }
+
+        const item = await pool.query(
+          'INSERT INTO wishlist_items (wishlist_id, product_id, variant_id) VALUES ($1, $2, $3) RETURNING *',
+          [wishlist.id, productId, variantId || null]
+        );
+        res.status(201).json(item.rows[0]);
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'This item is already in the wishlist' });
+        }
+        console.error("Error adding to wishlist:", error);
+        res.status(500).json({ error: 'Failed to add to wishlist' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /wishlists/{id}/items/{itemId}:
+   *   delete:
+   *     summary: Remove an item from a wishlist
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: itemId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Item removed
+   *       404:
+   *         description: Item not found
+   *       500:
+   *         description: Failed to remove from wishlist
+   */
+  router.delete(
+    '/:id/items/:itemId',
+    authenticateJWT,
+    [
+      param('id').isInt().withMessage('Wishlist ID must be an integer'),
+      param('itemId').isInt().withMessage('Item ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      try {
+        const item = await pool.query(
+          `DELETE FROM wishlist_items wi USING wishlists w
+           WHERE wi.id = $1 AND wi.wishlist_id = $2 AND w.id = wi.wishlist_id AND w.user_id = $3
+           RETURNING wi.id`,
+          [req.params.itemId, req.params.id, req.user.userId]
+        );
+        if (item.rows.length === 0) {
+          return res.status(404).json({ message: 'Item not found' });
+        }
+        res.json({ message: 'Item removed from wishlist' });
+      } catch (error) {
+        console.error("Error removing from wishlist:", error);
+        res.status(500).json({ error: 'Failed to remove from wishlist' });
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /wishlists/{id}/items/{itemId}/move-to-cart:
+   *   post:
+   *     summary: Move a wishlist item into the cart
+   *     description: Adds the item to the cart and removes it from the wishlist in one step.
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: itemId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               quantity:
+   *                 type: integer
+   *                 default: 1
+   *               variantId:
+   *                 type: integer
+   *                 description: Needed when the item was saved without a variant but the product has variants
+   *     responses:
+   *       200:
+   *         description: Item moved
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 message:
+   *                   type: string
+   *                 totalPrice:
+   *                   type: number
+   *                   description: New cart total
+   *       400:
+   *         description: The product has variants and no variant was chosen
+   *       404:
+   *         description: Item or variant not found
+   *       409:
+   *         description: Not enough stock available to hold the cart line
+   *       500:
+   *         description: Failed to move item to cart
+   */
+  router.post(
+    '/:id/items/:itemId/move-to-cart',
+    authenticateJWT,
+    [
+      param('id').isInt().withMessage('Wishlist ID must be an integer'),
+      param('itemId').isInt().withMessage('Item ID must be an integer'),
+      body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+      body('variantId').optional().isInt().withMessage('Variant ID must be an integer'),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let client;
+      try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const item = await client.query(
+          `SELECT wi.* FROM wishlist_items wi JOIN wishlists w ON w.id = wi.wishlist_id
+           WHERE wi.id = $1 AND wi.wishlist_id = $2 AND w.user_id = $3
+           FOR UPDATE OF wi`,
+          [req.params.itemId, req.params.id, req.user.userId]
+        );
+        if (item.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ message: 'Item not found' });
+        }
+
+        const { product_id: productId, variant_id: savedVariantId } = item.rows[0];
+        const result = await addCartItem(client, req.user.userId, {
+          productId,
+          variantId: savedVariantId || req.body.variantId,
+          quantity: req.body.quantity || 1,
+        });
+        if (result.error) {
+          await client.query('ROLLBACK');
+          return res.status(result.status).json(result.status === 404 ? { message: result.error } : { error: result.error });
+        }
+
+        await client.query('DELETE FROM wishlist_items WHERE id = $1', [item.rows[0].id]);
+        await client.query('COMMIT');
+
+        res.json({ message: 'Item moved to cart', totalPrice: result.totalPrice });
+      } catch (error) {
+        if (client) {
+          await client.query('ROLLBACK');
+        }
+        console.error("Error moving wishlist item to cart:", error);
+        res.status(500).json({ error: 'Failed to move item to cart' });
+      } finally {
+        if (client) {
+          client.release();
+        }
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /wishlists/{id}/share:
+   *   post:
+   *     summary: Get a public read-only link to a wishlist
+   *     description: Returns the existing link if the list is already shared.
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The share link
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 shareToken:
+   *                   type: string
+   *                 shareUrl:
+   *                   type: string
+   *       404:
+   *         description: Wishlist not found
+   *       500:
+   *         description: Failed to share wishlist
+   */
+  router.post('/:id/share', authenticateJWT, [param('id').isInt().withMessage('Wishlist ID must be an integer')], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const wishlist = await pool.query(
+        `UPDATE wishlists SET share_token = COALESCE(share_token, $3)
+         WHERE id = $1 AND user_id = $2 RETURNING share_token`,
+        [req.params.id, req.user.userId, crypto.randomBytes(24).toString('base64url')]
+      );
+      if (wishlist.rows.length === 0) {
+        return res.status(404).json({ message: 'Wishlist not found' });
+      }
+
+      const { share_token: shareToken } = wishlist.rows[0];
+      res.json({ shareToken, shareUrl: shareUrl(shareToken) });
+    } catch (error) {
+      console.error("Error sharing wishlist:", error);
+      res.status(500).json({ error: 'Failed to share wishlist' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /wishlists/{id}/share:
+   *   delete:
+   *     summary: Stop sharing a wishlist
+   *     description: The old link stops working; sharing again creates a new one.
+   *     tags: [Wishlists]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Wishlist is private again
+   *       404:
+   *         description: Wishlist not found
+   *       500:
+   *         description: Failed to unshare wishlist
+   */
+  router.delete('/:id/share', authenticateJWT, [param('id').isInt().withMessage('Wishlist ID must be an integer')], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const wishlist = await pool.query(
+        'UPDATE wishlists SET share_token = NULL WHERE id = $1 AND user_id = $2 RETURNING id',
+        [req.params.id, req.user.userId]
+      );
+      if (wishlist.rows.length === 0) {
+        return res.status(404).json({ message: 'Wishlist not found' });
+      }
+      res.json({ message: 'Wishlist is no longer shared' });
+    } catch (error) {
+      console.error("Error unsharing wishlist:", error);
+      res.status(500).json({ error: 'Failed to unshare wishlist' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,31 @@
+const dotenv = require("dotenv");
+const { issueUserToken } = require("./userTokens");
+
+dotenv.config();
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = 24 * 60;
+
+async function sendVerificationEmail(pool, mailer, user) {
+  const token = await issueUserToken(pool, user.id, "email_verification", EMAIL_VERIFICATION_TTL_MINUTES);
+  await mailer.send({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Confirm your email address by opening this link within 24 hours:\n\n${APP_URL}/verify-email?token=${token}`,
+  });
+}
+
+async function sendPasswordResetEmail(pool, mailer, user) {
+  const token = await issueUserToken(pool, user.id, "password_reset", PASSWORD_RESET_TTL_MINUTES);
+  await mailer.send({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Reset your password by opening this link within an hour:\n\n${APP_URL}/reset-password?token=${token}\n\nIf you didn't ask for this you can ignore this email.`,
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
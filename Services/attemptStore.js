@@ -0,0 +1,147 @@
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+/**
+ * Counters for failed authentication attempts, keyed by strings like
+ * "login:account:<email>" or "login:ip:<address>". Both implementations
+ * expose the same async interface:
+ *
+ *   get(key)               -> { count, blockedUntil } or null
+ *   increment(key, window) -> { count, blockedUntil } after adding one; the
+ *                             count restarts when `window` ms have passed
+ *                             since the first attempt it holds
+ *   block(key, until)      -> stop accepting attempts for key until a Date
+ *   reset(key)             -> forget key entirely
+ *   prune(window)          -> forget every key whose count is more than
+ *                             `window` ms old and which isn't blocked,
+ *                             resolving to how many were forgotten
+ */
+
+// Only suitable for a single app instance; counters are lost on restart.
+function createMemoryAttemptStore() {
+  const entries = new Map();
+
+  function current(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now() && (!entry.blockedUntil || entry.blockedUntil <= new Date())) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    async get(key) {
+      const entry = current(key);
+      return entry ? { count: entry.count, blockedUntil: entry.blockedUntil } : null;
+    },
+
+    async increment(key, windowMs) {
+      let entry = current(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entry = { count: 0, blockedUntil: entry ? entry.blockedUntil : null, expiresAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, blockedUntil: entry.blockedUntil };
+    },
+
+    async block(key, until) {
+      const entry = current(key) || { count: 0, expiresAt: Date.now() };
+      entry.blockedUntil = until;
+      entries.set(key, entry);
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+
+    // Entries know when their own window ends, so `window` isn't needed here
+    async prune() {
+      let pruned = 0;
+      for (const key of [...entries.keys()]) {
+        if (!current(key)) {
+          pruned += 1;
+        }
+      }
+      return pruned;
+    },
+  };
+}
+
+// Shared between app instances through the auth_attempts table.
+function createPostgresAttemptStore(pool) {
+  return {
+    async get(key) {
+      const result = await pool.query(
+        "SELECT count, blocked_until FROM auth_attempts WHERE key = $1",
+        [key]
+      );
+      const row = result.rows[0];
+      return row ? { count: row.count, blockedUntil: row.blocked_until } : null;
+    },
+
+    async increment(key, windowMs) {
+      const result = await pool.query(
+        `INSERT INTO auth_attempts (key, count, window_started_at) VALUES ($1, 1, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN auth_attempts.window_started_at < CURRENT_TIMESTAMP - make_interval(secs => $2 / 1000.0)
+                        THEN 1 ELSE auth_attempts.count + 1 END,
+           window_started_at = CASE WHEN auth_attempts.window_started_at < CURRENT_TIMESTAMP - make_interval(secs => $2 / 1000.0)
+                                    THEN CURRENT_TIMESTAMP ELSE auth_attempts.window_started_at END
+         RETURNING count, blocked_until`,
+        [key, windowMs]
+      );
+      const row = result.rows[0];
+      return { count: row.count, blockedUntil: row.blocked_until };
+    },
+
+    async block(key, until) {
+      await pool.query(
+        `INSERT INTO auth_attempts (key, count, window_started_at, blocked_until) VALUES ($1, 0, CURRENT_TIMESTAMP, $2)
+         ON CONFLICT (key) DO UPDATE SET blocked_until = $2`,
+        [key, until]
+      );
+    },
+
+    async reset(key) {
+      await pool.query("DELETE FROM auth_attempts WHERE key = $1", [key]);
+    },
+
+    async prune(windowMs) {
+      const result = await pool.query(
+        `DELETE FROM auth_attempts
+         WHERE window_started_at < CURRENT_TIMESTAMP - make_interval(secs => $1 / 1000.0)
+           AND (blocked_until IS NULL OR blocked_until <= CURRENT_TIMESTAMP)`,
+        [windowMs]
+      );
+      return result.rowCount;
+    },
+  };
+}
+
+let memoryStore;
+
+/**
+ * Pick the store named by ATTEMPT_STORE ("postgres" by default, or
+ * "memory"). The memory store is a singleton so every router sees the same
+ * counters.
+ */
+function createAttemptStore(pool) {
+  const name = process.env.ATTEMPT_STORE || "postgres";
+  if (name === "memory") {
+    memoryStore = memoryStore || createMemoryAttemptStore();
+    return memoryStore;
+  }
+  if (name === "postgres") {
+    return createPostgresAttemptStore(pool);
+  }
+  throw new Error(`Unknown ATTEMPT_STORE "${name}"`);
+}
+
+module.exports = {
+  createAttemptStore,
+  createMemoryAttemptStore,
+  createPostgresAttemptStore,
+};
@@ -0,0 +1,13 @@
+/**
+ * Append an entry to the audit log. `subject` is whatever the event is
+ * about (an email, an IP address, an order id...) and `actorId` the user who
+ * caused it, if any.
+ */
+async function recordAudit(db, { event, actorId, subject, ip, details }) {
+  await db.query(
+    "INSERT INTO audit_log (event, actor_id, subject, ip, details) VALUES ($1, $2, $3, $4, $5)",
+    [event, actorId || null, subject || null, ip || null, details ? JSON.stringify(details) : null]
+  );
+}
+
+module.exports = { recordAudit };
@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10);
+
+function generateAccessToken(user, sessionId) {
+  return jwt.sign({ userId: user.id, role: user.role, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function storeRefreshToken(db, sessionId) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))`,
+    [sessionId, hashToken(token), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return token;
+}
+
+/**
+ * Start a new session (token family) for a freshly authenticated user and
+ * return its first access/refresh token pair.
+ */
+async function createSession(db, user, userAgent) {
+  const sessionId = crypto.randomUUID();
+  await db.query(
+    "INSERT INTO auth_sessions (id, user_id, user_agent) VALUES ($1, $2, $3)",
+    [sessionId, user.id, userAgent || null]
+  );
+  const refreshToken = await storeRefreshToken(db, sessionId);
+  return { accessToken: generateAccessToken(user, sessionId), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new pair. Each refresh token works exactly
+ * once; presenting one that has already been rotated means it has leaked, so
+ * the whole session is revoked and every token issued from it stops working.
+ *
+ * Returns { accessToken, refreshToken } on success or { error } otherwise.
+ */
+async function rotateRefreshToken(pool, refreshToken) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < CURRENT_TIMESTAMP AS expired,
+              s.revoked_at, u.id AS user_id, u.role, u.disabled_at
+       FROM refresh_tokens rt
+       JOIN auth_sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)]
+    );
+    const row = result.rows[0];
+
+    if (!row || row.revoked_at) {
+      await client.query("ROLLBACK");
+      return { error: "Invalid refresh token" };
+    }
+
+    if (row.used_at) {
+      await revokeSession(client, row.session_id, "reuse_detected");
+      await client.query("COMMIT");
+      return { error: "Refresh token reuse detected; session revoked" };
+    }
+
+    if (row.disabled_at) {
+      await client.query("ROLLBACK");
+      return { error: "Account disabled" };
+    }
+
+    if (row.expired) {
+      await client.query("ROLLBACK");
+      return { error: "Refresh token expired" };
+    }
+
+    await client.query("UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1", [row.id]);
+    const newRefreshToken = await storeRefreshToken(client, row.session_id);
+
+    await client.query("COMMIT");
+    return {
+      accessToken: generateAccessToken({ id: row.user_id, role: row.role }, row.session_id),
+      refreshToken: newRefreshToken,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function revokeSession(db, sessionId, reason) {
+  await db.query(
+    "UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL",
+    [sessionId, reason]
+  );
+}
+
+async function revokeAllSessions(db, userId, reason) {
+  await db.query(
+    "UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId, reason]
+  );
+}
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+};
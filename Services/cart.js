@@ -0,0 +1,106 @@
+// Cart updates shared by the cart routes and anything else that puts items
+// in a cart (e.g. moving an item over from a wishlist).
+const { priceCartLines, calculateDiscounts } = require('./promotions');
+const { lineKey, reserveStock } = require('./stockReservations');
+
+/**
+ * Add `quantity` of a product (and variant, if it has them) to the user's
+ * cart, creating the cart if the user has none yet, and hold the stock for
+ * the whole cart line. `db` must be a client inside a transaction.
+ *
+ * Resolves to { totalPrice, reservedUntil } or, when the item cannot be
+ * added, { status, error } with the HTTP status to answer with.
+ */
+async function addCartItem(db, userId, { productId, variantId, quantity }) {
+  // Get product details to calculate price
+  const product = await db.query(
+    'SELECT price, EXISTS (SELECT 1 FROM product_variants WHERE product_id = products.id) AS has_variants FROM products WHERE id = $1',
+    [productId]
+  );
+  if (product.rows.length === 0) {
+    return { status: 404, error: 'Product not found' };
+  }
+
+  let price = parseFloat(product.rows[0].price); // Important: Parse to a number
+  if (variantId) {
+    const variant = await db.query(
+      'SELECT price FROM product_variants WHERE id = $1 AND product_id = $2',
+      [variantId, productId]
+    );
+    if (variant.rows.length === 0) {
+      return { status: 404, error: 'Variant not found' };
+    }
+    if (variant.rows[0].price !== null) {
+      price = parseFloat(variant.rows[0].price);
+    }
+  } else if (product.rows[0].has_variants) {
+    return { status: 400, error: 'This product comes in variants; choose one with variantId' };
+  }
+  const itemPrice = price * quantity;
+
+  // Lock the cart as checkout does, so the two can't interleave and either
+  // write back an old copy of the items
+  let cartResult = await db.query('SELECT * FROM carts WHERE user_id = $1 FOR UPDATE', [userId]);
+  if (cartResult.rows.length === 0) {
+    cartResult = await db.query('INSERT INTO carts (user_id) VALUES ($1) RETURNING *', [userId]);
+  }
+  const cartItems = cartResult.rows[0].items || [];
+
+  // Add or update item in cart. Each variant of a product gets its own line.
+  const existingItemIndex = cartItems.findIndex(
+    item => item.productId === productId && (item.variantId || null) === (variantId || null)
+  );
+  const lineQuantity = quantity + (existingItemIndex > -1 ? cartItems[existingItemIndex].quantity : 0);
+  const reservation = await reserveStock(db, userId, { productId, variantId, quantity: lineQuantity });
+  if (reservation.error) {
+    return { status: reservation.status, error: reservation.error };
+  }
+
+  if (existingItemIndex > -1) {
+    cartItems[existingItemIndex].quantity += quantity;
+    cartItems[existingItemIndex].price += itemPrice;
+  } else {
+    cartItems.push({ productId, variantId, quantity, price: itemPrice });
+  }
+
+  // Calculate total price
+  const totalPrice = cartItems.reduce((sum, item) => sum + item.price, 0);
+
+  await db.query(
+    'UPDATE carts SET items = $1 WHERE user_id = $2',
+    [JSON.stringify(cartItems), userId]
+  );
+
+  return { totalPrice, reservedUntil: reservation.expiresAt };
+}
+
+/**
+ * The cart row priced in `currency` (from resolveCurrency): each item at its
+ * current price and with when its stock hold runs out (null once it has),
+ * plus the subtotal, discount lines and total. The applied coupon is checked
+ * again each time; couponError says why it no longer applies.
+ */
+async function priceCart(db, cart, currency) {
+  const items = cart.items || [];
+  const lines = await priceCartLines(db, items, currency);
+  const pricing = await calculateDiscounts(db, { lines, userId: cart.user_id, code: cart.coupon_code, currency });
+  const reservations = await db.query(
+    'SELECT product_id, variant_id, expires_at FROM stock_reservations WHERE user_id = $1 AND expires_at > NOW()',
+    [cart.user_id]
+  );
+  const reservedUntil = new Map(reservations.rows.map(row => [lineKey(row.product_id, row.variant_id), row.expires_at]));
+
+  const pricedItems = items.map(item => {
+    const line = lines.find(
+      candidate => candidate.productId === item.productId && candidate.variantId === (item.variantId || null)
+    );
+    return {
+      ...item,
+      ...(line && { price: (line.unitCents * line.quantity) / 100 }),
+      reservedUntil: reservedUntil.get(lineKey(item.productId, item.variantId)) || null,
+    };
+  });
+  return { ...cart, items: pricedItems, ...pricing };
+}
+
+module.exports = { addCartItem, priceCart };
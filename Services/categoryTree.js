@@ -0,0 +1,76 @@
+// Categories form a tree through categories.parent_id (NULL for top-level
+// categories). These helpers keep the recursive SQL in one place.
+
+// SQL selecting the ids of the categories in the int array `$<param>` and of
+// every category below them.
+// Meant to be used as `... IN (${descendantIdsSql(n)})`.
+function descendantIdsSql(param) {
+  return `
+    WITH RECURSIVE subtree AS (
+      SELECT id FROM categories WHERE id = ANY($${param}::int[])
+      UNION ALL
+      SELECT c.id FROM categories c JOIN subtree ON c.parent_id = subtree.id
+    )
+    SELECT id FROM subtree
+  `;
+}
+
+// Categories from the root down to `$<param>` inclusive, root first.
+function ancestorPathSql(param) {
+  return `
+    WITH RECURSIVE path AS (
+      SELECT id, name, description, parent_id, 0 AS depth FROM categories WHERE id = $${param}
+      UNION ALL
+      SELECT c.id, c.name, c.description, c.parent_id, path.depth + 1
+      FROM categories c JOIN path ON c.id = path.parent_id
+    )
+    SELECT id, name, description, parent_id FROM path ORDER BY depth DESC
+  `;
+}
+
+// Turn flat category rows into nested { ...category, children: [] } nodes.
+function buildTree(rows) {
+  const nodes = new Map(rows.map((row) => [row.id, { ...row, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id === null ? null : nodes.get(node.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+}
+
+// Joins the names in a category path, e.g. "Home > Lighting"
+const CATEGORY_PATH_SEPARATOR = " > ";
+
+// Map each category in `rows` (with id, name and parent_id) to its path from
+// the root, e.g. "Home > Lighting".
+function categoryPaths(rows) {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const paths = new Map();
+
+  const pathOf = (row) => {
+    if (!paths.has(row.id)) {
+      paths.set(row.id, row.name);
+      const parent = row.parent_id === null ? undefined : byId.get(row.parent_id);
+      if (parent) {
+        paths.set(row.id, pathOf(parent) + CATEGORY_PATH_SEPARATOR + row.name);
+      }
+    }
+    return paths.get(row.id);
+  };
+  rows.forEach(pathOf);
+  return paths;
+}
+
+module.exports = {
+  CATEGORY_PATH_SEPARATOR,
+  descendantIdsSql,
+  ancestorPathSql,
+  buildTree,
+  categoryPaths,
+};
@@ -0,0 +1,77 @@
+// CSV as in RFC 4180: comma-separated fields, double-quoted when they contain a
+// comma, quote or line break ("" inside quotes is a literal quote), records
+// separated by CRLF or LF.
+
+// Spreadsheets run a cell starting with one of these as a formula, and
+// emails, names and the like come from customers. Such fields are written
+// with a leading apostrophe, which makes them plain text; numbers are left as
+// they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Undo the apostrophe toCsvField puts before formula-like text, for reading
+// back files we exported
+function fromCsvField(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Parse CSV text into an array of records, each an array of field strings.
+ * Ignores a leading byte order mark and a trailing line break. Throws if a
+ * quoted field is never closed.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+module.exports = { toCsvField, fromCsvField, parseCsv };
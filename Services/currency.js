@@ -0,0 +1,127 @@
+// Prices are stored in the base currency (BASE_CURRENCY, USD by default).
+// Other currencies are priced by converting at the rates in exchange_rates,
+// unless a product has its own price in that currency (product_prices).
+//
+// Rounding: every converted unit price is rounded half-up to the currency's
+// minor unit (cents for EUR, whole yen for JPY) before it is multiplied by a
+// quantity, so line totals, discounts and order totals always add up.
+
+function toCents(price) {
+  return Math.round(parseFloat(price) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function baseCurrency() {
+  return (process.env.BASE_CURRENCY || "USD").toUpperCase();
+}
+
+// Digits after the decimal point, capped at the two our columns store
+function minorUnits(code) {
+  const { maximumFractionDigits } = new Intl.NumberFormat("en", { style: "currency", currency: code }).resolvedOptions();
+  return Math.min(maximumFractionDigits, 2);
+}
+
+function currencyInfo(code, rate) {
+  return { code, rate, decimals: minorUnits(code) };
+}
+
+/**
+ * The currency to price a request in: { code, rate, decimals }, where `rate`
+ * is units of the currency per unit of the base currency. No code means the
+ * base currency. Resolves to null for a currency without an exchange rate.
+ */
+async function resolveCurrency(db, code) {
+  const base = baseCurrency();
+  if (!code || code.toUpperCase() === base) {
+    return currencyInfo(base, 1);
+  }
+  const rate = await db.query("SELECT currency, rate FROM exchange_rates WHERE currency = $1", [code.toUpperCase()]);
+  if (rate.rows.length === 0) {
+    return null;
+  }
+  return currencyInfo(rate.rows[0].currency, parseFloat(rate.rows[0].rate));
+}
+
+// Round hundredths of a unit to the currency's minor unit, half-up
+function roundCents(cents, currency) {
+  const step = 10 ** (2 - currency.decimals);
+  return Math.round(cents / step) * step;
+}
+
+// Base-currency cents in `currency`
+function convertCents(baseCents, currency) {
+  return roundCents(baseCents * currency.rate, currency);
+}
+
+// Price overrides in `currency` as a Map of product ID -> cents
+async function priceOverrides(db, productIds, currency) {
+  if (currency.code === baseCurrency() || productIds.length === 0) {
+    return new Map();
+  }
+  const prices = await db.query(
+    "SELECT product_id, price FROM product_prices WHERE product_id = ANY($1::int[]) AND currency = $2",
+    [productIds, currency.code]
+  );
+  return new Map(prices.rows.map((row) => [row.product_id, toCents(row.price)]));
+}
+
+/**
+ * Unit price in cents of a product, or of a variant when `variantPrice` is
+ * given. A variant with its own price is converted; otherwise the product's
+ * override for the currency wins over converting its base price.
+ */
+function unitPriceCents({ productPrice, variantPrice = null, override }, currency) {
+  if (variantPrice !== null) {
+    return convertCents(toCents(variantPrice), currency);
+  }
+  if (override !== undefined) {
+    return override;
+  }
+  return convertCents(toCents(productPrice), currency);
+}
+
+/**
+ * Product rows with `price`, `min_price` and `max_price` in `currency`, plus
+ * a `currency` field. `variants`, if loaded, should carry their own (possibly
+ * NULL) price; those without one get the product's.
+ */
+async function localizeProducts(db, products, currency) {
+  const overrides = await priceOverrides(db, products.map((product) => product.id), currency);
+
+  return products.map((product) => {
+    const override = overrides.get(product.id);
+    const localized = {
+      ...product,
+      price: fromCents(unitPriceCents({ productPrice: product.price, override }, currency)),
+      currency: currency.code,
+    };
+
+    // Range ends equal to the product's own price are variants without a price of their own
+    for (const field of ["min_price", "max_price"]) {
+      if (product[field] !== undefined && product[field] !== null) {
+        localized[field] =
+          product[field] === product.price ? localized.price : fromCents(convertCents(toCents(product[field]), currency));
+      }
+    }
+    if (product.variants) {
+      localized.variants = product.variants.map((variant) => ({
+        ...variant,
+        price: fromCents(unitPriceCents({ productPrice: product.price, variantPrice: variant.price, override }, currency)),
+      }));
+    }
+    return localized;
+  });
+}
+
+module.exports = {
+  baseCurrency,
+  resolveCurrency,
+  roundCents,
+  convertCents,
+  priceOverrides,
+  unitPriceCents,
+  localizeProducts,
+};
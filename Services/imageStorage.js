@@ -0,0 +1,110 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// Image storages keep the files made by Services/imageUploads.js. upload()
+// takes the file's bytes and resolves to { url, key }: `url` is where clients
+// load it from, and `key` is what remove() needs to delete it later (store it
+// next to the URL).
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+/**
+ * Stores images in Cloudinary. Configured through CLOUD_NAME, API_KEY and
+ * API_SECRET.
+ */
+function cloudinaryStorage() {
+  const cloudinary = require("cloudinary").v2;
+  cloudinary.config({
+    cloud_name: process.env.CLOUD_NAME,
+    api_key: process.env.API_KEY,
+    api_secret: process.env.API_SECRET,
+  });
+
+  return {
+    upload(data, { folder = "products" } = {}) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream({ folder, resource_type: "image" }, (error, result) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve({ url: result.secure_url, key: result.public_id });
+          }
+        });
+        stream.end(data);
+      });
+    },
+    async remove(key) {
+      await cloudinary.uploader.destroy(key);
+    },
+  };
+}
+
+/**
+ * Writes images under LOCAL_UPLOAD_DIR (defaults to ./uploads), which the
+ * server serves at /uploads, so development and tests don't need Cloudinary.
+ */
+function localDiskStorage() {
+  const directory = path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, "..", "uploads"));
+
+  return {
+    directory,
+    async upload(data, { folder = "products", contentType } = {}) {
+      const key = `${folder}/${crypto.randomUUID()}.${EXTENSIONS[contentType] || "bin"}`;
+      await fs.mkdir(path.dirname(path.join(directory, key)), { recursive: true });
+      await fs.writeFile(path.join(directory, key), data);
+      return { url: `${APP_URL}/uploads/${key}`, key };
+    },
+    async remove(key) {
+      const file = path.resolve(directory, key);
+      if (!file.startsWith(directory + path.sep)) {
+        throw new Error(`Refusing to remove ${key}: it's outside the upload directory`);
+      }
+      await fs.rm(file, { force: true });
+    },
+  };
+}
+
+const storages = {
+  cloudinary: cloudinaryStorage,
+  local: localDiskStorage,
+};
+
+/**
+ * Pick the storage named by IMAGE_STORAGE (defaults to Cloudinary).
+ */
+function createImageStorage() {
+  const name = process.env.IMAGE_STORAGE || "cloudinary";
+  const storage = storages[name];
+  if (!storage) {
+    throw new Error(`Unknown IMAGE_STORAGE "${name}"`);
+  }
+  return storage();
+}
+
+/**
+ * Delete stored images whose rows are already gone. Failures are logged
+ * rather than thrown: the change that dropped the images has been committed,
+ * and an orphaned file is better than a failed request.
+ */
+async function removeStoredImages(storage, keys) {
+  for (const key of keys) {
+    if (!key) continue;
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Error removing stored image ${key}:`, error);
+    }
+  }
+}
+
+module.exports = { createImageStorage, removeStoredImages };
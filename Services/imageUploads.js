@@ -0,0 +1,299 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const sharp = require("sharp");
+const dotenv = require("dotenv");
+const { removeStoredImages } = require("./imageStorage");
+
+dotenv.config();
+
+// Every image a client sends, whether a multipart file, a data URI or a URL
+// to fetch, is checked and re-encoded here before it reaches the image
+// storage: its declared type and its leading bytes must both be JPEG, PNG or
+// WebP, it's turned upright and stripped of EXIF and other metadata, and
+// resized renditions are made alongside it.
+
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_UPLOAD_BYTES || String(5 * 1024 * 1024), 10);
+
+// Guards against small files that decode to enormous images
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000;
+
+const DOWNLOAD_TIMEOUT_MS = 10 * 1000;
+const MAX_REDIRECTS = 5;
+
+// Image URLs come from clients, so downloads must not reach the server's own
+// network: loopback, private, link-local (cloud metadata endpoints among
+// them), carrier-grade NAT, multicast and reserved ranges are refused, as are
+// IPv4 addresses dressed up as IPv6
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// sharp output format for each accepted type; images keep the type they came in
+const IMAGE_FORMATS = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Resized copies stored with each product image. `cover` crops to fill the
+// box; `inside` keeps the whole image within it. Images are never enlarged.
+const RENDITIONS = {
+  thumbnail: { width: 200, height: 200, fit: "cover" },
+  medium: { width: 800, height: 800, fit: "inside" },
+  large: { width: 1600, height: 1600, fit: "inside" },
+};
+
+const IMAGE_TOO_LARGE =
+  MAX_IMAGE_BYTES >= 1024 * 1024
+    ? `Images must be at most ${+(MAX_IMAGE_BYTES / 1024 / 1024).toFixed(1)} MB`
+    : `Images must be at most ${Math.floor(MAX_IMAGE_BYTES / 1024)} KB`;
+
+const tooLarge = () => ({ status: 413, error: IMAGE_TOO_LARGE });
+
+/**
+ * The type of image `data` holds, judged by its leading bytes, or null if
+ * it isn't one we accept.
+ */
+function detectImageType(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (data.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return "image/png";
+  }
+  if (data.length >= 12 && data.toString("ascii", 0, 4) === "RIFF" && data.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const privateAddressError = () =>
+  Object.assign(new Error("The image URL points to a private address"), { code: "EPRIVATEADDRESS" });
+
+// dns.lookup that fails for hosts resolving to a private address. Checking
+// the address actually connected to, rather than resolving the name
+// beforehand, means a second, different DNS answer can't slip past.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((resolved) => isPrivateAddress(resolved.address))) {
+      return callback(privateAddressError());
+    }
+    callback(null, address, family);
+  });
+}
+
+function request(url, signal) {
+  // Literal IP hosts are connected to without a lookup, so check them here
+  if (isPrivateAddress(url.hostname.replace(/^\[|\]$/g, ""))) {
+    return Promise.reject(privateAddressError());
+  }
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, { lookup: publicLookup, signal }, resolve).on("error", reject);
+  });
+}
+
+// The response body, or null once it grows past MAX_IMAGE_BYTES (the rest
+// isn't downloaded)
+function readLimited(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    response.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_IMAGE_BYTES) {
+        response.destroy();
+        resolve(null);
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    response.on("end", () => resolve(Buffer.concat(chunks)));
+    response.on("error", reject);
+  });
+}
+
+// Download an http(s) image URL, following redirects, each of which is held
+// to the same rules as the URL itself
+async function downloadImage(image) {
+  const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+  let url = new URL(image);
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await request(url, signal);
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        url = new URL(headers.location, url);
+        if (redirects === MAX_REDIRECTS || !["http:", "https:"].includes(url.protocol)) {
+          return { status: 400, error: "The image URL redirects too many times or to somewhere other than http(s)" };
+        }
+        continue;
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return { status: 400, error: `Downloading the image URL failed with status ${statusCode}` };
+      }
+      if (Number(headers["content-length"]) > MAX_IMAGE_BYTES) {
+        response.destroy();
+        return tooLarge();
+      }
+
+      const data = await readLimited(response);
+      if (!data) {
+        return tooLarge();
+      }
+      return {
+        contentType: (headers["content-type"] || "").split(";")[0].trim().toLowerCase(),
+        data,
+      };
+    }
+  } catch (error) {
+    if (error.code === "EPRIVATEADDRESS") {
+      return { status: 400, error: "Image URLs must point to a public address" };
+    }
+    return { status: 400, error: "The image URL couldn't be downloaded" };
+  }
+}
+
+// An image given as a string: a base64 data URI, or an http(s) URL to download
+async function readImageSource(image) {
+  const dataUri = /^data:([\w.+-]+\/[\w.+-]+);base64,(.*)$/s.exec(image);
+  if (dataUri) {
+    // Base64 holds 3 bytes in every 4 characters; check before decoding
+    if (dataUri[2].length * 0.75 > MAX_IMAGE_BYTES + 2) {
+      return tooLarge();
+    }
+    return { contentType: dataUri[1].toLowerCase(), data: Buffer.from(dataUri[2], "base64") };
+  }
+
+  if (/^https?:\/\//.test(image)) {
+    return downloadImage(image);
+  }
+
+  return { status: 400, error: "Images must be uploaded as a file, or given as a base64 data URI or an http(s) URL" };
+}
+
+/**
+ * Check an image and produce the files to store: the image itself, upright
+ * and without metadata, and each of RENDITIONS when `withRenditions` is set.
+ * Resolves to { image, renditions } or { status, error }.
+ */
+async function prepareImage({ data, contentType: declared }, { withRenditions = true } = {}) {
+  // Some clients label JPEGs with this non-standard type
+  const contentType = declared === "image/jpg" ? "image/jpeg" : declared;
+  if (data.length > MAX_IMAGE_BYTES) {
+    return tooLarge();
+  }
+  if (data.length === 0) {
+    return { status: 400, error: "The image is empty" };
+  }
+  if (!IMAGE_FORMATS[contentType]) {
+    return { status: 415, error: "Images must be JPEG, PNG or WebP" };
+  }
+  const detected = detectImageType(data);
+  if (!detected) {
+    return { status: 415, error: "The file isn't a JPEG, PNG or WebP image" };
+  }
+  if (detected !== contentType) {
+    return { status: 415, error: `The file was sent as ${contentType} but is ${detected}` };
+  }
+
+  const format = IMAGE_FORMATS[detected];
+  try {
+    // rotate() with no angle applies the EXIF orientation; sharp leaves all
+    // metadata out of what it writes unless asked to keep it
+    const source = sharp(data, { failOn: "error", limitInputPixels: MAX_IMAGE_PIXELS }).rotate();
+    const encode = async (pipeline) => {
+      const { data: output, info } = await pipeline.toFormat(format).toBuffer({ resolveWithObject: true });
+      return { data: output, contentType: detected, width: info.width, height: info.height };
+    };
+
+    const image = await encode(source.clone());
+    const renditions = {};
+    if (withRenditions) {
+      for (const [name, size] of Object.entries(RENDITIONS)) {
+        renditions[name] = await encode(source.clone().resize({ ...size, withoutEnlargement: true }));
+      }
+    }
+    return { image, renditions };
+  } catch (error) {
+    return { status: 400, error: "The image couldn't be read" };
+  }
+}
+
+/**
+ * Check, process and store an image given as { data, contentType } (a
+ * multipart file) or as a string (see readImageSource). Resolves to
+ * { url, key, renditions, renditionKeys, keys }, where `renditions` maps
+ * rendition names to URLs and `keys` lists every stored file, or to
+ * { status, error } if the image was refused or couldn't be stored. Nothing
+ * is left in storage when it fails.
+ */
+async function storeImage(storage, source, { folder = "products", withRenditions = true } = {}) {
+  const file = typeof source === "string" ? await readImageSource(source) : source;
+  if (file.error) {
+    return file;
+  }
+  const prepared = await prepareImage(file, { withRenditions });
+  if (prepared.error) {
+    return prepared;
+  }
+
+  const keys = [];
+  try {
+    const { image } = prepared;
+    const stored = await storage.upload(image.data, { folder, contentType: image.contentType });
+    keys.push(stored.key);
+
+    const renditions = {};
+    for (const [name, rendition] of Object.entries(prepared.renditions)) {
+      const copy = await storage.upload(rendition.data, { folder: `${folder}/${name}`, contentType: rendition.contentType });
+      keys.push(copy.key);
+      renditions[name] = copy.url;
+    }
+    return { url: stored.url, key: stored.key, renditions, renditionKeys: keys.slice(1), keys };
+  } catch (error) {
+    console.error("Error storing image:", error);
+    await removeStoredImages(storage, keys);
+    return { status: 502, error: "Failed to upload the image" };
+  }
+}
+
+module.exports = { MAX_IMAGE_BYTES, IMAGE_TOO_LARGE, RENDITIONS, detectImageType, prepareImage, storeImage };
@@ -0,0 +1,91 @@
+// Stock ledger. Every change to products.stock or product_variants.stock goes
+// through recordMovement, which appends a row to stock_movements, so the
+// stock column is always the running total of its movements and every change
+// says why, who made it and what it relates to.
+
+const MOVEMENT_TYPES = ["receipt", "sale", "return", "adjustment", "correction"];
+
+/**
+ * Change the stock of a product, or of one of its variants, by `quantity`
+ * (negative to take stock away) and append the movement to the ledger.
+ * `orderId` links sales and returns to their order; `reference` is free text
+ * such as a delivery note number. Call inside a transaction.
+ *
+ * Resolves to { movement } or, when the product or variant doesn't exist or
+ * the stock would go below zero, { status, error }.
+ */
+async function recordMovement(
+  db,
+  { productId, variantId = null, type, quantity, reason = null, reference = null, orderId = null, actorId = null }
+) {
+  const current = variantId
+    ? await db.query("SELECT stock FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE", [variantId, productId])
+    : await db.query("SELECT stock FROM products WHERE id = $1 FOR UPDATE", [productId]);
+  if (current.rows.length === 0) {
+    return { status: 404, error: variantId ? "Variant not found" : "Product not found" };
+  }
+
+  const balance = current.rows[0].stock + quantity;
+  if (balance < 0) {
+    return { status: 409, error: `Only ${current.rows[0].stock} in stock; can't take away ${-quantity}` };
+  }
+
+  if (variantId) {
+    await db.query("UPDATE product_variants SET stock = $1 WHERE id = $2", [balance, variantId]);
+  } else {
+    await db.query("UPDATE products SET stock = $1 WHERE id = $2", [balance, productId]);
+  }
+
+  const movement = await db.query(
+    `INSERT INTO stock_movements (product_id, variant_id, type, quantity, balance_after, reason, reference, order_id, actor_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [productId, variantId, type, quantity, balance, reason, reference, orderId, actorId]
+  );
+  return { movement: movement.rows[0] };
+}
+
+/**
+ * Bring the stock of a product or variant to `level` with a single movement
+ * of type `type` (a correction, unless given). Resolves like recordMovement,
+ * with { movement: null } when the stock is already at `level`.
+ */
+async function setStockLevel(db, { productId, variantId = null }, level, { type = "correction", reason, reference, actorId } = {}) {
+  const current = variantId
+    ? await db.query("SELECT stock FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE", [variantId, productId])
+    : await db.query("SELECT stock FROM products WHERE id = $1 FOR UPDATE", [productId]);
+  if (current.rows.length === 0) {
+    return { status: 404, error: variantId ? "Variant not found" : "Product not found" };
+  }
+  if (current.rows[0].stock === level) {
+    return { movement: null };
+  }
+  return recordMovement(db, {
+    productId,
+    variantId,
+    type,
+    quantity: level - current.rows[0].stock,
+    reason,
+    reference,
+    actorId,
+  });
+}
+
+// Products and variants whose stock column doesn't match the sum of their
+// movements, which only happens if something wrote to it around the ledger
+const LEDGER_DISCREPANCIES = `
+  WITH stock AS (
+    SELECT p.id AS product_id, NULL::int AS variant_id, p.name, NULL AS sku, p.stock FROM products p
+    UNION ALL
+    SELECT v.product_id, v.id, p.name, v.sku, v.stock FROM product_variants v JOIN products p ON p.id = v.product_id
+  ),
+  ledger AS (
+    SELECT product_id, variant_id, SUM(quantity)::int AS quantity FROM stock_movements GROUP BY product_id, variant_id
+  )
+  SELECT s.product_id AS "productId", s.variant_id AS "variantId", s.name, s.sku, s.stock,
+    COALESCE(l.quantity, 0) AS "ledgerStock", s.stock - COALESCE(l.quantity, 0) AS difference
+  FROM stock s
+  LEFT JOIN ledger l ON l.product_id = s.product_id AND l.variant_id IS NOT DISTINCT FROM s.variant_id
+  WHERE s.stock <> COALESCE(l.quantity, 0)
+`;
+
+module.exports = { MOVEMENT_TYPES, LEDGER_DISCREPANCIES, recordMovement, setStockLevel };
@@ -0,0 +1,131 @@
+const dotenv = require("dotenv");
+const { createAttemptStore } = require("./attemptStore");
+const { recordAudit } = require("./audit");
+
+dotenv.config();
+
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+// Failures allowed before each further attempt has to wait, doubling from one second
+const FREE_FAILURES = 3;
+const MAX_DELAY_MS = 60 * 1000;
+const ACCOUNT_LOCKOUT_FAILURES = parseInt(process.env.LOGIN_LOCKOUT_FAILURES || "10", 10);
+const IP_LOCKOUT_FAILURES = parseInt(process.env.LOGIN_IP_LOCKOUT_FAILURES || "50", 10);
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15", 10) * 60 * 1000;
+const SIGNUP_WINDOW_MS = 60 * 60 * 1000;
+const SIGNUPS_PER_IP = parseInt(process.env.SIGNUPS_PER_IP_PER_HOUR || "10", 10);
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const accountKey = (email) => `login:account:${email.toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+const signupKey = (ip) => `signup:ip:${ip}`;
+
+function delayFor(failures) {
+  if (failures <= FREE_FAILURES) {
+    return 0;
+  }
+  return Math.min(1000 * 2 ** (failures - FREE_FAILURES - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Tracks failed logins per account and per IP address. After a few failures
+ * each further attempt has to wait progressively longer, and after many the
+ * account (or address) is locked out for a while and the lockout audited.
+ */
+function createLoginThrottle(pool) {
+  const store = createAttemptStore(pool);
+
+  // Seconds until any of the keys accepts attempts again, 0 if none is blocked
+  async function retryAfter(keys) {
+    let until = 0;
+    for (const key of keys) {
+      const entry = await store.get(key);
+      if (entry && entry.blockedUntil) {
+        until = Math.max(until, new Date(entry.blockedUntil).getTime());
+      }
+    }
+    return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+  }
+
+  async function registerFailure(key, lockoutFailures, lockoutEvent, subject, ip) {
+    const { count } = await store.increment(key, FAILURE_WINDOW_MS);
+
+    // Every failure past the limit locks again, so a lockout that ends
+    // within the window doesn't fall back to the capped progressive delay;
+    // only the first is audited
+    if (count >= lockoutFailures) {
+      await store.block(key, new Date(Date.now() + LOCKOUT_MS));
+      if (count === lockoutFailures) {
+        await recordAudit(pool, {
+          event: lockoutEvent,
+          subject,
+          ip,
+          details: { failures: count, lockedForMinutes: LOCKOUT_MS / 60000 },
+        });
+      }
+    } else if (delayFor(count) > 0) {
+      await store.block(key, new Date(Date.now() + delayFor(count)));
+    }
+  }
+
+  return {
+    async loginRetryAfter(email, ip) {
+      return retryAfter([accountKey(email), ipKey(ip)]);
+    },
+
+    async loginFailed(email, ip) {
+      await registerFailure(accountKey(email), ACCOUNT_LOCKOUT_FAILURES, "account_locked", email.toLowerCase(), ip);
+      await registerFailure(ipKey(ip), IP_LOCKOUT_FAILURES, "ip_locked", ip, ip);
+    },
+
+    // The address keeps its count: one good password says nothing about the
+    // other accounts being guessed from it.
+    async loginSucceeded(email) {
+      await store.reset(accountKey(email));
+    },
+
+    // Counts every signup, successful or not, and returns seconds to wait
+    // once an address goes over its hourly allowance.
+    async signupRetryAfter(ip) {
+      const key = signupKey(ip);
+      const wait = await retryAfter([key]);
+      if (wait > 0) {
+        return wait;
+      }
+
+      const { count } = await store.increment(key, SIGNUP_WINDOW_MS);
+      if (count > SIGNUPS_PER_IP) {
+        await store.block(key, new Date(Date.now() + SIGNUP_WINDOW_MS));
+        return SIGNUP_WINDOW_MS / 1000;
+      }
+      return 0;
+    },
+
+    async unlockAccount(email) {
+      await store.reset(accountKey(email));
+    },
+  };
+}
+
+/**
+ * Every ten minutes, forget the counters whose window has passed and that
+ * block nothing; nothing else removes keys that are never tried again.
+ * Returns the timer.
+ */
+function startAttemptSweep(pool, intervalMs = SWEEP_INTERVAL_MS) {
+  const store = createAttemptStore(pool);
+  const timer = setInterval(async () => {
+    try {
+      const pruned = await store.prune(Math.max(FAILURE_WINDOW_MS, SIGNUP_WINDOW_MS));
+      if (pruned > 0) {
+        console.log(`Pruned ${pruned} expired authentication attempt counter(s)`);
+      }
+    } catch (error) {
+      console.error("Error pruning authentication attempts:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = createLoginThrottle;
+module.exports.startAttemptSweep = startAttemptSweep;
@@ -0,0 +1,61 @@
+const nodemailer = require("nodemailer");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@example.com";
+
+/**
+ * Sends mail over SMTP. Configured through SMTP_HOST, SMTP_PORT, SMTP_USER
+ * and SMTP_PASSWORD.
+ */
+function smtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_PORT === "465",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from: MAIL_FROM, to, subject, text });
+    },
+  };
+}
+
+/**
+ * Writes mail to the mail_outbox table instead of sending it, so flows that
+ * email a link can be exercised locally and in tests without an SMTP server.
+ */
+function outboxTransport(pool) {
+  return {
+    async send({ to, subject, text }) {
+      await pool.query(
+        "INSERT INTO mail_outbox (sender, recipient, subject, body) VALUES ($1, $2, $3, $4)",
+        [MAIL_FROM, to, subject, text]
+      );
+    },
+  };
+}
+
+const transports = {
+  smtp: smtpTransport,
+  outbox: outboxTransport,
+};
+
+/**
+ * Pick the transport named by MAIL_TRANSPORT (defaults to the outbox).
+ */
+function createMailer(pool) {
+  const name = process.env.MAIL_TRANSPORT || "outbox";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  return transport(pool);
+}
+
+module.exports = createMailer;
@@ -0,0 +1,179 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Versioned schema migrations. Each file in migrations/ is named
+// <version>_<name>.js, the version being the UTC time it was created
+// (YYYYMMDDHHMMSS), and exports async up(db) and down(db). Migrations run in
+// version order, each in its own transaction, and schema_migrations records
+// which have been applied. Everything happens under an advisory lock, so app
+// instances starting together (or the CLI run during a deploy) wait their
+// turn instead of applying the same migration twice.
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE = /^(\d{14})_([a-z0-9_]+)\.js$/;
+
+// Any fixed number will do, as long as every process locks the same one
+const MIGRATION_LOCK_KEY = 827360514;
+
+/**
+ * The migration files, oldest first: [{ version, name, file }].
+ */
+async function listMigrations() {
+  let files;
+  try {
+    files = await fs.readdir(MIGRATIONS_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return files
+    .map((file) => MIGRATION_FILE.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, file: path.join(MIGRATIONS_DIR, file) }))
+    .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+// Run `callback` with a client holding the migration lock, once schema_migrations exists
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version VARCHAR(14) PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await callback(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedMigrations(db) {
+  const applied = await db.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+  return applied.rows;
+}
+
+async function runMigration(client, migration, direction) {
+  const { up, down } = require(migration.file);
+  await client.query("BEGIN");
+  try {
+    if (direction === "up") {
+      await up(client);
+      await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [
+        migration.version,
+        migration.name,
+      ]);
+    } else {
+      await down(client);
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    error.message = `Migration ${migration.version}_${migration.name} failed going ${direction}: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Apply every pending migration, or only those up to and including version
+ * `to`. Resolves to the migrations applied, in order.
+ */
+async function migrateUp(pool, { to } = {}) {
+  const migrations = await listMigrations();
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await appliedMigrations(client)).map((migration) => migration.version));
+    const pending = migrations.filter((migration) => !applied.has(migration.version) && (!to || migration.version <= to));
+    for (const migration of pending) {
+      await runMigration(client, migration, "up");
+    }
+    return pending;
+  });
+}
+
+/**
+ * Revert the last `steps` applied migrations, newest first. Resolves to the
+ * migrations reverted. Throws, before reverting anything, if one of them no
+ * longer has a file.
+ */
+async function migrateDown(pool, { steps = 1 } = {}) {
+  const migrations = new Map((await listMigrations()).map((migration) => [migration.version, migration]));
+  return withMigrationLock(pool, async (client) => {
+    const toRevert = (await appliedMigrations(client)).reverse().slice(0, steps);
+    const missing = toRevert.find((migration) => !migrations.has(migration.version));
+    if (missing) {
+      throw new Error(`Can't revert ${missing.version}_${missing.name}: its file is missing from migrations/`);
+    }
+    for (const { version } of toRevert) {
+      await runMigration(client, migrations.get(version), "down");
+    }
+    return toRevert.map(({ version }) => migrations.get(version));
+  });
+}
+
+/**
+ * Every migration, file or applied, oldest first: [{ version, name,
+ * applied_at, missing }], where applied_at is null for pending migrations and
+ * `missing` flags applied migrations whose file is gone.
+ */
+async function migrationStatus(pool) {
+  const migrations = await listMigrations();
+  const applied = await withMigrationLock(pool, appliedMigrations);
+  const appliedAt = new Map(applied.map((migration) => [migration.version, migration.applied_at]));
+  const versions = new Set(migrations.map((migration) => migration.version));
+
+  return [
+    ...migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: appliedAt.get(version) || null,
+      missing: false,
+    })),
+    ...applied
+      .filter((migration) => !versions.has(migration.version))
+      .map(({ version, name, applied_at }) => ({ version, name, applied_at, missing: true })),
+  ].sort((a, b) => a.version.localeCompare(b.version));
+}
+
+const TEMPLATE = `// See Services/migrations.js. Both functions run inside a transaction.
+
+module.exports = {
+  async up(db) {
+    await db.query(\`
+    \`);
+  },
+
+  async down(db) {
+    await db.query(\`
+    \`);
+  },
+};
+`;
+
+/**
+ * Add an empty migration to migrations/, versioned with the current time.
+ * Resolves to the new file's path.
+ */
+async function createMigration(name) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!slug) {
+    throw new Error("Give the migration a name, e.g. add_products_barcode");
+  }
+  const version = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+  const file = path.join(MIGRATIONS_DIR, `${version}_${slug}.js`);
+  await fs.mkdir(MIGRATIONS_DIR, { recursive: true });
+  await fs.writeFile(file, TEMPLATE, { flag: "wx" });
+  return file;
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus, createMigration };
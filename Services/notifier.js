@@ -0,0 +1,51 @@
+const createMailer = require("./mailer");
+
+// Notifications are { to, event, subject, text, data }: `to` is an email
+// address, `event` names what happened (e.g. "back_in_stock") and `data`
+// carries the ids a non-email channel would need.
+
+/**
+ * Emails the notification through the configured mailer (MAIL_TRANSPORT).
+ */
+function emailChannel(pool) {
+  const mailer = createMailer(pool);
+  return {
+    async send({ to, subject, text }) {
+      await mailer.send({ to, subject, text });
+    },
+  };
+}
+
+/**
+ * Writes the notification to the notification_outbox table instead of
+ * delivering it, for local development and tests.
+ */
+function outboxChannel(pool) {
+  return {
+    async send({ to, event, subject, text, data }) {
+      await pool.query(
+        "INSERT INTO notification_outbox (recipient, event, subject, body, data) VALUES ($1, $2, $3, $4, $5)",
+        [to, event, subject, text, JSON.stringify(data || {})]
+      );
+    },
+  };
+}
+
+const channels = {
+  email: emailChannel,
+  outbox: outboxChannel,
+};
+
+/**
+ * Pick the channel named by NOTIFICATION_CHANNEL (defaults to the outbox).
+ */
+function createNotifier(pool) {
+  const name = process.env.NOTIFICATION_CHANNEL || "outbox";
+  const channel = channels[name];
+  if (!channel) {
+    throw new Error(`Unknown NOTIFICATION_CHANNEL "${name}"`);
+  }
+  return channel(pool);
+}
+
+module.exports = createNotifier;
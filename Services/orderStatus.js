@@ -0,0 +1,74 @@
+const { recordMovement } = require('./inventory');
+
+const ORDER_STATUSES = ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// Legal moves out of each status. Cancelled and refunded are terminal.
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+// Customers may only cancel an order that hasn't left the warehouse yet.
+const CUSTOMER_CANCELLABLE = ['pending', 'paid', 'processing'];
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move an order to a new status and record the change in its history.
+ * Must be called inside a transaction on `client` with the order row locked
+ * (SELECT ... FOR UPDATE). Cancelling puts the ordered quantities back on the
+ * shelf.
+ *
+ * Returns the updated order row, or null if the transition is not allowed.
+ */
+async function transitionOrder(client, order, toStatus, changedBy, note) {
+  if (!canTransition(order.status, toStatus)) {
+    return null;
+  }
+
+  const result = await client.query(
+    'UPDATE orders SET status = $1, status_updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+    [toStatus, order.id]
+  );
+
+  await recordStatusChange(client, order.id, order.status, toStatus, changedBy, note);
+
+  if (toStatus === 'cancelled') {
+    for (const item of order.items) {
+      // Lines whose product has since been deleted have nothing to go back to
+      await recordMovement(client, {
+        productId: item.productId,
+        variantId: item.variantId,
+        type: 'return',
+        quantity: item.quantity,
+        reason: 'Order cancelled',
+        orderId: order.id,
+        actorId: changedBy,
+      });
+    }
+  }
+
+  return result.rows[0];
+}
+
+async function recordStatusChange(client, orderId, fromStatus, toStatus, changedBy, note) {
+  await client.query(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note) VALUES ($1, $2, $3, $4, $5)',
+    [orderId, fromStatus, toStatus, changedBy, note || null]
+  );
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  CUSTOMER_CANCELLABLE,
+  canTransition,
+  transitionOrder,
+  recordStatusChange,
+};
@@ -0,0 +1,75 @@
+// Every permission the API checks. Roles are stored in the database as sets
+// of these names, so new roles can be created without code changes; adding a
+// new permission means adding it here and passing it to requirePermission().
+const PERMISSIONS = {
+  "products:write": "Create and update products",
+  "products:delete": "Delete products",
+  "products:import": "Create and update products in bulk from a CSV or JSON file",
+  "products:export": "Export the product catalog as CSV or JSON",
+  "categories:write": "Create and update categories",
+  "categories:delete": "Delete categories",
+  "orders:read_all": "View every customer's orders",
+  "orders:update_status": "Move orders through their lifecycle",
+  "orders:export": "Export orders as CSV",
+  "users:read": "List and view user accounts",
+  "users:write": "Change roles, disable accounts and force password resets",
+  "roles:manage": "Create, edit and delete roles",
+  "reviews:moderate": "Approve and hide product reviews",
+  "promotions:manage": "Create and edit coupons and promotions",
+  "pricing:manage": "Configure shipping zones, shipping rates, tax rates and exchange rates",
+  "inventory:manage": "Record stock movements and view the stock ledger",
+  "admin_panel:access": "Open the admin panel",
+  "customer_dashboard:access": "Open the customer dashboard",
+};
+
+// The admin role always holds every permission and cannot be edited, so
+// there is no way to lock every administrator out of the roles API.
+const ADMIN_ROLE = "admin";
+const CUSTOMER_ROLE = "customer";
+const BUILT_IN_ROLES = [ADMIN_ROLE, CUSTOMER_ROLE];
+
+const DEFAULT_ROLES = {
+  [ADMIN_ROLE]: {
+    description: "Full access to the store",
+    permissions: Object.keys(PERMISSIONS).filter((name) => name !== "customer_dashboard:access"),
+  },
+  [CUSTOMER_ROLE]: {
+    description: "Shoppers who sign up through /auth/signup",
+    permissions: ["customer_dashboard:access"],
+  },
+};
+
+function isKnownPermission(name) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, name);
+}
+
+/**
+ * Create the built-in roles on first start and keep the admin role in step
+ * with PERMISSIONS. Other roles are left alone so edits made through the API
+ * survive restarts.
+ */
+async function seedRoles(pool) {
+  for (const [name, { description, permissions }] of Object.entries(DEFAULT_ROLES)) {
+    const inserted = await pool.query(
+      "INSERT INTO roles (name, description) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING RETURNING name",
+      [name, description]
+    );
+
+    if (inserted.rows.length > 0 || name === ADMIN_ROLE) {
+      await pool.query(
+        `INSERT INTO role_permissions (role, permission)
+         SELECT $1, unnest($2::text[]) ON CONFLICT DO NOTHING`,
+        [name, permissions]
+      );
+    }
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  CUSTOMER_ROLE,
+  BUILT_IN_ROLES,
+  isKnownPermission,
+  seedRoles,
+};
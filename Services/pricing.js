@@ -0,0 +1,132 @@
+// Order pricing pipeline: subtotal -> discounts -> shipping -> tax -> total.
+// Used for checkout quotes and for the order itself, so both always agree.
+// All arithmetic is in whole cents of the order's currency; shipping rates are
+// set in the base currency and converted.
+const { calculateDiscounts } = require("./promotions");
+const { convertCents, roundCents } = require("./currency");
+
+function toCents(price) {
+  return Math.round(parseFloat(price) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// When set, catalog prices (and shipping rates) already include tax and the
+// tax line only shows how much of the total is tax.
+function pricesIncludeTax() {
+  return process.env.PRICES_INCLUDE_TAX === "true";
+}
+
+function normalizeAddress({ country, region }) {
+  return { country: country.toUpperCase(), region: region ? region.toUpperCase() : null };
+}
+
+// Zone for an address: one listing its region beats one listing its country,
+// which beats the '*' catch-all
+async function findShippingZone(db, { country, region }) {
+  const zone = await db.query(
+    `SELECT * FROM shipping_zones
+     WHERE ($1 = ANY(countries) AND (cardinality(regions) = 0 OR $2 = ANY(regions))) OR '*' = ANY(countries)
+     ORDER BY CASE WHEN $1 = ANY(countries) AND $2 = ANY(regions) THEN 0 WHEN $1 = ANY(countries) THEN 1 ELSE 2 END, id
+     LIMIT 1`,
+    [country, region]
+  );
+  return zone.rows[0];
+}
+
+// Price in `currency` of one shipping rate for goods worth `goodsCents`
+// weighing `weightGrams`
+function shippingCents(rate, goodsCents, weightGrams, currency) {
+  const amountCents = convertCents(toCents(rate.amount), currency);
+  switch (rate.type) {
+    case "weight":
+      return amountCents + Math.ceil(weightGrams / 1000) * convertCents(toCents(rate.per_kg || 0), currency);
+    case "free_over":
+      return goodsCents >= convertCents(toCents(rate.free_over), currency) ? 0 : amountCents;
+    default:
+      return amountCents;
+  }
+}
+
+async function findTaxRate(db, { country, region }) {
+  const rate = await db.query(
+    "SELECT * FROM tax_rates WHERE country = $1 AND (region IS NULL OR upper(region) = $2) ORDER BY region IS NULL LIMIT 1",
+    [country, region]
+  );
+  return rate.rows[0];
+}
+
+/**
+ * Price an order for delivery to `address` ({ country, region }).
+ * `lines` are as from priceCartLines, in `currency`; `code` is the cart's
+ * coupon and `shippingRateId` the chosen shipping option (the cheapest by
+ * default). Pass `lock` inside a checkout transaction.
+ *
+ * Resolves to the breakdown { currency, exchangeRate, subtotal, discounts,
+ * discountTotal, shipping, shippingOptions, tax, total, couponError }, or
+ * { error } when the address can't be shipped to or the shipping option
+ * doesn't exist.
+ */
+async function priceOrder(db, { lines, userId, code, currency, address, shippingRateId, lock = false }) {
+  const destination = normalizeAddress(address);
+  const promotions = await calculateDiscounts(db, { lines, userId, code, currency, lock });
+  const goodsCents = toCents(promotions.total);
+  const weightGrams = lines.reduce((sum, line) => sum + (line.weightGrams || 0) * line.quantity, 0);
+
+  const zone = await findShippingZone(db, destination);
+  const rates = zone ? await db.query("SELECT * FROM shipping_rates WHERE zone_id = $1 ORDER BY id", [zone.id]) : { rows: [] };
+  if (rates.rows.length === 0) {
+    return { error: `We don't ship to ${destination.country}${destination.region ? `, ${destination.region}` : ""}` };
+  }
+
+  const shippingOptions = rates.rows
+    .map((rate) => ({
+      rateId: rate.id,
+      name: rate.name,
+      amountCents: promotions.freeShipping ? 0 : shippingCents(rate, goodsCents, weightGrams, currency),
+    }))
+    .sort((a, b) => a.amountCents - b.amountCents || a.rateId - b.rateId);
+  const shipping = shippingRateId ? shippingOptions.find((option) => option.rateId === shippingRateId) : shippingOptions[0];
+  if (!shipping) {
+    return { error: "That shipping option isn't available for this address" };
+  }
+
+  const taxRate = await findTaxRate(db, destination);
+  const ratePercent = taxRate ? parseFloat(taxRate.rate) : 0;
+  const taxableCents = goodsCents + (taxRate && taxRate.applies_to_shipping ? shipping.amountCents : 0);
+  const inclusive = pricesIncludeTax();
+  const taxCents = roundCents(
+    inclusive ? taxableCents - taxableCents / (1 + ratePercent / 100) : (taxableCents * ratePercent) / 100,
+    currency
+  );
+
+  const totalCents = goodsCents + shipping.amountCents + (inclusive ? 0 : taxCents);
+
+  return {
+    currency: currency.code,
+    exchangeRate: currency.rate,
+    subtotal: promotions.subtotal,
+    discounts: promotions.discounts,
+    discountTotal: promotions.discountTotal,
+    shipping: {
+      zone: zone.name,
+      rateId: shipping.rateId,
+      name: shipping.name,
+      weightGrams,
+      amount: fromCents(shipping.amountCents),
+    },
+    shippingOptions: shippingOptions.map(({ rateId, name, amountCents }) => ({ rateId, name, amount: fromCents(amountCents) })),
+    tax: {
+      name: taxRate ? taxRate.name : null,
+      rate: ratePercent,
+      inclusive,
+      amount: fromCents(taxCents),
+    },
+    total: fromCents(totalCents),
+    couponError: promotions.couponError,
+  };
+}
+
+module.exports = { priceOrder };
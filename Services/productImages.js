@@ -0,0 +1,164 @@
+// Product image galleries. Images are ordered by position and exactly one per
+// product (once it has any) is primary; products.image_url mirrors the
+// primary image's URL so listings, carts and variants without an image of
+// their own keep reading a single column.
+
+const IMAGE_COLUMNS = "id, url, renditions, alt_text, position, is_primary, created_at";
+
+// Every stored file behind an image (the image and its renditions), for
+// removing them once the row is gone
+const STORAGE_KEYS = "array_prepend(storage_key, rendition_keys) AS storage_keys";
+
+async function syncPrimaryImageUrl(db, productId) {
+  await db.query(
+    "UPDATE products SET image_url = (SELECT url FROM product_images WHERE product_id = $1 AND is_primary) WHERE id = $1",
+    [productId]
+  );
+}
+
+/**
+ * Append an image to the end of a product's gallery. The first image a
+ * product gets is made primary whether or not `primary` is asked for.
+ */
+async function addProductImage(
+  db,
+  productId,
+  { url, storageKey = null, renditions = {}, renditionKeys = [], altText = null, primary = false }
+) {
+  const gallery = await db.query(
+    "SELECT COALESCE(MAX(position) + 1, 0)::int AS next_position, COUNT(*)::int AS count FROM product_images WHERE product_id = $1",
+    [productId]
+  );
+  const { next_position: position, count } = gallery.rows[0];
+  const isPrimary = primary || count === 0;
+
+  if (isPrimary) {
+    await db.query("UPDATE product_images SET is_primary = FALSE WHERE product_id = $1 AND is_primary", [productId]);
+  }
+  const image = await db.query(
+    `INSERT INTO product_images (product_id, url, storage_key, renditions, rendition_keys, alt_text, position, is_primary)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING ${IMAGE_COLUMNS}`,
+    [productId, url, storageKey, JSON.stringify(renditions), renditionKeys, altText, position, isPrimary]
+  );
+  if (isPrimary) {
+    await syncPrimaryImageUrl(db, productId);
+  }
+  return image.rows[0];
+}
+
+/**
+ * Swap a product's primary image for a new one, which takes the old image's
+ * place in the gallery. `image` is as for addProductImage. Resolves to
+ * { image, replaced }, where `replaced` is the deleted row (with
+ * storage_keys) or null if the product had no images.
+ */
+async function replacePrimaryImage(db, productId, image) {
+  const current = await db.query(
+    `DELETE FROM product_images WHERE product_id = $1 AND is_primary RETURNING id, position, ${STORAGE_KEYS}`,
+    [productId]
+  );
+  const replaced = current.rows[0] || null;
+  const added = await addProductImage(db, productId, { ...image, primary: true });
+  if (replaced) {
+    await db.query("UPDATE product_images SET position = $2 WHERE id = $1", [added.id, replaced.position]);
+    added.position = replaced.position;
+  }
+  return { image: added, replaced };
+}
+
+/**
+ * Make `url` a product's primary image, adding it to the gallery unless it's
+ * already there. Used by catalog import, so importing the same file twice
+ * doesn't grow the gallery.
+ */
+async function usePrimaryImageUrl(db, productId, url) {
+  const existing = await db.query("SELECT id FROM product_images WHERE product_id = $1 AND url = $2 LIMIT 1", [
+    productId,
+    url,
+  ]);
+  if (existing.rows.length > 0) {
+    return setPrimaryImage(db, productId, existing.rows[0].id);
+  }
+  return addProductImage(db, productId, { url, primary: true });
+}
+
+/**
+ * Make one of a product's images its primary image. Resolves to the image,
+ * or null if the product has no image with that id.
+ */
+async function setPrimaryImage(db, productId, imageId) {
+  const image = await db.query("SELECT id FROM product_images WHERE id = $1 AND product_id = $2", [imageId, productId]);
+  if (image.rows.length === 0) {
+    return null;
+  }
+  await db.query("UPDATE product_images SET is_primary = FALSE WHERE product_id = $1 AND is_primary", [productId]);
+  const primary = await db.query(
+    `UPDATE product_images SET is_primary = TRUE WHERE id = $1 RETURNING ${IMAGE_COLUMNS}`,
+    [imageId]
+  );
+  await syncPrimaryImageUrl(db, productId);
+  return primary.rows[0];
+}
+
+/**
+ * Delete an image from a product's gallery, promoting the next image in
+ * order if it was the primary one. Resolves to the deleted row (including
+ * storage_keys, so the caller can remove the stored files once committed), or
+ * null if the product has no image with that id.
+ */
+async function removeProductImage(db, productId, imageId) {
+  const removed = await db.query(
+    `DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING ${IMAGE_COLUMNS}, ${STORAGE_KEYS}`,
+    [imageId, productId]
+  );
+  if (removed.rows.length === 0) {
+    return null;
+  }
+  if (removed.rows[0].is_primary) {
+    await db.query(
+      `UPDATE product_images SET is_primary = TRUE
+       WHERE id = (SELECT id FROM product_images WHERE product_id = $1 ORDER BY position, id LIMIT 1)`,
+      [productId]
+    );
+    await syncPrimaryImageUrl(db, productId);
+  }
+  return removed.rows[0];
+}
+
+/**
+ * Put a product's images in the order of `imageIds`, which must list each of
+ * its images exactly once. Resolves to the reordered gallery, or null if the
+ * ids don't match the product's images.
+ */
+async function reorderProductImages(db, productId, imageIds) {
+  const current = await db.query("SELECT id FROM product_images WHERE product_id = $1", [productId]);
+  const ids = new Set(current.rows.map((image) => image.id));
+  if (imageIds.length !== ids.size || new Set(imageIds).size !== ids.size || !imageIds.every((id) => ids.has(id))) {
+    return null;
+  }
+  await db.query(
+    `UPDATE product_images SET position = ordered.position - 1
+     FROM UNNEST($2::int[]) WITH ORDINALITY AS ordered(id, position)
+     WHERE product_images.id = ordered.id AND product_images.product_id = $1`,
+    [productId, imageIds]
+  );
+  return listProductImages(db, productId);
+}
+
+async function listProductImages(db, productId) {
+  const images = await db.query(
+    `SELECT ${IMAGE_COLUMNS} FROM product_images WHERE product_id = $1 ORDER BY position, id`,
+    [productId]
+  );
+  return images.rows;
+}
+
+module.exports = {
+  addProductImage,
+  replacePrimaryImage,
+  usePrimaryImageUrl,
+  setPrimaryImage,
+  removeProductImage,
+  reorderProductImages,
+  listProductImages,
+};
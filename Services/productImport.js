@@ -0,0 +1,447 @@
+const { parseCsv, fromCsvField } = require("./csv");
+const { recordMovement, setStockLevel } = require("./inventory");
+const { sendStockNotifications } = require("./stockNotifications");
+const { addProductImage, usePrimaryImageUrl } = require("./productImages");
+const { CATEGORY_PATH_SEPARATOR, categoryPaths } = require("./categoryTree");
+
+// Bulk catalog import. A file (CSV with a header row, or a JSON array of
+// objects) is read up front, then its rows are applied by a background job
+// that records progress in import_jobs. Rows are matched to products by SKU:
+// unknown SKUs create products, known ones update only the fields the row
+// fills in. Rows without a SKU are matched by id instead, so products that
+// have none survive an export and re-import. Each row is applied in its own
+// transaction, so a bad row is reported and skipped without holding up the
+// rest.
+
+const IMPORT_FORMATS = ["csv", "json"];
+
+// Columns of the import and export files, in export order
+const CATALOG_COLUMNS = [
+  "id",
+  "sku",
+  "name",
+  "description",
+  "price",
+  "stock",
+  "category",
+  "weight_grams",
+  "image_url",
+  "low_stock_threshold",
+];
+
+const REQUIRED_FOR_NEW = ["name", "price", "category", "image_url"];
+
+const MAX_IMPORT_ROWS = 50000;
+const MAX_REPORTED_ERRORS = 1000;
+const PROGRESS_INTERVAL_ROWS = 100;
+
+// A job refreshes its heartbeat_at this often while it runs, and one whose
+// heartbeat is older than STALE_JOB_SECONDS died with the server running it
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STALE_JOB_SECONDS = 120;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Turn an uploaded file into rows of { row, fields }, where `row` numbers
+ * the products from 1 (the CSV header isn't counted) and `fields` maps column
+ * names to trimmed strings. Blank cells are left out, meaning "keep the
+ * current value" for existing products.
+ *
+ * Resolves to { rows } or, when the file can't be read at all, { error }.
+ */
+function readImportFile(format, content) {
+  let records;
+  try {
+    records = format === "csv" ? csvRecords(content) : jsonRecords(content);
+  } catch (error) {
+    return { error: `Couldn't read the ${format.toUpperCase()} file: ${error.message}` };
+  }
+
+  const unknown = [...new Set(records.flatMap((record) => Object.keys(record)))].filter(
+    (column) => !CATALOG_COLUMNS.includes(column)
+  );
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(", ")}. Columns are: ${CATALOG_COLUMNS.join(", ")}` };
+  }
+  if (records.length === 0) {
+    return { error: "The file has no products in it" };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can hold at most ${MAX_IMPORT_ROWS} products; split it into several imports` };
+  }
+
+  const rows = records.map((record, index) => {
+    const fields = {};
+    for (const [column, value] of Object.entries(record)) {
+      const text = value === null || value === undefined ? "" : String(value).trim();
+      if (text !== "") {
+        fields[column] = text;
+      }
+    }
+    return { row: index + 1, fields };
+  });
+  return { rows };
+}
+
+function csvRecords(content) {
+  const [header, ...records] = parseCsv(content).filter((record) => record.some((field) => field.trim() !== ""));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((column) => column.trim().toLowerCase());
+  return records.map((record) =>
+    Object.fromEntries(columns.map((column, i) => [column, record[i] === undefined ? undefined : fromCsvField(record[i])]))
+  );
+}
+
+function jsonRecords(content) {
+  const parsed = JSON.parse(content);
+  const records = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+  if (!Array.isArray(records) || records.some((record) => !record || typeof record !== "object" || Array.isArray(record))) {
+    throw new Error("expected an array of product objects, or { \"products\": [...] }");
+  }
+  return records;
+}
+
+const isNumber = (text) => /^\d+(\.\d+)?$/.test(text);
+const isCount = (text) => /^\d+$/.test(text);
+
+// Compare category names and paths ignoring case and the spacing around ">"
+const categoryKey = (text) =>
+  text
+    .split(">")
+    .map((name) => name.trim())
+    .join(CATEGORY_PATH_SEPARATOR)
+    .toLowerCase();
+
+/**
+ * A function finding the category a row's category cell names: its full
+ * path ("Home > Lighting"), its name when no other category shares it, or
+ * its id. Returns { id } or { error }.
+ */
+function categoryResolver(rows) {
+  const paths = categoryPaths(rows);
+  const ids = new Set(rows.map((category) => category.id));
+  const matches = new Map();
+  const add = (key, id) => matches.set(key, new Set(matches.get(key)).add(id));
+  for (const { id, name } of rows) {
+    add(categoryKey(name), id);
+    add(categoryKey(paths.get(id)), id);
+  }
+
+  return (text) => {
+    const found = [...(matches.get(categoryKey(text)) || [])];
+    if (found.length === 1) {
+      return { id: found[0] };
+    }
+    if (found.length > 1) {
+      return {
+        error: `More than one category is called "${text}"; give its full path (${found
+          .map((id) => `"${paths.get(id)}"`)
+          .join(" or ")}) or its id`,
+      };
+    }
+    if (isCount(text) && ids.has(Number(text))) {
+      return { id: Number(text) };
+    }
+    return { error: `No category named "${text}"` };
+  };
+}
+
+// The product a row updates: the one with its SKU or, when the SKU is
+// blank, the one with its id. Undefined for rows that create a product.
+function matchedProductId(fields, { existing, productIds }) {
+  if (fields.sku) {
+    return existing.get(fields.sku);
+  }
+  return productIds.has(Number(fields.id)) ? Number(fields.id) : undefined;
+}
+
+/**
+ * Check one row against the current catalog. Returns the problems found
+ * ([{ field, message }]); an empty list means the row can be applied.
+ */
+function validateRow(fields, context) {
+  const { resolveCategory, variantSkus } = context;
+  const errors = [];
+  const error = (field, message) => errors.push({ field, message });
+
+  if (!fields.sku) {
+    if (fields.id === undefined) {
+      error("sku", "SKU is required, or the id of an existing product to update");
+    } else if (matchedProductId(fields, context) === undefined) {
+      error("id", `No product with id ${fields.id}; new products need a SKU`);
+    }
+    if (errors.length > 0) {
+      return errors;
+    }
+  } else {
+    if (fields.sku.length > 100) error("sku", "SKU must be at most 100 characters");
+    if (variantSkus.has(fields.sku)) error("sku", "SKU belongs to a product variant; variants can't be imported");
+  }
+
+  if (matchedProductId(fields, context) === undefined) {
+    for (const column of REQUIRED_FOR_NEW) {
+      if (fields[column] === undefined) error(column, `${column} is required for new products`);
+    }
+  }
+
+  if (fields.name !== undefined && fields.name.length > 255) error("name", "Name must be at most 255 characters");
+  if (fields.price !== undefined && !isNumber(fields.price)) error("price", "Price must be a non-negative number");
+  if (fields.stock !== undefined && !isCount(fields.stock)) error("stock", "Stock must be a non-negative integer");
+  if (fields.weight_grams !== undefined && !isCount(fields.weight_grams)) {
+    error("weight_grams", "Weight must be a non-negative number of grams");
+  }
+  if (fields.low_stock_threshold !== undefined && !isCount(fields.low_stock_threshold)) {
+    error("low_stock_threshold", "Low-stock threshold must be a non-negative integer");
+  }
+  if (fields.category !== undefined) {
+    const category = resolveCategory(fields.category);
+    if (category.error) error("category", category.error);
+  }
+  if (fields.image_url !== undefined && !/^https?:\/\/\S+$/.test(fields.image_url)) {
+    error("image_url", "Image URL must be an http(s) URL");
+  }
+  return errors;
+}
+
+// Create or update the product for one valid row. Resolves to "created" or "updated".
+async function applyRow(client, fields, context) {
+  const { existing, resolveCategory, jobId, actorId } = context;
+  const categoryId = fields.category === undefined ? null : resolveCategory(fields.category).id;
+  const reference = `import:${jobId}`;
+  const productId = matchedProductId(fields, context);
+
+  if (productId === undefined) {
+    const product = await client.query(
+      `INSERT INTO products (sku, name, description, price, stock, category_id, weight_grams, low_stock_threshold)
+       VALUES ($1, $2, $3, $4, 0, $5, $6, $7) RETURNING id`,
+      [
+        fields.sku,
+        fields.name,
+        fields.description ?? null,
+        fields.price,
+        categoryId,
+        fields.weight_grams ?? 0,
+        fields.low_stock_threshold ?? null,
+      ]
+    );
+    const id = product.rows[0].id;
+    await addProductImage(client, id, { url: fields.image_url });
+    if (fields.stock !== undefined && Number(fields.stock) > 0) {
+      await recordMovement(client, {
+        productId: id,
+        type: "receipt",
+        quantity: Number(fields.stock),
+        reason: "Initial stock",
+        reference,
+        actorId,
+      });
+    }
+    existing.set(fields.sku, id);
+    return "created";
+  }
+
+  await client.query(
+    `UPDATE products SET
+       name = COALESCE($2, name),
+       description = COALESCE($3, description),
+       price = COALESCE($4, price),
+       category_id = COALESCE($5, category_id),
+       weight_grams = COALESCE($6, weight_grams),
+       low_stock_threshold = COALESCE($7, low_stock_threshold)
+     WHERE id = $1`,
+    [
+      productId,
+      fields.name ?? null,
+      fields.description ?? null,
+      fields.price ?? null,
+      categoryId,
+      fields.weight_grams ?? null,
+      fields.low_stock_threshold ?? null,
+    ]
+  );
+  if (fields.image_url !== undefined) {
+    await usePrimaryImageUrl(client, productId, fields.image_url);
+  }
+  if (fields.stock !== undefined) {
+    await setStockLevel(client, { productId }, Number(fields.stock), {
+      reason: "Stock level set by catalog import",
+      reference,
+      actorId,
+    });
+  }
+  return "updated";
+}
+
+async function saveProgress(pool, jobId, progress) {
+  await pool.query(
+    `UPDATE import_jobs SET processed_rows = $2, created_count = $3, updated_count = $4, error_count = $5
+     WHERE id = $1`,
+    [jobId, progress.processed, progress.created, progress.updated, progress.errors.length]
+  );
+}
+
+/**
+ * Validate and (unless the job is a dry run) apply `rows`, keeping the
+ * import_jobs row up to date as it goes. Never rejects: a failure that stops
+ * the whole job is recorded on the job instead.
+ */
+async function runImportJob(pool, notifier, jobId, rows, { dryRun, actorId }) {
+  const progress = { processed: 0, created: 0, updated: 0, errors: [] };
+  const restocked = [];
+  const heartbeat = setInterval(() => {
+    pool
+      .query("UPDATE import_jobs SET heartbeat_at = NOW() WHERE id = $1", [jobId])
+      .catch((error) => console.error(`Error recording heartbeat of import job ${jobId}:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  try {
+    await pool.query(
+      "UPDATE import_jobs SET status = 'running', started_at = NOW(), heartbeat_at = NOW() WHERE id = $1",
+      [jobId]
+    );
+
+    const skus = rows.map(({ fields }) => fields.sku).filter(Boolean);
+    // Rows without a SKU name the product by id (an INTEGER column, hence the cap)
+    const ids = rows
+      .filter(({ fields }) => !fields.sku && isCount(fields.id || ""))
+      .map(({ fields }) => Number(fields.id))
+      .filter((id) => id <= 2147483647);
+    const [products, byId, variants, categoryRows] = await Promise.all([
+      pool.query("SELECT id, sku FROM products WHERE sku = ANY($1::text[])", [skus]),
+      pool.query("SELECT id FROM products WHERE id = ANY($1::int[])", [ids]),
+      pool.query("SELECT sku FROM product_variants WHERE sku = ANY($1::text[])", [skus]),
+      pool.query("SELECT id, name, parent_id FROM categories"),
+    ]);
+    const context = {
+      existing: new Map(products.rows.map((product) => [product.sku, product.id])),
+      productIds: new Set(byId.rows.map((product) => product.id)),
+      variantSkus: new Set(variants.rows.map((variant) => variant.sku)),
+      resolveCategory: categoryResolver(categoryRows.rows),
+      jobId,
+      actorId,
+    };
+    const seen = new Set();
+
+    for (const { row, fields } of rows) {
+      const errors = validateRow(fields, context);
+      const key = fields.sku ? `sku:${fields.sku}` : fields.id !== undefined ? `id:${fields.id}` : null;
+      if (key && seen.has(key)) {
+        errors.push(
+          fields.sku
+            ? { field: "sku", message: "SKU appears more than once in the file" }
+            : { field: "id", message: "id appears more than once in the file" }
+        );
+      }
+      seen.add(key);
+
+      if (errors.length > 0) {
+        progress.errors.push(...errors.map((error) => ({ row, sku: fields.sku || null, ...error })));
+      } else if (dryRun) {
+        progress[matchedProductId(fields, context) === undefined ? "created" : "updated"]++;
+      } else {
+        const client = await pool.connect();
+        try {
+          await client.query("BEGIN");
+          const action = await applyRow(client, fields, context);
+          await client.query("COMMIT");
+          progress[action]++;
+          if (fields.stock !== undefined) {
+            restocked.push({ productId: matchedProductId(fields, context) });
+          }
+        } catch (error) {
+          await client.query("ROLLBACK");
+          progress.errors.push({
+            row,
+            sku: fields.sku || null,
+            field: null,
+            message: error.code === "23505" ? "SKU is already in use" : "Couldn't save this product",
+          });
+          if (error.code !== "23505") {
+            console.error(`Error importing row ${row} of import job ${jobId}:`, error);
+          }
+        } finally {
+          client.release();
+        }
+      }
+
+      progress.processed++;
+      if (progress.processed % PROGRESS_INTERVAL_ROWS === 0) {
+        await saveProgress(pool, jobId, progress);
+      }
+    }
+
+    await saveProgress(pool, jobId, progress);
+    await pool.query(
+      "UPDATE import_jobs SET status = 'completed', errors = $2, finished_at = NOW() WHERE id = $1",
+      [jobId, JSON.stringify(progress.errors.slice(0, MAX_REPORTED_ERRORS))]
+    );
+  } catch (error) {
+    console.error(`Error running import job ${jobId}:`, error);
+    await pool
+      .query(
+        `UPDATE import_jobs SET status = 'failed', error = $2, processed_rows = $3, created_count = $4,
+           updated_count = $5, error_count = $6, errors = $7, finished_at = NOW()
+         WHERE id = $1`,
+        [
+          jobId,
+          "The import stopped unexpectedly; only the first processed_rows rows were handled",
+          progress.processed,
+          progress.created,
+          progress.updated,
+          progress.errors.length,
+          JSON.stringify(progress.errors.slice(0, MAX_REPORTED_ERRORS)),
+        ]
+      )
+      .catch((updateError) => console.error(`Error recording failure of import job ${jobId}:`, updateError));
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  await sendStockNotifications(pool, notifier, restocked);
+}
+
+/**
+ * Jobs run inside the server process that started them, which keeps their
+ * heartbeat going. Mark failed the queued and running jobs whose heartbeat
+ * has stopped, their server having crashed or restarted, while leaving alone
+ * those other app instances are still running. Importing the file again is
+ * safe because rows are matched by SKU. Resolves to how many were failed.
+ */
+async function failInterruptedImportJobs(pool) {
+  const result = await pool.query(
+    `UPDATE import_jobs SET status = 'failed', finished_at = NOW(),
+       error = 'The server running the import stopped; import the file again to finish it'
+     WHERE status IN ('queued', 'running') AND heartbeat_at < NOW() - make_interval(secs => $1)`,
+    [STALE_JOB_SECONDS]
+  );
+  return result.rowCount;
+}
+
+// Run failInterruptedImportJobs every minute for the life of the process
+function startImportJobSweep(pool, intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(async () => {
+    try {
+      const failed = await failInterruptedImportJobs(pool);
+      if (failed > 0) {
+        console.log(`Marked ${failed} interrupted import job(s) failed`);
+      }
+    } catch (error) {
+      console.error("Error failing interrupted import jobs:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  CATALOG_COLUMNS,
+  MAX_REPORTED_ERRORS,
+  readImportFile,
+  runImportJob,
+  failInterruptedImportJobs,
+  startImportJobSweep,
+};
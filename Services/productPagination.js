@@ -0,0 +1,107 @@
+// Sorting and keyset (cursor) pagination for product listings. Every sort
+// orders by its key and then by id, so the order is stable and a page can
+// continue from the last row seen instead of using OFFSET.
+
+const { AVERAGE_RATING } = require("./productReviews");
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Units sold in orders that were not cancelled or refunded
+const UNITS_SOLD = `
+  (SELECT COALESCE(SUM((item->>'quantity')::int), 0)
+   FROM orders o CROSS JOIN LATERAL jsonb_array_elements(o.items) AS item
+   WHERE (item->>'productId')::int = products.id AND o.status NOT IN ('cancelled', 'refunded'))
+`;
+
+// `type` is what the cursor value is cast back to when comparing
+const PRODUCT_SORTS = {
+  newest: { key: "products.created_at", type: "timestamp", descending: true },
+  price_asc: { key: "products.price", type: "numeric" },
+  price_desc: { key: "products.price", type: "numeric", descending: true },
+  name: { key: "products.name", type: "text" },
+  best_selling: { key: UNITS_SOLD, type: "bigint", descending: true },
+  // Unrated products sort last
+  rating: { key: `COALESCE(${AVERAGE_RATING}, 0)`, type: "numeric", descending: true },
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort, the key value
+// and id of the row to continue from, and the direction to go.
+function encodeCursor(sortName, row, direction) {
+  return Buffer.from(JSON.stringify({ s: sortName, k: row.sort_key, id: row.id, d: direction })).toString("base64url");
+}
+
+// Returns { sort, key, id, direction }, or null when the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const { s, k, id, d } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof s !== "string" || typeof k !== "string" || !Number.isInteger(id) || !["next", "prev"].includes(d)) {
+      return null;
+    }
+    return { sort: s, key: k, id, direction: d };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch one page of products.
+ *
+ * `filters` is { fromClause, whereClause, values } as built for the listing,
+ * `columns` the select list, `sort` { name, key, type, descending } and
+ * `cursor` a decoded cursor or null for the first page.
+ * Resolves to { products, nextCursor, prevCursor }.
+ */
+async function paginateProducts(pool, { fromClause, whereClause, values }, { columns, sort, cursor, limit }) {
+  const backwards = cursor !== null && cursor.direction === "prev";
+  // Walking backwards flips the order; the rows are put back afterwards
+  const descending = Boolean(sort.descending) !== backwards;
+  const params = [...values];
+  let keysetClause = "";
+
+  if (cursor) {
+    params.push(cursor.key, cursor.id);
+    keysetClause = ` AND (${sort.key}, products.id) ${descending ? "<" : ">"} ($${params.length - 1}::${sort.type}, $${params.length})`;
+  }
+
+  const direction = descending ? "DESC" : "ASC";
+  params.push(limit + 1); // One extra row tells whether there is another page
+  const result = await pool.query(
+    `SELECT ${columns}, (${sort.key})::text AS sort_key
+     ${fromClause} ${whereClause}${keysetClause}
+     ORDER BY ${sort.key} ${direction}, products.id ${direction}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  if (backwards) {
+    rows.reverse();
+  }
+
+  let nextCursor = null;
+  let prevCursor = null;
+  if (rows.length > 0) {
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    if (backwards) {
+      nextCursor = encodeCursor(sort.name, last, "next");
+      prevCursor = hasMore ? encodeCursor(sort.name, first, "prev") : null;
+    } else {
+      nextCursor = hasMore ? encodeCursor(sort.name, last, "next") : null;
+      prevCursor = cursor ? encodeCursor(sort.name, first, "prev") : null;
+    }
+  }
+
+  const products = rows.map(({ sort_key, ...product }) => product);
+  return { products, nextCursor, prevCursor };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  PRODUCT_SORTS,
+  decodeCursor,
+  paginateProducts,
+};
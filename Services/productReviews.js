@@ -0,0 +1,37 @@
+// Rating aggregates and review eligibility. Only approved reviews count
+// towards a product's rating.
+
+// Average approved rating of `products.id` to two decimals, NULL when unrated
+const AVERAGE_RATING = `
+  (SELECT ROUND(AVG(r.rating), 2) FROM product_reviews r WHERE r.product_id = products.id AND r.status = 'approved')
+`;
+
+// Select-list fragment for product responses
+const RATING_SUMMARY = `
+  ${AVERAGE_RATING} AS average_rating,
+  (SELECT COUNT(*) FROM product_reviews r WHERE r.product_id = products.id AND r.status = 'approved')::int AS review_count
+`;
+
+// New and edited reviews wait for a moderator when this is set
+function reviewsRequireApproval() {
+  return process.env.REVIEWS_REQUIRE_APPROVAL === "true";
+}
+
+// A customer may review a product once they have an order for it that was not
+// cancelled or refunded.
+async function hasPurchasedProduct(db, userId, productId) {
+  const result = await db.query(
+    `SELECT 1 FROM orders o CROSS JOIN LATERAL jsonb_array_elements(o.items) AS item
+     WHERE o.user_id = $1 AND (item->>'productId')::int = $2 AND o.status NOT IN ('cancelled', 'refunded')
+     LIMIT 1`,
+    [userId, productId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  AVERAGE_RATING,
+  RATING_SUMMARY,
+  reviewsRequireApproval,
+  hasPurchasedProduct,
+};
@@ -0,0 +1,92 @@
+// Helpers for the Postgres full-text product search. The searchable document
+// for each product lives in product_search and is kept up to date by triggers
+// (see createTables in server.js).
+
+// The document holds every word twice: stemmed ("running" -> "run") so that
+// different forms of a word match, and as typed ("running") so that prefixes
+// of the typed form ("runn") still match while the user is typing.
+const TS_CONFIG = "english";
+
+// SQL for the tsquery built from parameter $<param> (see toPrefixTsQuery)
+function tsQuerySql(param) {
+  return `(to_tsquery('${TS_CONFIG}', $${param}) || to_tsquery('simple', $${param}))`;
+}
+
+// Highlight matches in `column`. Uses the unstemmed parser so prefixes of the
+// typed word are found.
+function headlineSql(column, tsQuery, options) {
+  return `ts_headline('simple', ${column}, ${tsQuery}, 'StartSel=<mark>, StopSel=</mark>, ${options}')`;
+}
+
+/**
+ * Turn free text into a tsquery string where every word is a prefix match,
+ * e.g. "red runn" -> "red:* & runn:*", so results show up while the user is
+ * still typing. Only letters and digits survive, which also keeps tsquery
+ * syntax characters out. Returns null when nothing searchable is left.
+ */
+function toPrefixTsQuery(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length > 0 ? words.map((word) => `${word}:*`).join(" & ") : null;
+}
+
+// Escape LIKE wildcards so user input only ever matches literally
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, "\\$&");
+}
+
+// Words below this trigram similarity are too far off to suggest
+const SUGGESTION_SIMILARITY = 0.2;
+
+/**
+ * "Did you mean" suggestions for a search that found nothing: first the
+ * search with each unknown word swapped for the closest word used in product
+ * or category names, then the closest whole product and category names.
+ */
+async function suggestSearchTerms(pool, search) {
+  const words = search.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const suggestions = [];
+
+  if (words.length > 0) {
+    const corrected = await pool.query(
+      `WITH vocabulary AS (
+         SELECT word FROM ts_stat(
+           'SELECT to_tsvector(''simple'', name) FROM products UNION ALL SELECT to_tsvector(''simple'', name) FROM categories'
+         )
+       )
+       SELECT COALESCE(
+         (SELECT word FROM vocabulary v WHERE v.word = typed.word),
+         (SELECT word FROM vocabulary v WHERE similarity(v.word, typed.word) > $2
+          ORDER BY similarity(v.word, typed.word) DESC LIMIT 1),
+         typed.word
+       ) AS word
+       FROM unnest($1::text[]) WITH ORDINALITY AS typed(word, position)
+       ORDER BY typed.position`,
+      [words, SUGGESTION_SIMILARITY]
+    );
+    const phrase = corrected.rows.map((row) => row.word).join(" ");
+    if (phrase !== words.join(" ")) {
+      suggestions.push(phrase);
+    }
+  }
+
+  const names = await pool.query(
+    `SELECT term FROM (SELECT name AS term FROM products UNION SELECT name FROM categories) AS terms
+     WHERE similarity(term, $1) > $2 ORDER BY similarity(term, $1) DESC LIMIT 5`,
+    [search, SUGGESTION_SIMILARITY]
+  );
+  for (const { term } of names.rows) {
+    if (!suggestions.includes(term)) {
+      suggestions.push(term);
+    }
+  }
+
+  return suggestions;
+}
+
+module.exports = {
+  suggestSearchTerms,
+  tsQuerySql,
+  headlineSql,
+  toPrefixTsQuery,
+  escapeLike,
+};
@@ -0,0 +1,246 @@
+// Promotion engine. A promotion with a code is a coupon the customer has to
+// enter; one without a code applies automatically to every qualifying cart.
+// All amounts are worked out in whole cents of the cart's currency; money
+// amounts on promotions are in the base currency and converted.
+const { descendantIdsSql } = require("./categoryTree");
+const { convertCents, roundCents, priceOverrides, unitPriceCents } = require("./currency");
+
+const PROMOTION_TYPES = ["percentage", "fixed_amount", "free_shipping", "buy_x_get_y"];
+
+// Redemptions on cancelled or refunded orders give the use back
+const REDEMPTION_COUNT = `
+  (SELECT COUNT(*) FROM promotion_redemptions pr JOIN orders o ON o.id = pr.order_id
+   WHERE pr.promotion_id = promotions.id AND o.status NOT IN ('cancelled', 'refunded'))::int
+`;
+
+function toCents(price) {
+  return Math.round(parseFloat(price) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function normalizeCode(code) {
+  return code.trim().toUpperCase();
+}
+
+/**
+ * Current price in `currency` (from resolveCurrency) and category of every
+ * cart line, for carts that have not been through checkout yet. Lines whose
+ * product or variant has gone are left out.
+ * Resolves to [{ productId, variantId, categoryId, weightGrams, quantity, unitCents }].
+ */
+async function priceCartLines(db, cartItems, currency) {
+  const productIds = [...new Set(cartItems.map((item) => item.productId))];
+  const variantIds = cartItems.filter((item) => item.variantId).map((item) => item.variantId);
+
+  const products = await db.query("SELECT id, price, category_id, weight_grams FROM products WHERE id = ANY($1::int[])", [productIds]);
+  const variants = await db.query("SELECT id, product_id, price FROM product_variants WHERE id = ANY($1::int[])", [variantIds]);
+  const productsById = new Map(products.rows.map((product) => [product.id, product]));
+  const variantsById = new Map(variants.rows.map((variant) => [variant.id, variant]));
+  const overrides = await priceOverrides(db, productIds, currency);
+
+  const lines = [];
+  for (const { productId, variantId, quantity } of cartItems) {
+    const product = productsById.get(productId);
+    const variant = variantId ? variantsById.get(variantId) : null;
+    if (!product || (variantId && (!variant || variant.product_id !== productId))) {
+      continue;
+    }
+    lines.push({
+      productId,
+      variantId: variantId || null,
+      categoryId: product.category_id,
+      weightGrams: product.weight_grams,
+      quantity,
+      unitCents: unitPriceCents(
+        { productPrice: product.price, variantPrice: variant ? variant.price : null, override: overrides.get(productId) },
+        currency
+      ),
+    });
+  }
+  return lines;
+}
+
+// Why `promotion` can't be used right now by `userId` on a cart worth
+// `subtotalCents` in `currency`, or null if it can
+async function ineligibilityReason(db, promotion, userId, subtotalCents, currency) {
+  const now = new Date();
+  if (!promotion.active || (promotion.starts_at && promotion.starts_at > now)) {
+    return "This promotion is not active";
+  }
+  if (promotion.ends_at && promotion.ends_at <= now) {
+    return "This promotion has expired";
+  }
+  if (promotion.min_order_value !== null) {
+    const minimumCents = convertCents(toCents(promotion.min_order_value), currency);
+    if (subtotalCents < minimumCents) {
+      return `This promotion needs an order of at least ${fromCents(minimumCents)} ${currency.code}`;
+    }
+  }
+  if (promotion.usage_limit !== null && promotion.times_redeemed >= promotion.usage_limit) {
+    return "This promotion has been used up";
+  }
+  if (promotion.per_customer_limit !== null) {
+    const used = await db.query(
+      `SELECT COUNT(*)::int AS count FROM promotion_redemptions pr JOIN orders o ON o.id = pr.order_id
+       WHERE pr.promotion_id = $1 AND pr.user_id = $2 AND o.status NOT IN ('cancelled', 'refunded')`,
+      [promotion.id, userId]
+    );
+    if (used.rows[0].count >= promotion.per_customer_limit) {
+      return "You have already used this promotion";
+    }
+  }
+  return null;
+}
+
+// Lines a promotion applies to: everything, or only its products and
+// categories (including their subcategories)
+async function scopedLines(db, promotion, lines) {
+  const productIds = promotion.product_ids || [];
+  const categoryIds = promotion.category_ids || [];
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return lines;
+  }
+
+  let categories = new Set();
+  if (categoryIds.length > 0) {
+    const result = await db.query(descendantIdsSql(1), [categoryIds]);
+    categories = new Set(result.rows.map((row) => row.id));
+  }
+  return lines.filter((line) => productIds.includes(line.productId) || categories.has(line.categoryId));
+}
+
+// Discount in cents of `promotion` on the lines it applies to
+function discountCents(promotion, lines, currency) {
+  const eligibleCents = lines.reduce((sum, line) => sum + line.unitCents * line.quantity, 0);
+
+  switch (promotion.type) {
+    case "percentage":
+      return roundCents((eligibleCents * parseFloat(promotion.value)) / 100, currency);
+    case "fixed_amount":
+      return Math.min(convertCents(toCents(promotion.value), currency), eligibleCents);
+    case "buy_x_get_y": {
+      // In every group of buy + get units, taken most expensive first, the
+      // cheapest `get` are free. Quantities can be huge, so units are counted
+      // line by line rather than listed one at a time.
+      const groupSize = promotion.buy_quantity + promotion.get_quantity;
+      const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+      const grouped = units - (units % groupSize);
+      // Free units among the first `n` in complete groups
+      const freeWithin = (n) =>
+        Math.floor(n / groupSize) * promotion.get_quantity + Math.max(0, (n % groupSize) - promotion.buy_quantity);
+
+      let free = 0;
+      let position = 0;
+      for (const line of [...lines].sort((a, b) => b.unitCents - a.unitCents)) {
+        const end = position + line.quantity;
+        free += (freeWithin(Math.min(end, grouped)) - freeWithin(Math.min(position, grouped))) * line.unitCents;
+        position = end;
+      }
+      return free;
+    }
+    default:
+      return 0; // free_shipping takes nothing off the items
+  }
+}
+
+/**
+ * Work out the discounts for a cart: every automatic promotion it qualifies
+ * for plus the coupon `code`, if given. `lines` are priced in `currency`.
+ * Pass `lock` inside a checkout transaction so usage limits can't be
+ * overrun by concurrent orders.
+ *
+ * Resolves to { currency, subtotal, discounts, discountTotal, total,
+ * freeShipping, couponError }. Each discount is { promotionId, code, name,
+ * type, amount }. couponError explains why the coupon was not applied.
+ */
+async function calculateDiscounts(db, { lines, userId, code, currency, lock = false }) {
+  const subtotalCents = lines.reduce((sum, line) => sum + line.unitCents * line.quantity, 0);
+  const params = [code ? normalizeCode(code) : null];
+
+  // Lock first and count afterwards: a count taken in the locking statement
+  // reads that statement's snapshot, so a checkout that waited for the lock
+  // would miss the redemptions of the one it waited on
+  if (lock) {
+    await db.query(
+      "SELECT id FROM promotions WHERE (code IS NULL AND active) OR code = $1 ORDER BY id FOR UPDATE",
+      params
+    );
+  }
+  const promotions = await db.query(
+    `SELECT promotions.*, ${REDEMPTION_COUNT} AS times_redeemed FROM promotions
+     WHERE (code IS NULL AND active) OR code = $1
+     ORDER BY code NULLS FIRST, id`,
+    params
+  );
+
+  let couponError = null;
+  if (code && !promotions.rows.some((promotion) => promotion.code === normalizeCode(code))) {
+    couponError = "Coupon code not found";
+  }
+
+  const discounts = [];
+  let remainingCents = subtotalCents;
+  let freeShipping = false;
+
+  for (const promotion of promotions.rows) {
+    const reason = await ineligibilityReason(db, promotion, userId, subtotalCents, currency);
+    const applicable = await scopedLines(db, promotion, lines);
+    if (reason || applicable.length === 0) {
+      if (promotion.code) {
+        couponError = reason || "This coupon does not apply to anything in your cart";
+      }
+      continue;
+    }
+
+    // Never take off more than is left to pay
+    const amountCents = Math.min(discountCents(promotion, applicable, currency), remainingCents);
+    if (amountCents === 0 && promotion.type !== "free_shipping") {
+      if (promotion.code) {
+        couponError = "This coupon does not apply to anything in your cart";
+      }
+      continue;
+    }
+
+    remainingCents -= amountCents;
+    freeShipping = freeShipping || promotion.type === "free_shipping";
+    discounts.push({
+      promotionId: promotion.id,
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type,
+      amount: fromCents(amountCents),
+    });
+  }
+
+  return {
+    currency: currency.code,
+    subtotal: fromCents(subtotalCents),
+    discounts,
+    discountTotal: fromCents(subtotalCents - remainingCents),
+    total: fromCents(remainingCents),
+    freeShipping,
+    couponError,
+  };
+}
+
+// Record the discounts applied to a new order
+async function recordRedemptions(db, orderId, userId, discounts) {
+  for (const discount of discounts) {
+    await db.query(
+      "INSERT INTO promotion_redemptions (promotion_id, order_id, user_id, code, amount) VALUES ($1, $2, $3, $4, $5)",
+      [discount.promotionId, orderId, userId, discount.code, discount.amount]
+    );
+  }
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  REDEMPTION_COUNT,
+  normalizeCode,
+  priceCartLines,
+  calculateDiscounts,
+  recordRedemptions,
+};
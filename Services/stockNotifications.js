@@ -0,0 +1,149 @@
+const dotenv = require("dotenv");
+const { RESERVED_FOR_PRODUCT, RESERVED_FOR_VARIANT, lineKey } = require("./stockReservations");
+
+dotenv.config();
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// Stock notifications, sent after a transaction that changed stock commits:
+// customers subscribed to an out-of-stock product or variant hear when it can
+// be bought again, and inventory managers hear when it falls to its product's
+// low_stock_threshold. Each low-stock line alerts once until it's restocked
+// above the threshold (tracked in low_stock_alerts).
+
+async function notifyBackInStock(pool, notifier, { productId, variantId }) {
+  const line = variantId
+    ? await pool.query(
+        `SELECT p.name, product_variants.sku, (product_variants.stock - ${RESERVED_FOR_VARIANT})::int AS available
+         FROM product_variants JOIN products p ON p.id = product_variants.product_id
+         WHERE product_variants.id = $1`,
+        [variantId]
+      )
+    : await pool.query(
+        `SELECT name, NULL AS sku, (stock - ${RESERVED_FOR_PRODUCT})::int AS available FROM products WHERE id = $1`,
+        [productId]
+      );
+  if (line.rows.length === 0 || line.rows[0].available <= 0) {
+    return;
+  }
+
+  const waiting = await pool.query(
+    `SELECT id FROM back_in_stock_subscriptions
+     WHERE product_id = $1 AND variant_id IS NOT DISTINCT FROM $2 AND notified_at IS NULL ORDER BY id`,
+    [productId, variantId || null]
+  );
+
+  const { name, sku } = line.rows[0];
+  const item = sku ? `${name} (${sku})` : name;
+
+  // Each subscriber gets a transaction of their own that holds the
+  // subscription's row lock while sending: a concurrent check skips the row
+  // rather than notifying twice, and a failed send leaves it waiting for the
+  // next stock change instead of marking it notified
+  for (const { id } of waiting.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const subscriber = await client.query(
+        `SELECT u.email FROM back_in_stock_subscriptions s JOIN users u ON u.id = s.user_id
+         WHERE s.id = $1 AND s.notified_at IS NULL FOR UPDATE OF s SKIP LOCKED`,
+        [id]
+      );
+      if (subscriber.rows.length > 0) {
+        await notifier.send({
+          to: subscriber.rows[0].email,
+          event: "back_in_stock",
+          subject: `${item} is back in stock`,
+          text: `Good news: ${item} is available again.\n\n${APP_URL}/products/${productId}`,
+          data: { productId, variantId: variantId || null },
+        });
+        await client.query("UPDATE back_in_stock_subscriptions SET notified_at = NOW() WHERE id = $1", [id]);
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Error sending back-in-stock notification:", error);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+async function notifyLowStock(db, notifier, { productId, variantId }) {
+  // A product's own stock only counts while it has no variants
+  const line = variantId
+    ? await db.query(
+        `SELECT p.name, v.sku, v.stock, p.low_stock_threshold AS threshold
+         FROM product_variants v JOIN products p ON p.id = v.product_id WHERE v.id = $1`,
+        [variantId]
+      )
+    : await db.query(
+        `SELECT name, NULL AS sku, stock, low_stock_threshold AS threshold FROM products
+         WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM product_variants WHERE product_id = products.id)`,
+        [productId]
+      );
+  if (line.rows.length === 0) {
+    return;
+  }
+
+  const { name, sku, stock, threshold } = line.rows[0];
+  if (threshold === null || stock > threshold) {
+    await db.query(
+      "DELETE FROM low_stock_alerts WHERE product_id = $1 AND COALESCE(variant_id, 0) = COALESCE($2, 0)",
+      [productId, variantId || null]
+    );
+    return;
+  }
+
+  const alert = await db.query(
+    `INSERT INTO low_stock_alerts (product_id, variant_id, stock, threshold) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (product_id, (COALESCE(variant_id, 0))) DO NOTHING RETURNING id`,
+    [productId, variantId || null, stock, threshold]
+  );
+  if (alert.rows.length === 0) {
+    return;
+  }
+
+  const managers = await db.query(
+    `SELECT u.email FROM users u JOIN role_permissions rp ON rp.role = u.role
+     WHERE rp.permission = 'inventory:manage' AND u.disabled_at IS NULL`
+  );
+  const item = sku ? `${name} (${sku})` : name;
+  for (const { email } of managers.rows) {
+    await notifier.send({
+      to: email,
+      event: "low_stock",
+      subject: `Low stock: ${item}`,
+      text: `${item} is down to ${stock} in stock (threshold ${threshold}).\n\n${APP_URL}/api/inventory/products/${productId}/movements`,
+      data: { productId, variantId: variantId || null, stock, threshold },
+    });
+  }
+}
+
+/**
+ * Send whatever back-in-stock and low-stock notifications the current stock
+ * of `lines` ([{ productId, variantId }]) calls for. Call it with the pool,
+ * after the transaction that changed the stock has committed. It never
+ * rejects: failures are logged, since the stock change itself has already
+ * happened and callers mustn't treat it as failed.
+ */
+async function sendStockNotifications(pool, notifier, lines) {
+  let unique;
+  try {
+    unique = new Map(lines.map((line) => [lineKey(line.productId, line.variantId), line]));
+  } catch (error) {
+    console.error("Error sending stock notifications:", error);
+    return;
+  }
+
+  for (const line of unique.values()) {
+    try {
+      await notifyBackInStock(pool, notifier, line);
+      await notifyLowStock(pool, notifier, line);
+    } catch (error) {
+      console.error("Error sending stock notifications:", error);
+    }
+  }
+}
+
+module.exports = { sendStockNotifications };
@@ -0,0 +1,132 @@
+// Stock held for carts. Adding to the cart reserves the units for
+// CART_RESERVATION_MINUTES (15 by default); available-to-sell is stock minus
+// everyone's unexpired reservations. Checkout turns the buyer's reservations
+// into committed stock, and a periodic sweep deletes the expired ones.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function reservationMinutes() {
+  return parseInt(process.env.CART_RESERVATION_MINUTES, 10) || 15;
+}
+
+// Units of a products row held by unexpired reservations, across its variants
+const RESERVED_FOR_PRODUCT = `
+  COALESCE((SELECT SUM(r.quantity) FROM stock_reservations r
+            WHERE r.product_id = products.id AND r.expires_at > NOW()), 0)
+`;
+
+// Units of a product_variants row held by unexpired reservations
+const RESERVED_FOR_VARIANT = `
+  COALESCE((SELECT SUM(r.quantity) FROM stock_reservations r
+            WHERE r.variant_id = product_variants.id AND r.expires_at > NOW()), 0)
+`;
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ""}`;
+
+/**
+ * Units of each product and variant in `productIds` held by other users'
+ * unexpired reservations, as a Map keyed by lineKey(productId, variantId).
+ */
+async function heldByOthers(db, productIds, userId) {
+  const held = await db.query(
+    `SELECT product_id, variant_id, SUM(quantity)::int AS quantity FROM stock_reservations
+     WHERE product_id = ANY($1::int[]) AND user_id <> $2 AND expires_at > NOW()
+     GROUP BY product_id, variant_id`,
+    [productIds, userId]
+  );
+  return new Map(held.rows.map((row) => [lineKey(row.product_id, row.variant_id), row.quantity]));
+}
+
+/**
+ * Hold `quantity` units of a product (or variant) for `userId`'s cart line,
+ * replacing any hold they already have on it and restarting its timer.
+ * Locks the stock row, so call it inside a transaction.
+ *
+ * Resolves to { expiresAt } or, when too few units are free, { status,
+ * error, available }.
+ */
+async function reserveStock(db, userId, { productId, variantId, quantity }) {
+  const stock = variantId
+    ? await db.query("SELECT stock FROM product_variants WHERE id = $1 FOR UPDATE", [variantId])
+    : await db.query("SELECT stock FROM products WHERE id = $1 FOR UPDATE", [productId]);
+  const held = await heldByOthers(db, [productId], userId);
+  const available = Math.max(stock.rows[0].stock - (held.get(lineKey(productId, variantId)) || 0), 0);
+
+  if (available < quantity) {
+    return {
+      status: 409,
+      error: available === 0 ? "This item is out of stock" : `Only ${available} of this item available`,
+      available,
+    };
+  }
+
+  const reservation = await db.query(
+    `INSERT INTO stock_reservations (user_id, product_id, variant_id, quantity, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+     ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0)))
+     DO UPDATE SET quantity = EXCLUDED.quantity, expires_at = EXCLUDED.expires_at
+     RETURNING expires_at`,
+    [userId, productId, variantId || null, quantity, reservationMinutes()]
+  );
+  return { expiresAt: reservation.rows[0].expires_at };
+}
+
+// Columns naming the line a deleted hold was on, for sendStockNotifications:
+// units held only by carts come free when the hold goes
+const RELEASED_LINE = 'RETURNING product_id AS "productId", variant_id AS "variantId"';
+
+// Drop `userId`'s holds: all of them, every variant of `productId`, or just
+// `variantId` of it. Resolves to the lines released, [{ productId, variantId }].
+async function releaseReservations(db, userId, { productId, variantId } = {}) {
+  let released;
+  if (productId === undefined) {
+    released = await db.query(`DELETE FROM stock_reservations WHERE user_id = $1 ${RELEASED_LINE}`, [userId]);
+  } else if (variantId) {
+    released = await db.query(
+      `DELETE FROM stock_reservations WHERE user_id = $1 AND product_id = $2 AND variant_id = $3 ${RELEASED_LINE}`,
+      [userId, productId, variantId]
+    );
+  } else {
+    released = await db.query(`DELETE FROM stock_reservations WHERE user_id = $1 AND product_id = $2 ${RELEASED_LINE}`, [
+      userId,
+      productId,
+    ]);
+  }
+  return released.rows;
+}
+
+// Delete expired holds; resolves to the lines released, as for releaseReservations
+async function releaseExpiredReservations(db) {
+  const released = await db.query(`DELETE FROM stock_reservations WHERE expires_at <= NOW() ${RELEASED_LINE}`);
+  return released.rows;
+}
+
+// Run releaseExpiredReservations every minute for the life of the process,
+// passing the lines it frees to `onReleased` (server.js sends stock
+// notifications for them)
+function startReservationSweep(db, onReleased = async () => {}, intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredReservations(db);
+      if (released.length > 0) {
+        console.log(`Released ${released.length} expired stock reservation(s)`);
+        await onReleased(released);
+      }
+    } catch (error) {
+      console.error("Error releasing expired stock reservations:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RESERVED_FOR_PRODUCT,
+  RESERVED_FOR_VARIANT,
+  lineKey,
+  heldByOthers,
+  reserveStock,
+  releaseReservations,
+  releaseExpiredReservations,
+  startReservationSweep,
+};
@@ -0,0 +1,42 @@
+const crypto = require("crypto");
+const { hashToken } = require("./authTokens");
+
+/**
+ * Issue a single-use token for an emailed link (password reset, email
+ * verification). Only the hash is stored, and any earlier unused token for
+ * the same purpose is invalidated so only the newest link works.
+ */
+async function issueUserToken(db, userId, purpose, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await db.query(
+    "UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+    [userId, purpose]
+  );
+  await db.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), ttlMinutes]
+  );
+
+  return token;
+}
+
+/**
+ * Mark a token as used and return the user it belongs to, or null if it is
+ * unknown, expired, already used or was issued for something else.
+ */
+async function consumeUserToken(db, token, purpose) {
+  const result = await db.query(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken,
+};
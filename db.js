@@ -0,0 +1,17 @@
+const pg = require("pg");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// PostgreSQL Configuration
+// Shared by the server and by middleware that has to hit the database on
+// every request (e.g. token revocation checks).
+const pool = new pg.Pool({
+  user: process.env.DB_USER,
+  host: process.env.DB_HOST,
+  database: process.env.DB_DATABASE,
+  password: process.env.DB_PASSWORD,
+  port: process.env.DB_PORT,
+});
+
+module.exports = pool;
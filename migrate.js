@@ -0,0 +1,80 @@
+// Database migrations CLI (see Services/migrations.js). Run through npm:
+//
+//   npm run migrate -- up [--to VERSION]
+//   npm run migrate -- down [--steps N]
+//   npm run migrate -- status
+//   npm run migrate -- create NAME
+const pool = require("./db");
+const { migrateUp, migrateDown, migrationStatus, createMigration } = require("./Services/migrations");
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+Commands:
+  up [--to VERSION]   Apply pending migrations, or only those up to VERSION
+  down [--steps N]    Revert the last N applied migrations (default 1)
+  status              List migrations and whether each has been applied
+  create NAME         Add an empty migration to migrations/`;
+
+// The value following `flag` in args, or undefined if the flag isn't there
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+async function run([command, ...args]) {
+  switch (command) {
+    case "up": {
+      const to = option(args, "--to");
+      if (to !== undefined && !/^\d{14}$/.test(to)) {
+        throw new Error("--to takes a migration version (YYYYMMDDHHMMSS)");
+      }
+      const applied = await migrateUp(pool, { to });
+      applied.forEach((migration) => console.log(`Applied ${label(migration)}`));
+      console.log(applied.length === 0 ? "Already up to date." : `Applied ${applied.length} migration(s).`);
+      return;
+    }
+    case "down": {
+      const steps = option(args, "--steps") === undefined ? 1 : Number(option(args, "--steps"));
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("--steps takes a positive whole number");
+      }
+      const reverted = await migrateDown(pool, { steps });
+      reverted.forEach((migration) => console.log(`Reverted ${label(migration)}`));
+      console.log(reverted.length === 0 ? "Nothing to revert." : `Reverted ${reverted.length} migration(s).`);
+      return;
+    }
+    case "status": {
+      const migrations = await migrationStatus(pool);
+      for (const migration of migrations) {
+        const state = migration.missing
+          ? `applied ${migration.applied_at.toISOString()}, file missing`
+          : migration.applied_at
+            ? `applied ${migration.applied_at.toISOString()}`
+            : "pending";
+        console.log(`${label(migration)}  ${state}`);
+      }
+      const pending = migrations.filter((migration) => !migration.applied_at).length;
+      console.log(`${migrations.length} migration(s), ${pending} pending.`);
+      return;
+    }
+    case "create": {
+      if (!args[0]) {
+        throw new Error("create takes a name, e.g. npm run migrate -- create add_products_barcode");
+      }
+      console.log(`Created ${await createMigration(args.join(" "))}`);
+      return;
+    }
+    default:
+      console.log(USAGE);
+      process.exitCode = command === undefined || command === "help" ? 0 : 1;
+  }
+}
+
+run(process.argv.slice(2))
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
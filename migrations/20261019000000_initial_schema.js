@@ -0,0 +1,567 @@
+// The schema as it stood when migrations were introduced, until then created
+// by createTables() in server.js on every start. Every statement is safe to
+// run against a database createTables() already set up, so existing
+// databases adopt this migration without changes.
+
+// The built-in roles as Services/permissions.js defined them at the time.
+// They're written out here rather than read from that file so that this
+// migration keeps doing the same thing; later changes to the roles belong in
+// migrations of their own.
+const BUILT_IN_ROLES = [
+  {
+    name: "admin",
+    description: "Full access to the store",
+    permissions: [
+      "products:write",
+      "products:delete",
+      "products:import",
+      "products:export",
+      "categories:write",
+      "categories:delete",
+      "orders:read_all",
+      "orders:update_status",
+      "orders:export",
+      "users:read",
+      "users:write",
+      "roles:manage",
+      "reviews:moderate",
+      "promotions:manage",
+      "pricing:manage",
+      "inventory:manage",
+      "admin_panel:access",
+    ],
+  },
+  {
+    name: "customer",
+    description: "Shoppers who sign up through /auth/signup",
+    permissions: ["customer_dashboard:access"],
+  },
+];
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS users (
+          id SERIAL PRIMARY KEY,
+          email VARCHAR(255) UNIQUE NOT NULL,
+          password VARCHAR(255) NOT NULL,
+          role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'customer'))
+        );
+
+        -- Roles are named sets of permissions (see Services/permissions.js)
+        CREATE TABLE IF NOT EXISTS roles (
+          name VARCHAR(50) PRIMARY KEY,
+          description TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS role_permissions (
+          role VARCHAR(50) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE NOT NULL,
+          permission VARCHAR(100) NOT NULL,
+          PRIMARY KEY (role, permission)
+        );
+
+        CREATE TABLE IF NOT EXISTS categories (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        description TEXT
+      );
+
+      ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categories(id); -- NULL for top-level
+      CREATE INDEX IF NOT EXISTS categories_parent_id_idx ON categories (parent_id);
+
+      CREATE TABLE IF NOT EXISTS products (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        price DECIMAL(10, 2) NOT NULL,
+        stock INTEGER NOT NULL,
+        category_id INTEGER REFERENCES categories(id) NOT NULL,  -- Foreign key
+        image_url TEXT NOT NULL
+      );
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_grams INTEGER NOT NULL DEFAULT 0; -- per unit, for shipping
+      -- Keyset pagination walks these in (sort key, id) order
+      CREATE INDEX IF NOT EXISTS products_created_at_idx ON products (created_at, id);
+      CREATE INDEX IF NOT EXISTS products_price_idx ON products (price, id);
+      CREATE INDEX IF NOT EXISTS products_name_idx ON products (name, id);
+
+      -- Full-text search document per product: name (weight A), category name (B) and description (C),
+      -- each both stemmed and as typed (see Services/productSearch.js)
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+      CREATE TABLE IF NOT EXISTS product_search (
+        product_id INTEGER PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+        document TSVECTOR NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS product_search_document_idx ON product_search USING GIN (document);
+      CREATE INDEX IF NOT EXISTS products_name_trgm_idx ON products USING GIN (name gin_trgm_ops);
+
+      CREATE OR REPLACE FUNCTION product_search_document(p_name TEXT, p_description TEXT, p_category_id INTEGER)
+      RETURNS TSVECTOR AS $$
+        SELECT setweight(to_tsvector('english', t.name) || to_tsvector('simple', t.name), 'A')
+          || setweight(to_tsvector('english', t.category) || to_tsvector('simple', t.category), 'B')
+          || setweight(to_tsvector('english', t.description) || to_tsvector('simple', t.description), 'C')
+        FROM (SELECT COALESCE(p_name, '') AS name,
+                     COALESCE((SELECT name FROM categories WHERE id = p_category_id), '') AS category,
+                     COALESCE(p_description, '') AS description) AS t;
+      $$ LANGUAGE SQL STABLE;
+
+      CREATE OR REPLACE FUNCTION refresh_product_search() RETURNS TRIGGER AS $$
+      BEGIN
+        INSERT INTO product_search (product_id, document)
+        VALUES (NEW.id, product_search_document(NEW.name, NEW.description, NEW.category_id))
+        ON CONFLICT (product_id) DO UPDATE SET document = EXCLUDED.document;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS products_refresh_search ON products;
+      CREATE TRIGGER products_refresh_search
+        AFTER INSERT OR UPDATE OF name, description, category_id ON products
+        FOR EACH ROW EXECUTE FUNCTION refresh_product_search();
+
+      -- Renaming a category changes the search document of every product in it
+      CREATE OR REPLACE FUNCTION refresh_category_product_search() RETURNS TRIGGER AS $$
+      BEGIN
+        UPDATE product_search ps
+        SET document = product_search_document(p.name, p.description, p.category_id)
+        FROM products p
+        WHERE p.id = ps.product_id AND p.category_id = NEW.id;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS categories_refresh_product_search ON categories;
+      CREATE TRIGGER categories_refresh_product_search
+        AFTER UPDATE OF name ON categories
+        FOR EACH ROW EXECUTE FUNCTION refresh_category_product_search();
+
+      -- Backfill products created before search existed
+      INSERT INTO product_search (product_id, document)
+      SELECT id, product_search_document(name, description, category_id) FROM products
+      ON CONFLICT (product_id) DO NOTHING;
+
+      -- Options a product's variants are built from, e.g. Size: [S, M, L]
+      CREATE TABLE IF NOT EXISTS product_options (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        values TEXT[] NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        UNIQUE (product_id, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+        sku VARCHAR(100) UNIQUE NOT NULL,
+        price DECIMAL(10, 2), -- NULL means use the product price
+        stock INTEGER NOT NULL DEFAULT 0,
+        image_url TEXT, -- NULL means use the product image
+        options JSONB NOT NULL DEFAULT '{}', -- e.g. {"Size": "M", "Colour": "Red"}
+        UNIQUE (product_id, options)
+      );
+
+      CREATE TABLE IF NOT EXISTS carts (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) NOT NULL,
+          items JSONB DEFAULT '[]' -- Store cart items as JSON array
+        );
+
+        -- Named wishlists; share_token is set while the list has a public read-only link
+        CREATE TABLE IF NOT EXISTS wishlists (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          share_token VARCHAR(64) UNIQUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, name)
+        );
+
+        CREATE TABLE IF NOT EXISTS wishlist_items (
+          id SERIAL PRIMARY KEY,
+          wishlist_id INTEGER REFERENCES wishlists(id) ON DELETE CASCADE NOT NULL,
+          product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+          variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE, -- NULL for the product in general
+          added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS wishlist_items_unique_idx
+          ON wishlist_items (wishlist_id, product_id, COALESCE(variant_id, 0));
+
+        CREATE TABLE IF NOT EXISTS orders (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) NOT NULL,
+          items JSONB NOT NULL, -- Store order items
+          total_price DECIMAL(10, 2) NOT NULL,
+          order_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'));
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+        CREATE TABLE IF NOT EXISTS order_status_history (
+          id SERIAL PRIMARY KEY,
+          order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+          from_status VARCHAR(20), -- NULL for the initial status
+          to_status VARCHAR(20) NOT NULL,
+          changed_by INTEGER REFERENCES users(id),
+          note TEXT,
+          changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- One review per customer per product; only approved reviews are public
+        CREATE TABLE IF NOT EXISTS product_reviews (
+          id SERIAL PRIMARY KEY,
+          product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+          body TEXT NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'hidden')),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (product_id, user_id)
+        );
+        CREATE INDEX IF NOT EXISTS product_reviews_product_idx ON product_reviews (product_id, status);
+
+        CREATE TABLE IF NOT EXISTS review_helpful_votes (
+          review_id INTEGER REFERENCES product_reviews(id) ON DELETE CASCADE NOT NULL,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (review_id, user_id)
+        );
+
+        -- Coupons (with a code) and automatic promotions (code NULL). Empty product_ids and
+        -- category_ids mean the whole order; otherwise only matching lines are discounted.
+        CREATE TABLE IF NOT EXISTS promotions (
+          id SERIAL PRIMARY KEY,
+          code VARCHAR(50) UNIQUE, -- stored upper case
+          name VARCHAR(255) NOT NULL,
+          type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y')),
+          value DECIMAL(10, 2), -- percent off, or amount off for fixed_amount
+          buy_quantity INTEGER, -- buy_x_get_y only
+          get_quantity INTEGER,
+          product_ids INTEGER[] NOT NULL DEFAULT '{}',
+          category_ids INTEGER[] NOT NULL DEFAULT '{}',
+          min_order_value DECIMAL(10, 2),
+          starts_at TIMESTAMP,
+          ends_at TIMESTAMP,
+          usage_limit INTEGER, -- across all customers
+          per_customer_limit INTEGER,
+          active BOOLEAN NOT NULL DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS promotion_redemptions (
+          id SERIAL PRIMARY KEY,
+          promotion_id INTEGER REFERENCES promotions(id) NOT NULL,
+          order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE NOT NULL,
+          user_id INTEGER REFERENCES users(id) NOT NULL,
+          code VARCHAR(50),
+          amount DECIMAL(10, 2) NOT NULL,
+          redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS promotion_redemptions_promotion_idx ON promotion_redemptions (promotion_id, user_id);
+
+        ALTER TABLE carts ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10, 2); -- before discounts
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0;
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS discounts JSONB NOT NULL DEFAULT '[]';
+
+        -- Shipping zones match on country (ISO 3166-1 alpha-2, or '*' for everywhere else) and
+        -- optionally region; each zone offers one or more rates for the customer to pick from
+        CREATE TABLE IF NOT EXISTS shipping_zones (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          countries TEXT[] NOT NULL,
+          regions TEXT[] NOT NULL DEFAULT '{}' -- empty means the whole of each country
+        );
+
+        CREATE TABLE IF NOT EXISTS shipping_rates (
+          id SERIAL PRIMARY KEY,
+          zone_id INTEGER REFERENCES shipping_zones(id) ON DELETE CASCADE NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          type VARCHAR(20) NOT NULL CHECK (type IN ('flat', 'weight', 'free_over')),
+          amount DECIMAL(10, 2) NOT NULL DEFAULT 0, -- flat price, or base price for weight
+          per_kg DECIMAL(10, 2), -- weight: added for every started kilogram
+          free_over DECIMAL(10, 2) -- free_over: no charge once the goods cost at least this
+        );
+
+        -- The most specific rate wins: a region's rate over its country's
+        CREATE TABLE IF NOT EXISTS tax_rates (
+          id SERIAL PRIMARY KEY,
+          country CHAR(2) NOT NULL,
+          region VARCHAR(100), -- NULL for the whole country
+          name VARCHAR(100) NOT NULL,
+          rate DECIMAL(6, 3) NOT NULL CHECK (rate >= 0), -- percent
+          applies_to_shipping BOOLEAN NOT NULL DEFAULT true
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS tax_rates_location_idx ON tax_rates (country, COALESCE(region, ''));
+
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_address JSONB;
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_total DECIMAL(10, 2) NOT NULL DEFAULT 0;
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_total DECIMAL(10, 2) NOT NULL DEFAULT 0;
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS pricing JSONB; -- full breakdown from Services/pricing.js
+
+        -- Catalog prices are in the base currency (BASE_CURRENCY); these are the
+        -- other currencies we sell in, as units per unit of the base currency
+        CREATE TABLE IF NOT EXISTS exchange_rates (
+          currency CHAR(3) PRIMARY KEY,
+          rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- A product's own price in a currency, used instead of converting its base price
+        CREATE TABLE IF NOT EXISTS product_prices (
+          product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+          currency CHAR(3) REFERENCES exchange_rates(currency) ON DELETE CASCADE NOT NULL,
+          price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+          PRIMARY KEY (product_id, currency)
+        );
+
+        -- Every amount on an order is in its currency; exchange_rate is the rate it was placed at.
+        -- Orders from before currencies were added have a NULL currency, meaning the base currency.
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS currency CHAR(3);
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18, 8) NOT NULL DEFAULT 1;
+
+        -- Units held for a customer's cart line until expires_at (see Services/stockReservations.js)
+        CREATE TABLE IF NOT EXISTS stock_reservations (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+          variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+          quantity INTEGER NOT NULL CHECK (quantity > 0),
+          expires_at TIMESTAMP NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS stock_reservations_line_idx
+          ON stock_reservations (user_id, product_id, (COALESCE(variant_id, 0)));
+        CREATE INDEX IF NOT EXISTS stock_reservations_product_idx ON stock_reservations (product_id, expires_at);
+
+        -- Stock ledger: every change to a product's or variant's stock, which is the sum of its
+        -- movements (see Services/inventory.js). variant_id is NULL for the product's own stock.
+        CREATE TABLE IF NOT EXISTS stock_movements (
+          id SERIAL PRIMARY KEY,
+          product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+          variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+          type VARCHAR(20) NOT NULL CHECK (type IN ('receipt', 'sale', 'return', 'adjustment', 'correction')),
+          quantity INTEGER NOT NULL CHECK (quantity <> 0),
+          balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+          reason TEXT,
+          reference VARCHAR(100),
+          order_id INTEGER REFERENCES orders(id),
+          actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS stock_movements_product_idx ON stock_movements (product_id, created_at);
+
+        -- Movements can't be edited or deleted, except by the cascades of deleting their product,
+        -- variant or actor
+        CREATE OR REPLACE FUNCTION stock_movements_append_only() RETURNS TRIGGER AS $$
+        BEGIN
+          IF pg_trigger_depth() = 1 THEN
+            RAISE EXCEPTION 'stock_movements is append-only';
+          END IF;
+          RETURN CASE TG_OP WHEN 'DELETE' THEN OLD ELSE NEW END;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS stock_movements_append_only ON stock_movements;
+        CREATE TRIGGER stock_movements_append_only
+          BEFORE UPDATE OR DELETE ON stock_movements
+          FOR EACH ROW EXECUTE FUNCTION stock_movements_append_only();
+
+        -- Stock from before the ledger existed is its opening balance
+        INSERT INTO stock_movements (product_id, type, quantity, balance_after, reason)
+        SELECT p.id, 'correction', p.stock, p.stock, 'Opening balance' FROM products p
+        WHERE p.stock > 0 AND NOT EXISTS (
+          SELECT 1 FROM stock_movements m WHERE m.product_id = p.id AND m.variant_id IS NULL
+        );
+        INSERT INTO stock_movements (product_id, variant_id, type, quantity, balance_after, reason)
+        SELECT v.product_id, v.id, 'correction', v.stock, v.stock, 'Opening balance' FROM product_variants v
+        WHERE v.stock > 0 AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.variant_id = v.id);
+
+        -- "Notify me when available" requests; notified_at is set when the notification goes out
+        CREATE TABLE IF NOT EXISTS back_in_stock_subscriptions (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+          variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          notified_at TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS back_in_stock_subscriptions_waiting_idx
+          ON back_in_stock_subscriptions (user_id, product_id, (COALESCE(variant_id, 0))) WHERE notified_at IS NULL;
+
+        -- Stock at or below which inventory managers are alerted; NULL for no alerts.
+        -- Applies to each variant separately.
+        ALTER TABLE products ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER CHECK (low_stock_threshold >= 0);
+
+        -- Lines that have been alerted as low on stock and not restocked since (see Services/stockNotifications.js)
+        CREATE TABLE IF NOT EXISTS low_stock_alerts (
+          id SERIAL PRIMARY KEY,
+          product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+          variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+          stock INTEGER NOT NULL,
+          threshold INTEGER NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS low_stock_alerts_line_idx ON low_stock_alerts (product_id, (COALESCE(variant_id, 0)));
+
+        -- Products are matched by SKU on catalog import; variants have their own
+        ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(100) UNIQUE;
+
+        -- Catalog imports (see Services/productImport.js). errors holds up to 1000
+        -- [{ row, sku, field, message }]; error_count counts all of them.
+        CREATE TABLE IF NOT EXISTS import_jobs (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          format VARCHAR(10) NOT NULL,
+          dry_run BOOLEAN NOT NULL DEFAULT false,
+          status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+          total_rows INTEGER NOT NULL,
+          processed_rows INTEGER NOT NULL DEFAULT 0,
+          created_count INTEGER NOT NULL DEFAULT 0,
+          updated_count INTEGER NOT NULL DEFAULT 0,
+          error_count INTEGER NOT NULL DEFAULT 0,
+          errors JSONB NOT NULL DEFAULT '[]',
+          error TEXT, -- why a failed job stopped
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP,
+          finished_at TIMESTAMP
+        );
+
+        -- Product galleries (see Services/productImages.js). products.image_url mirrors
+        -- the primary image and is NULL while a product has no images.
+        -- storage_key is how the image storage deletes the file; NULL for images it doesn't own.
+        CREATE TABLE IF NOT EXISTS product_images (
+          id SERIAL PRIMARY KEY,
+          product_id INTEGER REFERENCES products(id) ON DELETE CASCADE NOT NULL,
+          url TEXT NOT NULL,
+          storage_key TEXT,
+          alt_text VARCHAR(255),
+          position INTEGER NOT NULL DEFAULT 0,
+          is_primary BOOLEAN NOT NULL DEFAULT false,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS product_images_product_id_idx ON product_images (product_id, position);
+        CREATE UNIQUE INDEX IF NOT EXISTS product_images_primary_idx ON product_images (product_id) WHERE is_primary;
+        -- Resized copies of an image (see Services/imageUploads.js): renditions maps names to URLs
+        -- and rendition_keys holds their storage keys
+        ALTER TABLE product_images ADD COLUMN IF NOT EXISTS renditions JSONB NOT NULL DEFAULT '{}';
+        ALTER TABLE product_images ADD COLUMN IF NOT EXISTS rendition_keys TEXT[] NOT NULL DEFAULT '{}';
+        ALTER TABLE products ALTER COLUMN image_url DROP NOT NULL;
+        ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS image_storage_key TEXT;
+        -- Images uploaded before galleries existed become each product's primary image
+        INSERT INTO product_images (product_id, url, position, is_primary)
+        SELECT p.id, p.image_url, 0, true FROM products p
+        WHERE p.image_url IS NOT NULL AND NOT EXISTS (SELECT 1 FROM product_images i WHERE i.product_id = p.id);
+
+        -- One row per login; every refresh token issued from that login belongs to it
+        CREATE TABLE IF NOT EXISTS auth_sessions (
+          id UUID PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          user_agent TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          revoked_at TIMESTAMP,
+          revoked_reason VARCHAR(50)
+        );
+
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id SERIAL PRIMARY KEY,
+          session_id UUID REFERENCES auth_sessions(id) ON DELETE CASCADE NOT NULL,
+          token_hash CHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token, never the token itself
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP, -- set when rotated; presenting it again means it was stolen
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+        -- Accounts from before email verification existed count as verified, so checkout doesn't lock them out
+        UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email_verified_at IS NULL;
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN NOT NULL DEFAULT false;
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+        -- Users used to be limited to admin/customer by a CHECK; any role in the roles table is valid now
+        ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+
+        -- Single-use tokens sent by email (password reset, email verification)
+        CREATE TABLE IF NOT EXISTS user_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+          token_hash CHAR(64) UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Failed login / signup counters used by the "postgres" attempt store
+        CREATE TABLE IF NOT EXISTS auth_attempts (
+          key VARCHAR(320) PRIMARY KEY,
+          count INTEGER NOT NULL DEFAULT 0,
+          window_started_at TIMESTAMP NOT NULL,
+          blocked_until TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id SERIAL PRIMARY KEY,
+          event VARCHAR(50) NOT NULL,
+          actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          subject TEXT,
+          ip VARCHAR(45),
+          details JSONB,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Mail captured by the "outbox" mail transport instead of being sent
+        CREATE TABLE IF NOT EXISTS mail_outbox (
+          id SERIAL PRIMARY KEY,
+          sender VARCHAR(255) NOT NULL,
+          recipient VARCHAR(255) NOT NULL,
+          subject TEXT NOT NULL,
+          body TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Notifications captured by the "outbox" notification channel instead of being delivered
+        CREATE TABLE IF NOT EXISTS notification_outbox (
+          id SERIAL PRIMARY KEY,
+          recipient VARCHAR(255) NOT NULL,
+          event VARCHAR(50) NOT NULL,
+          subject TEXT NOT NULL,
+          body TEXT NOT NULL,
+          data JSONB NOT NULL DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    // users.role references roles, so the built-in roles have to exist first.
+    // A role that already exists keeps the permissions it was given through
+    // the API, but the admin role is always given at least these.
+    for (const { name, description, permissions } of BUILT_IN_ROLES) {
+      const inserted = await db.query(
+        "INSERT INTO roles (name, description) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING RETURNING name",
+        [name, description]
+      );
+      if (inserted.rows.length > 0 || name === "admin") {
+        await db.query(
+          `INSERT INTO role_permissions (role, permission)
+           SELECT $1, unnest($2::text[]) ON CONFLICT DO NOTHING`,
+          [name, permissions]
+        );
+      }
+    }
+    await db.query(`
+        DO $$ BEGIN
+          ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+        EXCEPTION WHEN duplicate_object THEN NULL;
+        END $$;
+      `);
+  },
+
+  // Reverting this would drop every table and all the store's data with it
+  async down() {
+    throw new Error("The initial schema can't be reverted");
+  },
+};
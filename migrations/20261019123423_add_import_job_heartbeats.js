@@ -0,0 +1,20 @@
+// See Services/migrations.js. Both functions run inside a transaction.
+
+// Running import jobs refresh heartbeat_at while they work, so a job whose
+// heartbeat has stopped can be told apart from one another app instance is
+// still running (see failInterruptedImportJobs in Services/productImport.js).
+// Jobs already queued or running start from now and are failed once stale.
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE import_jobs ADD COLUMN heartbeat_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE import_jobs DROP COLUMN heartbeat_at;
+    `);
+  },
+};
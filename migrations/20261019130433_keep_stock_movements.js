@@ -0,0 +1,52 @@
+// See Services/migrations.js. Both functions run inside a transaction.
+
+// The stock ledger is append-only without exception: deleting a product,
+// variant or user no longer cascades into their movements, so anything with
+// stock history has to stay (the delete routes answer 409 instead).
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE stock_movements
+        DROP CONSTRAINT stock_movements_product_id_fkey,
+        DROP CONSTRAINT stock_movements_variant_id_fkey,
+        DROP CONSTRAINT stock_movements_actor_id_fkey,
+        ADD CONSTRAINT stock_movements_product_id_fkey
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT,
+        ADD CONSTRAINT stock_movements_variant_id_fkey
+          FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE RESTRICT,
+        ADD CONSTRAINT stock_movements_actor_id_fkey
+          FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE RESTRICT;
+
+      CREATE OR REPLACE FUNCTION stock_movements_append_only() RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'stock_movements is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE stock_movements
+        DROP CONSTRAINT stock_movements_product_id_fkey,
+        DROP CONSTRAINT stock_movements_variant_id_fkey,
+        DROP CONSTRAINT stock_movements_actor_id_fkey,
+        ADD CONSTRAINT stock_movements_product_id_fkey
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        ADD CONSTRAINT stock_movements_variant_id_fkey
+          FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+        ADD CONSTRAINT stock_movements_actor_id_fkey
+          FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL;
+
+      CREATE OR REPLACE FUNCTION stock_movements_append_only() RETURNS TRIGGER AS $$
+      BEGIN
+        IF pg_trigger_depth() = 1 THEN
+          RAISE EXCEPTION 'stock_movements is append-only';
+        END IF;
+        RETURN CASE TG_OP WHEN 'DELETE' THEN OLD ELSE NEW END;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+  },
+};
@@ -1,5 +1,4 @@
 const express = require("express");
-const pg = require("pg");
 const dotenv = require("dotenv");
 const authRoutes = require("./Routes/auth");
 const protectedRoutes = require("./Routes/protected");
@@ -7,89 +6,122 @@ const productRoutes = require("./Routes/products");
 const categoryRoutes = require("./Routes/categories");
 const cartRoutes = require('./Routes/cart');
 const orderRoutes = require('./Routes/orders');
+const userRoutes = require('./Routes/users');
+const roleRoutes = require('./Routes/roles');
+const reviewRoutes = require('./Routes/reviews');
+const wishlistRoutes = require('./Routes/wishlists');
+const promotionRoutes = require('./Routes/promotions');
+const shippingRoutes = require('./Routes/shipping');
+const taxRoutes = require('./Routes/taxes');
+const currencyRoutes = require('./Routes/currencies');
+const inventoryRoutes = require('./Routes/inventory');
+const backInStockRoutes = require('./Routes/backInStock');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
+const pool = require("./db");
+const { seedRoles } = require("./Services/permissions");
+const { startReservationSweep } = require("./Services/stockReservations");
+const { sendStockNotifications } = require("./Services/stockNotifications");
+const createNotifier = require("./Services/notifier");
+const { startAttemptSweep } = require("./Services/loginThrottle");
+const { failInterruptedImportJobs, startImportJobSweep } = require("./Services/productImport");
+const { createImageStorage } = require("./Services/imageStorage");
+const { migrateUp } = require("./Services/migrations");
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// PostgreSQL Configuration (move to a config file for production)
-const pool = new pg.Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_DATABASE,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
-});
+// Behind a load balancer or reverse proxy every request comes from the
+// proxy's address, and login throttling keys on req.ip. Set TRUST_PROXY to
+// the number of proxies in front of the app, or to their addresses/subnets
+// (e.g. "loopback, 10.0.0.0/8"), so req.ip is read from X-Forwarded-For.
+// Unset, no proxy is trusted.
+function trustProxySetting(value) {
+  if (!value || value === "false") {
+    return false;
+  }
+  if (value === "true") {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value;
+}
+app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
 
 // Middleware
+// Catalog import files are far bigger than the default 100kb body limit, and
+// are read as text so a malformed file can be reported rather than rejected
+app.use("/api/products/import", express.text({ type: ["text/csv", "application/json"], limit: "20mb" }));
 app.use(express.json());
 app.use(helmet());
 app.use(cors());
 
+// Images kept by the "local" image storage. They're shown on other origins'
+// pages, which helmet's default resource policy would block.
+const imageStorage = createImageStorage();
+if (imageStorage.directory) {
+  app.use(
+    "/uploads",
+    express.static(imageStorage.directory, {
+      setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+    })
+  );
+}
+
 // Routes
 app.use("/auth", authRoutes(pool));
 app.use("/api", protectedRoutes(pool));
 app.use("/api/products", productRoutes(pool));
 app.use("/api/categories", categoryRoutes(pool));
 app.use('/api/cart', cartRoutes(pool));
+app.use('/api/wishlists', wishlistRoutes(pool));
 app.use('/api/orders', orderRoutes(pool));
+app.use('/api/users', userRoutes(pool));
+app.use('/api/roles', roleRoutes(pool));
+app.use('/api/promotions', promotionRoutes(pool));
+app.use('/api/shipping', shippingRoutes(pool));
+app.use('/api/taxes', taxRoutes(pool));
+app.use('/api/currencies', currencyRoutes(pool));
+app.use('/api/inventory', inventoryRoutes(pool));
+app.use('/api', reviewRoutes(pool)); // /api/products/:id/reviews and /api/reviews
+app.use('/api', backInStockRoutes(pool)); // /api/products/:id/back-in-stock and /api/back-in-stock
 
 // Serve Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
-// Start the server
-app.listen(port, () => {
-  console.log(`Server is listening on port ${port}`);
-});
-
-// Database setup (create table if it doesn't exist)
-async function createTables() {
+// Bring the database up to date before taking requests. Set
+// MIGRATE_ON_START=false to leave migrations to `npm run migrate -- up`.
+async function start() {
   try {
-    await pool.query(`
-        CREATE TABLE IF NOT EXISTS users (
-          id SERIAL PRIMARY KEY,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          password VARCHAR(255) NOT NULL,
-          role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'customer'))
-        );
+    if (process.env.MIGRATE_ON_START !== "false") {
+      const applied = await migrateUp(pool);
+      applied.forEach((migration) => console.log(`Applied migration ${migration.version}_${migration.name}`));
+    }
+    await seedRoles(pool);
+    await failInterruptedImportJobs(pool);
+  } catch (err) {
+    console.error("Error preparing the database:", err);
+    process.exit(1);
+  }
 
-        CREATE TABLE IF NOT EXISTS categories (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) UNIQUE NOT NULL,
-        description TEXT
-      );
+  app.listen(port, () => {
+    console.log(`Server is listening on port ${port}`);
+  });
 
-      CREATE TABLE IF NOT EXISTS products (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        price DECIMAL(10, 2) NOT NULL,
-        stock INTEGER NOT NULL,
-        category_id INTEGER REFERENCES categories(id) NOT NULL,  -- Foreign key
-        image_url TEXT NOT NULL
-      );
+  // Give expired cart reservations back to available stock, telling anyone
+  // waiting for the items they held
+  const notifier = createNotifier(pool);
+  startReservationSweep(pool, (released) => sendStockNotifications(pool, notifier, released));
 
-      CREATE TABLE IF NOT EXISTS carts (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER REFERENCES users(id) NOT NULL,
-          items JSONB DEFAULT '[]' -- Store cart items as JSON array
-        );
+  // Fail import jobs whose server stopped while running them
+  startImportJobSweep(pool);
 
-        CREATE TABLE IF NOT EXISTS orders (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER REFERENCES users(id) NOT NULL,
-          items JSONB NOT NULL, -- Store order items
-          total_price DECIMAL(10, 2) NOT NULL,
-          order_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-    console.log("Tables created or already exists.");
-  } catch (err) {
-    console.error("Error creating tables:", err);
-  }
+  // Forget login and signup counters once their window has passed
+  startAttemptSweep(pool);
 }
 
-createTables();
+start();
@@ -0,0 +1,105 @@
+const { addCartItem } = require("../Services/cart");
+
+const EXPIRES_AT = new Date("2026-10-19T12:15:00Z");
+
+// Answers the queries addCartItem (and the reserveStock it calls) makes from
+// one product, its variants, the user's cart and the stock free to reserve
+function fakeDb({ product = { price: "10.00", has_variants: false }, variants = {}, cart = null, stock = 5 } = {}) {
+  const queries = [];
+  const state = { cart };
+  return {
+    queries,
+    state,
+    async query(sql, params) {
+      queries.push(sql);
+      if (sql.startsWith("SELECT price, EXISTS")) {
+        return { rows: product ? [product] : [] };
+      }
+      if (sql.startsWith("SELECT price FROM product_variants")) {
+        return { rows: variants[params[0]] ? [variants[params[0]]] : [] };
+      }
+      if (sql.startsWith("SELECT stock")) {
+        return { rows: [{ stock }] };
+      }
+      if (sql.includes("FROM stock_reservations")) {
+        return { rows: [] };
+      }
+      if (sql.includes("INSERT INTO stock_reservations")) {
+        return { rows: [{ expires_at: EXPIRES_AT }] };
+      }
+      if (sql.startsWith("SELECT * FROM carts")) {
+        return { rows: state.cart ? [state.cart] : [] };
+      }
+      if (sql.startsWith("INSERT INTO carts")) {
+        state.cart = { user_id: params[0], items: [] };
+        return { rows: [state.cart] };
+      }
+      if (sql.startsWith("UPDATE carts")) {
+        state.cart.items = JSON.parse(params[0]);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+describe("addCartItem", () => {
+  test("creates the cart and holds the stock for a first item", async () => {
+    const db = fakeDb();
+    const result = await addCartItem(db, 7, { productId: 1, quantity: 2 });
+
+    expect(result).toEqual({ totalPrice: 20, reservedUntil: EXPIRES_AT });
+    expect(db.state.cart.items).toEqual([{ productId: 1, quantity: 2, price: 20 }]);
+  });
+
+  test("locks the cart row so it can't interleave with a checkout", async () => {
+    const db = fakeDb({ cart: { user_id: 7, items: [] } });
+    await addCartItem(db, 7, { productId: 1, quantity: 1 });
+
+    expect(db.queries.find((sql) => sql.startsWith("SELECT * FROM carts"))).toContain("FOR UPDATE");
+  });
+
+  test("adds to an existing line and reserves the whole line", async () => {
+    const db = fakeDb({ cart: { user_id: 7, items: [{ productId: 1, quantity: 2, price: 20 }] }, stock: 3 });
+    const result = await addCartItem(db, 7, { productId: 1, quantity: 1 });
+
+    expect(result.totalPrice).toBe(30);
+    expect(db.state.cart.items).toEqual([{ productId: 1, quantity: 3, price: 30 }]);
+
+    const tooMany = await addCartItem(db, 7, { productId: 1, quantity: 1 });
+    expect(tooMany).toEqual({ status: 409, error: "Only 3 of this item available" });
+    expect(db.state.cart.items[0].quantity).toBe(3);
+  });
+
+  test("prices a variant at its own price, or the product's when it has none", async () => {
+    const db = fakeDb({
+      product: { price: "10.00", has_variants: true },
+      variants: { 11: { price: "12.50" }, 12: { price: null } },
+    });
+    await addCartItem(db, 7, { productId: 1, variantId: 11, quantity: 2 });
+    await addCartItem(db, 7, { productId: 1, variantId: 12, quantity: 1 });
+
+    expect(db.state.cart.items).toEqual([
+      { productId: 1, variantId: 11, quantity: 2, price: 25 },
+      { productId: 1, variantId: 12, quantity: 1, price: 10 },
+    ]);
+  });
+
+  test("refuses missing products and variants, and products that need a variant", async () => {
+    expect(await addCartItem(fakeDb({ product: null }), 7, { productId: 1, quantity: 1 })).toEqual({
+      status: 404,
+      error: "Product not found",
+    });
+
+    const withVariants = fakeDb({ product: { price: "10.00", has_variants: true } });
+    expect(await addCartItem(withVariants, 7, { productId: 1, variantId: 99, quantity: 1 })).toEqual({
+      status: 404,
+      error: "Variant not found",
+    });
+    expect(await addCartItem(withVariants, 7, { productId: 1, quantity: 1 })).toEqual({
+      status: 400,
+      error: "This product comes in variants; choose one with variantId",
+    });
+    expect(withVariants.state.cart).toBeNull();
+  });
+});
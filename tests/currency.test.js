@@ -0,0 +1,51 @@
+const { resolveCurrency, roundCents, convertCents } = require("../Services/currency");
+
+const USD = { code: "USD", rate: 1, decimals: 2 };
+const EUR = { code: "EUR", rate: 0.9, decimals: 2 };
+const JPY = { code: "JPY", rate: 151.37, decimals: 0 };
+
+describe("roundCents", () => {
+  test("rounds to whole cents, half up", () => {
+    expect(roundCents(1234.4, USD)).toBe(1234);
+    expect(roundCents(1234.5, USD)).toBe(1235);
+  });
+
+  test("rounds to whole units for currencies without a minor unit", () => {
+    expect(roundCents(12349, JPY)).toBe(12300);
+    expect(roundCents(12350, JPY)).toBe(12400);
+  });
+});
+
+describe("convertCents", () => {
+  test("leaves base currency amounts alone", () => {
+    expect(convertCents(1999, USD)).toBe(1999);
+  });
+
+  test("converts at the rate and rounds to the currency's minor unit", () => {
+    expect(convertCents(1999, EUR)).toBe(1799); // 1799.1
+    expect(convertCents(1995, EUR)).toBe(1796); // 1795.5
+    expect(convertCents(1999, JPY)).toBe(302600); // 3025.89 yen
+  });
+});
+
+describe("resolveCurrency", () => {
+  const db = {
+    async query(sql, [code]) {
+      const rates = { EUR: "0.900000", JPY: "151.370000" };
+      return { rows: rates[code] ? [{ currency: code, rate: rates[code] }] : [] };
+    },
+  };
+
+  test("uses the base currency when no code is given", async () => {
+    expect(await resolveCurrency(db)).toEqual(USD);
+  });
+
+  test("looks up the rate and minor unit of other currencies", async () => {
+    expect(await resolveCurrency(db, "eur")).toEqual(EUR);
+    expect(await resolveCurrency(db, "JPY")).toEqual(JPY);
+  });
+
+  test("resolves to null for a currency without an exchange rate", async () => {
+    expect(await resolveCurrency(db, "GBP")).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+process.env.MAX_IMAGE_UPLOAD_BYTES = String(100 * 1024);
+
+const sharp = require("sharp");
+const { detectImageType, prepareImage, storeImage } = require("../Services/imageUploads");
+
+function makeImage(format, { width = 300, height = 200, orientation } = {}) {
+  let image = sharp({ create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } } }).toFormat(format);
+  if (orientation) {
+    image = image.withMetadata({ orientation });
+  }
+  return image.toBuffer();
+}
+
+// Keeps uploads in memory; uploads after the first `failAfter` throw
+function fakeStorage({ failAfter = Infinity } = {}) {
+  const files = new Map();
+  let uploads = 0;
+  return {
+    files,
+    async upload(data, { folder }) {
+      uploads += 1;
+      if (uploads > failAfter) {
+        throw new Error("Storage unavailable");
+      }
+      const key = `${folder}/${uploads}`;
+      files.set(key, data);
+      return { url: `https://cdn.example.com/${key}`, key };
+    },
+    async remove(key) {
+      files.delete(key);
+    },
+  };
+}
+
+describe("detectImageType", () => {
+  test("recognises JPEG, PNG and WebP by their leading bytes", async () => {
+    expect(detectImageType(await makeImage("jpeg"))).toBe("image/jpeg");
+    expect(detectImageType(await makeImage("png"))).toBe("image/png");
+    expect(detectImageType(await makeImage("webp"))).toBe("image/webp");
+    expect(detectImageType(Buffer.from("GIF89a"))).toBeNull();
+  });
+});
+
+describe("prepareImage", () => {
+  test("refuses files whose bytes don't match their declared type", async () => {
+    const png = await makeImage("png");
+
+    expect(await prepareImage({ data: png, contentType: "image/jpeg" })).toEqual({
+      status: 415,
+      error: "The file was sent as image/jpeg but is image/png",
+    });
+    expect(await prepareImage({ data: png, contentType: "image/gif" })).toEqual({
+      status: 415,
+      error: "Images must be JPEG, PNG or WebP",
+    });
+    expect(await prepareImage({ data: Buffer.from("not an image"), contentType: "image/png" })).toEqual({
+      status: 415,
+      error: "The file isn't a JPEG, PNG or WebP image",
+    });
+    expect(await prepareImage({ data: Buffer.alloc(0), contentType: "image/png" })).toEqual({
+      status: 400,
+      error: "The image is empty",
+    });
+  });
+
+  test("refuses files over the size limit", async () => {
+    expect(await prepareImage({ data: Buffer.alloc(100 * 1024 + 1), contentType: "image/png" })).toEqual({
+      status: 413,
+      error: "Images must be at most 100 KB",
+    });
+  });
+
+  test("turns images upright and strips their metadata", async () => {
+    // Orientation 6 means the stored pixels have to be turned a quarter clockwise
+    const data = await makeImage("jpeg", { width: 300, height: 200, orientation: 6 });
+    const { image } = await prepareImage({ data, contentType: "image/jpg" }, { withRenditions: false });
+
+    expect(image).toMatchObject({ contentType: "image/jpeg", width: 200, height: 300 });
+    const metadata = await sharp(image.data).metadata();
+    expect(metadata.orientation).toBeUndefined();
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  test("makes renditions without enlarging small images", async () => {
+    const { renditions } = await prepareImage({ data: await makeImage("png", { width: 1000, height: 500 }), contentType: "image/png" });
+
+    expect(renditions.thumbnail).toMatchObject({ width: 200, height: 200 });
+    expect(renditions.medium).toMatchObject({ width: 800, height: 400 });
+    expect(renditions.large).toMatchObject({ width: 1000, height: 500 });
+  });
+});
+
+describe("storeImage", () => {
+  test("stores the image and its renditions", async () => {
+    const storage = fakeStorage();
+    const stored = await storeImage(storage, { data: await makeImage("webp"), contentType: "image/webp" });
+
+    expect(stored.url).toBe("https://cdn.example.com/products/1");
+    expect(Object.keys(stored.renditions)).toEqual(["thumbnail", "medium", "large"]);
+    expect(stored.keys).toEqual(["products/1", "products/thumbnail/2", "products/medium/3", "products/large/4"]);
+    expect(storage.files.size).toBe(4);
+  });
+
+  test("reads base64 data URIs", async () => {
+    const data = await makeImage("png");
+    const stored = await storeImage(fakeStorage(), `data:image/png;base64,${data.toString("base64")}`, { withRenditions: false });
+
+    expect(stored.keys).toEqual(["products/1"]);
+  });
+
+  test("leaves nothing in storage when an upload fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const storage = fakeStorage({ failAfter: 2 });
+    const stored = await storeImage(storage, { data: await makeImage("png"), contentType: "image/png" });
+
+    expect(stored).toEqual({ status: 502, error: "Failed to upload the image" });
+    expect(storage.files.size).toBe(0);
+    console.error.mockRestore();
+  });
+
+  test("refuses image URLs that point at the server's own network", async () => {
+    const refused = { status: 400, error: "Image URLs must point to a public address" };
+
+    for (const url of [
+      "http://127.0.0.1/image.png",
+      "http://localhost/image.png",
+      "http://10.1.2.3/image.png",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/image.png",
+      "http://[::ffff:127.0.0.1]/image.png",
+      "http://[fd00::1]/image.png",
+    ]) {
+      expect(await storeImage(fakeStorage(), url)).toEqual(refused);
+    }
+  });
+
+  test("only takes files, data URIs and http(s) URLs", async () => {
+    expect(await storeImage(fakeStorage(), "file:///etc/passwd")).toEqual({
+      status: 400,
+      error: "Images must be uploaded as a file, or given as a base64 data URI or an http(s) URL",
+    });
+  });
+});
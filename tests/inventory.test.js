@@ -0,0 +1,102 @@
+const { recordMovement, setStockLevel } = require("../Services/inventory");
+
+// Keeps products' and variants' stock and the movements appended to the ledger
+function fakeDb({ products = { 1: 5 }, variants = {} } = {}) {
+  const movements = [];
+  return {
+    products,
+    variants,
+    movements,
+    async query(sql, params) {
+      if (sql.startsWith("SELECT stock FROM product_variants")) {
+        const variant = variants[params[0]];
+        return { rows: variant && variant.productId === params[1] ? [{ stock: variant.stock }] : [] };
+      }
+      if (sql.startsWith("SELECT stock FROM products")) {
+        return { rows: products[params[0]] === undefined ? [] : [{ stock: products[params[0]] }] };
+      }
+      if (sql.startsWith("UPDATE product_variants")) {
+        variants[params[1]].stock = params[0];
+        return { rows: [] };
+      }
+      if (sql.startsWith("UPDATE products")) {
+        products[params[1]] = params[0];
+        return { rows: [] };
+      }
+      if (sql.startsWith("INSERT INTO stock_movements")) {
+        const [productId, variantId, type, quantity, balanceAfter, reason, reference, orderId, actorId] = params;
+        const movement = { productId, variantId, type, quantity, balanceAfter, reason, reference, orderId, actorId };
+        movements.push(movement);
+        return { rows: [movement] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+describe("recordMovement", () => {
+  test("changes the stock and appends the movement with the new balance", async () => {
+    const db = fakeDb();
+    const result = await recordMovement(db, { productId: 1, type: "receipt", quantity: 10, reference: "DN-42", actorId: 3 });
+
+    expect(db.products[1]).toBe(15);
+    expect(result.movement).toMatchObject({ type: "receipt", quantity: 10, balanceAfter: 15, reference: "DN-42", actorId: 3 });
+    expect(db.movements).toHaveLength(1);
+  });
+
+  test("changes a variant's stock rather than its product's", async () => {
+    const db = fakeDb({ variants: { 7: { productId: 1, stock: 2 } } });
+    await recordMovement(db, { productId: 1, variantId: 7, type: "sale", quantity: -2, orderId: 12 });
+
+    expect(db.variants[7].stock).toBe(0);
+    expect(db.products[1]).toBe(5);
+    expect(db.movements[0]).toMatchObject({ variantId: 7, quantity: -2, balanceAfter: 0, orderId: 12 });
+  });
+
+  test("never takes the stock below zero", async () => {
+    const db = fakeDb();
+    const result = await recordMovement(db, { productId: 1, type: "adjustment", quantity: -6 });
+
+    expect(result).toEqual({ status: 409, error: "Only 5 in stock; can't take away 6" });
+    expect(db.products[1]).toBe(5);
+    expect(db.movements).toEqual([]);
+  });
+
+  test("refuses missing products and variants of other products", async () => {
+    const db = fakeDb({ variants: { 7: { productId: 2, stock: 2 } } });
+
+    expect(await recordMovement(db, { productId: 9, type: "receipt", quantity: 1 })).toEqual({
+      status: 404,
+      error: "Product not found",
+    });
+    expect(await recordMovement(db, { productId: 1, variantId: 7, type: "receipt", quantity: 1 })).toEqual({
+      status: 404,
+      error: "Variant not found",
+    });
+    expect(db.movements).toEqual([]);
+  });
+});
+
+describe("setStockLevel", () => {
+  test("records the difference as a single correction", async () => {
+    const db = fakeDb();
+    const result = await setStockLevel(db, { productId: 1 }, 2, { reason: "Stocktake" });
+
+    expect(db.products[1]).toBe(2);
+    expect(result.movement).toMatchObject({ type: "correction", quantity: -3, balanceAfter: 2, reason: "Stocktake" });
+  });
+
+  test("records nothing when the stock is already at the level", async () => {
+    const db = fakeDb();
+
+    expect(await setStockLevel(db, { productId: 1 }, 5)).toEqual({ movement: null });
+    expect(db.movements).toEqual([]);
+  });
+
+  test("records the movement type it's given", async () => {
+    const db = fakeDb({ variants: { 7: { productId: 1, stock: 0 } } });
+    const result = await setStockLevel(db, { productId: 1, variantId: 7 }, 4, { type: "receipt" });
+
+    expect(result.movement).toMatchObject({ variantId: 7, type: "receipt", quantity: 4 });
+  });
+});
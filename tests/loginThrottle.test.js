@@ -0,0 +1,130 @@
+process.env.ATTEMPT_STORE = "memory";
+process.env.LOGIN_LOCKOUT_MINUTES = "5";
+
+const createLoginThrottle = require("../Services/loginThrottle");
+const { createMemoryAttemptStore } = require("../Services/attemptStore");
+
+const MINUTE = 60 * 1000;
+
+// Collects the audit log entries the throttle writes
+function fakePool() {
+  const audits = [];
+  return {
+    audits,
+    async query(sql, params) {
+      audits.push({ event: params[0], subject: params[2] });
+      return { rows: [] };
+    },
+  };
+}
+
+async function fail(throttle, email, ip, times) {
+  for (let i = 0; i < times; i++) {
+    await throttle.loginFailed(email, ip);
+  }
+}
+
+describe("createLoginThrottle", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T12:00:00Z") });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("lets a few failures through, then doubles the wait", async () => {
+    const throttle = createLoginThrottle(fakePool());
+
+    await fail(throttle, "slow@example.com", "10.0.0.1", 3);
+    expect(await throttle.loginRetryAfter("slow@example.com", "10.0.0.1")).toBe(0);
+
+    await fail(throttle, "slow@example.com", "10.0.0.1", 1);
+    expect(await throttle.loginRetryAfter("slow@example.com", "10.0.0.1")).toBe(1);
+
+    await fail(throttle, "slow@example.com", "10.0.0.1", 2);
+    expect(await throttle.loginRetryAfter("slow@example.com", "10.0.0.1")).toBe(4);
+  });
+
+  test("locks an account out after ten failures and audits it once", async () => {
+    const pool = fakePool();
+    const throttle = createLoginThrottle(pool);
+
+    await fail(throttle, "Locked@example.com", "10.0.0.2", 10);
+
+    expect(await throttle.loginRetryAfter("locked@example.com", "10.0.0.3")).toBe(300);
+    expect(pool.audits).toEqual([{ event: "account_locked", subject: "locked@example.com" }]);
+  });
+
+  test("locks the account again on the next failure after a lockout ends", async () => {
+    const pool = fakePool();
+    const throttle = createLoginThrottle(pool);
+
+    await fail(throttle, "again@example.com", "10.0.0.4", 10);
+    jest.advanceTimersByTime(5 * MINUTE + 1000);
+    expect(await throttle.loginRetryAfter("again@example.com", "10.0.0.5")).toBe(0);
+
+    await fail(throttle, "again@example.com", "10.0.0.4", 1);
+
+    expect(await throttle.loginRetryAfter("again@example.com", "10.0.0.5")).toBe(300);
+    expect(pool.audits).toHaveLength(1);
+  });
+
+  test("forgets an account's failures on a good password or an unlock", async () => {
+    const throttle = createLoginThrottle(fakePool());
+
+    await fail(throttle, "forgiven@example.com", "10.0.0.6", 10);
+    await throttle.unlockAccount("forgiven@example.com");
+    expect(await throttle.loginRetryAfter("forgiven@example.com", "10.0.0.7")).toBe(0);
+
+    await fail(throttle, "forgiven@example.com", "10.0.0.6", 5);
+    await throttle.loginSucceeded("forgiven@example.com");
+    expect(await throttle.loginRetryAfter("forgiven@example.com", "10.0.0.7")).toBe(0);
+  });
+
+  test("stops an address signing up more than ten times an hour", async () => {
+    const throttle = createLoginThrottle(fakePool());
+
+    for (let i = 0; i < 10; i++) {
+      expect(await throttle.signupRetryAfter("10.0.0.8")).toBe(0);
+    }
+    expect(await throttle.signupRetryAfter("10.0.0.8")).toBe(3600);
+
+    jest.advanceTimersByTime(60 * MINUTE + 1000);
+    expect(await throttle.signupRetryAfter("10.0.0.8")).toBe(0);
+  });
+});
+
+describe("createMemoryAttemptStore", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T12:00:00Z") });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("restarts the count once the window has passed", async () => {
+    const store = createMemoryAttemptStore();
+
+    await store.increment("key", MINUTE);
+    expect((await store.increment("key", MINUTE)).count).toBe(2);
+
+    jest.advanceTimersByTime(MINUTE);
+    expect((await store.increment("key", MINUTE)).count).toBe(1);
+  });
+
+  test("prunes expired counters but keeps blocked and current ones", async () => {
+    const store = createMemoryAttemptStore();
+    await store.increment("expired", MINUTE);
+    await store.increment("blocked", MINUTE);
+    await store.block("blocked", new Date(Date.now() + 10 * MINUTE));
+    jest.advanceTimersByTime(2 * MINUTE);
+    await store.increment("current", MINUTE);
+
+    expect(await store.prune(MINUTE)).toBe(1);
+    expect(await store.get("expired")).toBeNull();
+    expect(await store.get("blocked")).not.toBeNull();
+    expect(await store.get("current")).toEqual({ count: 1, blockedUntil: null });
+  });
+});
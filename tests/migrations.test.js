@@ -0,0 +1,197 @@
+const fs = require("fs");
+const path = require("path");
+const { migrateUp, migrateDown, migrationStatus, createMigration } = require("../Services/migrations");
+const initialSchema = require("../migrations/20261019000000_initial_schema");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+// The migrations in migrations/, oldest first
+const VERSIONS = fs
+  .readdirSync(MIGRATIONS_DIR)
+  .filter((file) => /^\d{14}_[a-z0-9_]+\.js$/.test(file))
+  .sort()
+  .map((file) => file.slice(0, 14));
+
+// A pool whose single client answers schema_migrations from `applied` (kept
+// up to date as migrations run) and records every statement; statements
+// containing `failOn` throw
+function fakePool({ applied = [], failOn } = {}) {
+  const statements = [];
+  const rows = applied.map((version) => ({ version, name: `migration_${version}`, applied_at: new Date() }));
+  const client = {
+    released: false,
+    async query(sql, params) {
+      statements.push(sql.trim());
+      if (failOn && sql.includes(failOn)) {
+        throw new Error("relation does not exist");
+      }
+      if (sql.startsWith("SELECT version, name, applied_at FROM schema_migrations")) {
+        return { rows: [...rows] };
+      }
+      if (sql.startsWith("INSERT INTO schema_migrations")) {
+        rows.push({ version: params[0], name: params[1], applied_at: new Date() });
+      }
+      if (sql.startsWith("DELETE FROM schema_migrations")) {
+        rows.splice(rows.findIndex((row) => row.version === params[0]), 1);
+      }
+      return { rows: [] };
+    },
+    release() {
+      client.released = true;
+    },
+  };
+  return {
+    client,
+    statements,
+    applied: rows,
+    async connect() {
+      return client;
+    },
+  };
+}
+
+describe("migrateUp", () => {
+  test("applies the pending migrations oldest first, each in its own transaction, under the lock", async () => {
+    const pool = fakePool({ applied: [VERSIONS[0]] });
+
+    const migrations = await migrateUp(pool);
+
+    expect(migrations.map((migration) => migration.version)).toEqual(VERSIONS.slice(1));
+    expect(pool.applied.map((row) => row.version)).toEqual(VERSIONS);
+    expect(pool.statements[0]).toBe("SELECT pg_advisory_lock($1)");
+    expect(pool.statements[pool.statements.length - 1]).toBe("SELECT pg_advisory_unlock($1)");
+    expect(pool.statements.filter((sql) => sql === "BEGIN")).toHaveLength(VERSIONS.length - 1);
+    expect(pool.statements.filter((sql) => sql === "COMMIT")).toHaveLength(VERSIONS.length - 1);
+    expect(pool.client.released).toBe(true);
+  });
+
+  test("stops at the version given with `to`", async () => {
+    const pool = fakePool();
+
+    const migrations = await migrateUp(pool, { to: VERSIONS[1] });
+
+    expect(migrations.map((migration) => migration.version)).toEqual(VERSIONS.slice(0, 2));
+  });
+
+  test("does nothing once every migration is applied", async () => {
+    const pool = fakePool({ applied: VERSIONS });
+
+    expect(await migrateUp(pool)).toEqual([]);
+    expect(pool.statements).not.toContain("BEGIN");
+  });
+
+  test("rolls back a failing migration, leaves the rest pending and releases the lock", async () => {
+    const pool = fakePool({ applied: [VERSIONS[0]], failOn: "ADD COLUMN heartbeat_at" });
+
+    await expect(migrateUp(pool)).rejects.toThrow(
+      /^Migration \d{14}_add_import_job_heartbeats failed going up: relation does not exist$/
+    );
+    expect(pool.applied.map((row) => row.version)).toEqual([VERSIONS[0]]);
+    expect(pool.statements.slice(-2)).toEqual(["ROLLBACK", "SELECT pg_advisory_unlock($1)"]);
+    expect(pool.client.released).toBe(true);
+  });
+});
+
+describe("migrateDown", () => {
+  test("reverts the newest migrations first", async () => {
+    const pool = fakePool({ applied: VERSIONS });
+
+    const reverted = await migrateDown(pool, { steps: 2 });
+
+    expect(reverted.map((migration) => migration.version)).toEqual(VERSIONS.slice(-2).reverse());
+    expect(pool.applied.map((row) => row.version)).toEqual(VERSIONS.slice(0, -2));
+  });
+
+  test("refuses, before reverting anything, when an applied migration's file is gone", async () => {
+    const pool = fakePool({ applied: [...VERSIONS, "29990101000000"] });
+
+    await expect(migrateDown(pool, { steps: 2 })).rejects.toThrow(
+      "Can't revert 29990101000000_migration_29990101000000: its file is missing from migrations/"
+    );
+    expect(pool.statements).not.toContain("BEGIN");
+  });
+
+  test("won't revert the initial schema", async () => {
+    const pool = fakePool({ applied: [VERSIONS[0]] });
+
+    await expect(migrateDown(pool)).rejects.toThrow("The initial schema can't be reverted");
+    expect(pool.applied).toHaveLength(1);
+  });
+});
+
+describe("migrationStatus", () => {
+  test("lists every migration, pending, applied or missing its file", async () => {
+    const pool = fakePool({ applied: [VERSIONS[0], "29990101000000"] });
+
+    const status = await migrationStatus(pool);
+
+    expect(status.map(({ version, applied_at, missing }) => [version, applied_at !== null, missing])).toEqual([
+      [VERSIONS[0], true, false],
+      ...VERSIONS.slice(1).map((version) => [version, false, false]),
+      ["29990101000000", true, true],
+    ]);
+  });
+});
+
+describe("createMigration", () => {
+  const created = [];
+
+  afterEach(() => {
+    created.splice(0).forEach((file) => fs.rmSync(file));
+  });
+
+  test("adds an empty migration named after the current time", async () => {
+    const file = await createMigration("Add products barcode!");
+    created.push(file);
+
+    expect(path.dirname(file)).toBe(MIGRATIONS_DIR);
+    expect(path.basename(file)).toMatch(/^\d{14}_add_products_barcode\.js$/);
+    expect(path.basename(file).slice(0, 14) >= VERSIONS[VERSIONS.length - 1]).toBe(true);
+    expect(Object.keys(require(file))).toEqual(["up", "down"]);
+  });
+
+  test("needs a name", async () => {
+    await expect(createMigration(" !! ")).rejects.toThrow("Give the migration a name, e.g. add_products_barcode");
+  });
+});
+
+describe("the initial schema", () => {
+  // Records the statements run, answering the role inserts as though the
+  // roles in `existing` were already there
+  function recordingDb(existing) {
+    const calls = [];
+    return {
+      calls,
+      async query(sql, params) {
+        calls.push({ sql, params });
+        if (sql.startsWith("INSERT INTO roles")) {
+          return { rows: existing.includes(params[0]) ? [] : [{ name: params[0] }] };
+        }
+        return { rows: [] };
+      },
+    };
+  }
+
+  const grants = (db) =>
+    db.calls.filter((call) => call.sql.startsWith("INSERT INTO role_permissions")).map((call) => call.params);
+
+  test("creates the built-in roles with their permissions", async () => {
+    const db = recordingDb([]);
+
+    await initialSchema.up(db);
+
+    expect(grants(db)).toEqual([
+      ["admin", expect.arrayContaining(["roles:manage", "inventory:manage", "admin_panel:access"])],
+      ["customer", ["customer_dashboard:access"]],
+    ]);
+    expect(grants(db)[0][1]).toHaveLength(17);
+  });
+
+  test("leaves an existing customer role's permissions alone but always completes the admin role", async () => {
+    const db = recordingDb(["admin", "customer"]);
+
+    await initialSchema.up(db);
+
+    expect(grants(db).map(([role]) => role)).toEqual(["admin"]);
+  });
+});
@@ -0,0 +1,150 @@
+const { priceOrder } = require("../Services/pricing");
+
+const USD = { code: "USD", rate: 1, decimals: 2 };
+const ADDRESS = { country: "us", region: "ca" };
+
+function line(unitCents, quantity = 1, weightGrams = 0) {
+  return { productId: 1, variantId: null, categoryId: 1, quantity, unitCents, weightGrams };
+}
+
+function rate(fields) {
+  return { zone_id: 1, type: "flat", per_kg: null, free_over: null, ...fields };
+}
+
+// Answers the queries priceOrder makes from one shipping zone's rates, the
+// tax rate (if any) and the promotions
+function fakeDb({ rates = [rate({ id: 1, name: "Standard", amount: "5.00" })], taxRate = null, promotions = [], zone = true }) {
+  return {
+    async query(sql) {
+      if (sql.includes("FROM promotions")) {
+        return { rows: promotions };
+      }
+      if (sql.includes("FROM shipping_zones")) {
+        return { rows: zone ? [{ id: 1, name: "Domestic" }] : [] };
+      }
+      if (sql.includes("FROM shipping_rates")) {
+        return { rows: rates };
+      }
+      if (sql.includes("FROM tax_rates")) {
+        return { rows: taxRate ? [taxRate] : [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+function taxRate(rate, appliesToShipping = false) {
+  return { name: "Sales tax", rate, applies_to_shipping: appliesToShipping };
+}
+
+function price(db, lines, options = {}) {
+  return priceOrder(db, { lines, userId: 1, currency: USD, address: ADDRESS, ...options });
+}
+
+describe("priceOrder", () => {
+  afterEach(() => {
+    delete process.env.PRICES_INCLUDE_TAX;
+  });
+
+  test("adds shipping and tax on top of the goods", async () => {
+    const result = await price(fakeDb({ taxRate: taxRate("20.000") }), [line(10000)]);
+
+    expect(result.subtotal).toBe(100);
+    expect(result.shipping).toMatchObject({ zone: "Domestic", rateId: 1, amount: 5 });
+    expect(result.tax).toEqual({ name: "Sales tax", rate: 20, inclusive: false, amount: 20 });
+    expect(result.total).toBe(125);
+  });
+
+  test("taxes shipping when the tax rate says so", async () => {
+    const result = await price(fakeDb({ taxRate: taxRate("20.000", true) }), [line(10000)]);
+
+    expect(result.tax.amount).toBe(21);
+    expect(result.total).toBe(126);
+  });
+
+  test("rounds tax to the cent", async () => {
+    const result = await price(fakeDb({ taxRate: taxRate("8.250") }), [line(1999)]);
+
+    expect(result.tax.amount).toBe(1.65); // 1.649175
+    expect(result.total).toBe(26.64);
+  });
+
+  test("only shows the tax already in the prices when they include it", async () => {
+    process.env.PRICES_INCLUDE_TAX = "true";
+    const result = await price(fakeDb({ taxRate: taxRate("20.000") }), [line(12000)]);
+
+    expect(result.tax).toMatchObject({ inclusive: true, amount: 20 });
+    expect(result.total).toBe(125);
+  });
+
+  test("rounds inclusive tax to the cent", async () => {
+    process.env.PRICES_INCLUDE_TAX = "true";
+    const result = await price(fakeDb({ taxRate: taxRate("20.000") }), [line(999)]);
+
+    expect(result.tax.amount).toBe(1.67); // 9.99 - 9.99 / 1.2 = 1.665
+    expect(result.total).toBe(14.99);
+  });
+
+  test("ships free at or over a free_over threshold", async () => {
+    const rates = [rate({ id: 1, name: "Standard", type: "free_over", amount: "5.00", free_over: "50.00" })];
+
+    const over = await price(fakeDb({ rates }), [line(5000)]);
+    expect(over.shipping.amount).toBe(0);
+
+    const under = await price(fakeDb({ rates }), [line(4999)]);
+    expect(under.shipping.amount).toBe(5);
+  });
+
+  test("measures the free_over threshold after discounts", async () => {
+    const rates = [rate({ id: 1, name: "Standard", type: "free_over", amount: "5.00", free_over: "50.00" })];
+    const promotions = [
+      {
+        id: 1,
+        code: null,
+        name: "Ten off",
+        type: "percentage",
+        value: "10.00",
+        active: true,
+        min_order_value: null,
+        usage_limit: null,
+        per_customer_limit: null,
+        product_ids: [],
+        category_ids: [],
+        times_redeemed: 0,
+      },
+    ];
+    const result = await price(fakeDb({ rates, promotions }), [line(5500)]);
+
+    expect(result.discountTotal).toBe(5.5);
+    expect(result.shipping.amount).toBe(5);
+    expect(result.total).toBe(54.5);
+  });
+
+  test("charges weight-based rates per started kilogram", async () => {
+    const rates = [rate({ id: 1, name: "Freight", type: "weight", amount: "4.00", per_kg: "1.50" })];
+    const result = await price(fakeDb({ rates }), [line(1000, 3, 500)]);
+
+    expect(result.shipping).toMatchObject({ weightGrams: 1500, amount: 7 });
+  });
+
+  test("picks the cheapest shipping option unless one is chosen", async () => {
+    const rates = [rate({ id: 1, name: "Express", amount: "15.00" }), rate({ id: 2, name: "Standard", amount: "5.00" })];
+
+    const cheapest = await price(fakeDb({ rates }), [line(1000)]);
+    expect(cheapest.shipping.rateId).toBe(2);
+    expect(cheapest.shippingOptions.map((option) => option.rateId)).toEqual([2, 1]);
+
+    const chosen = await price(fakeDb({ rates }), [line(1000)], { shippingRateId: 1 });
+    expect(chosen.shipping.rateId).toBe(1);
+    expect(chosen.total).toBe(25);
+
+    const missing = await price(fakeDb({ rates }), [line(1000)], { shippingRateId: 3 });
+    expect(missing).toEqual({ error: "That shipping option isn't available for this address" });
+  });
+
+  test("refuses addresses outside every shipping zone", async () => {
+    const result = await price(fakeDb({ zone: false }), [line(1000)]);
+
+    expect(result).toEqual({ error: "We don't ship to US, CA" });
+  });
+});
@@ -0,0 +1,260 @@
+const {
+  readImportFile,
+  runImportJob,
+  failInterruptedImportJobs,
+  startImportJobSweep,
+} = require("../Services/productImport");
+
+const CATEGORIES = [
+  { id: 1, name: "Home", parent_id: null },
+  { id: 2, name: "Lighting", parent_id: 1 },
+  { id: 3, name: "Garden", parent_id: null },
+  { id: 4, name: "Lighting", parent_id: 3 },
+  { id: 5, name: "Books", parent_id: null },
+];
+
+const row = (number, fields) => ({ row: number, fields });
+
+const NEW_LAMP = { sku: "LAMP-1", name: "Lamp", price: "19.99", category: "Home > Lighting", image_url: "https://img.test/lamp.png" };
+
+// Answers runImportJob's lookups from `products` (by SKU and id) and
+// `variantSkus`, recording the job updates; clients record what each row ran
+// and fail inserting the SKUs in `taken` as a unique violation
+function fakePool({ products = [], variantSkus = [], taken = [] } = {}) {
+  const jobUpdates = [];
+  const transactions = [];
+  let nextId = 100;
+  return {
+    jobUpdates,
+    transactions,
+    async query(sql, params) {
+      if (sql.includes("import_jobs")) {
+        jobUpdates.push({ sql, params });
+        return { rows: [], rowCount: 0 };
+      }
+      if (sql.startsWith("SELECT id, sku FROM products")) {
+        return { rows: products.filter((product) => params[0].includes(product.sku)) };
+      }
+      if (sql.startsWith("SELECT id FROM products")) {
+        return { rows: products.filter((product) => params[0].includes(product.id)) };
+      }
+      if (sql.startsWith("SELECT sku FROM product_variants")) {
+        return { rows: variantSkus.filter((sku) => params[0].includes(sku)).map((sku) => ({ sku })) };
+      }
+      if (sql.includes("FROM categories")) {
+        return { rows: CATEGORIES };
+      }
+      // Stock notification lookups: nothing to notify
+      return { rows: [] };
+    },
+    async connect() {
+      const statements = [];
+      transactions.push(statements);
+      return {
+        async query(sql, params) {
+          statements.push(sql);
+          if (sql.startsWith("INSERT INTO products")) {
+            if (taken.includes(params[0])) {
+              throw Object.assign(new Error("duplicate key"), { code: "23505" });
+            }
+            return { rows: [{ id: nextId++ }] };
+          }
+          if (sql.includes("AS next_position")) {
+            return { rows: [{ next_position: 0, count: 0 }] };
+          }
+          if (sql.startsWith("INSERT INTO product_images")) {
+            return { rows: [{ id: 1 }] };
+          }
+          if (sql.startsWith("SELECT stock FROM products")) {
+            return { rows: [{ stock: 0 }] };
+          }
+          return { rows: [] };
+        },
+        release() {},
+      };
+    },
+  };
+}
+
+// The counts and errors the job finished with
+function outcome(pool) {
+  const progress = pool.jobUpdates.filter((update) => update.sql.includes("processed_rows = $2")).pop();
+  const finished = pool.jobUpdates[pool.jobUpdates.length - 1];
+  const [, processed, created, updated, errorCount] = progress.params;
+  return {
+    status: finished.sql.match(/status = '(\w+)'/)[1],
+    processed,
+    created,
+    updated,
+    errorCount,
+    errors: finished.sql.includes("'completed'") ? JSON.parse(finished.params[1]) : null,
+  };
+}
+
+describe("readImportFile", () => {
+  test("reads a CSV file, numbering rows from the first product and leaving out blank cells", () => {
+    const csv = "SKU,Name,Price,Stock\r\nA-1, Lamp ,19.99,\r\n\r\nA-2,\"Desk, oak\",'=5,3\r\n";
+
+    expect(readImportFile("csv", csv)).toEqual({
+      rows: [
+        { row: 1, fields: { sku: "A-1", name: "Lamp", price: "19.99" } },
+        { row: 2, fields: { sku: "A-2", name: "Desk, oak", price: "=5", stock: "3" } },
+      ],
+    });
+  });
+
+  test("reads a JSON array or a { products } object", () => {
+    const expected = { rows: [{ row: 1, fields: { sku: "A-1", price: "19.99" } }] };
+
+    expect(readImportFile("json", '[{ "sku": "A-1", "price": 19.99, "name": null }]')).toEqual(expected);
+    expect(readImportFile("json", '{ "products": [{ "sku": "A-1", "price": 19.99 }] }')).toEqual(expected);
+  });
+
+  test("refuses files it can't read, unknown columns and empty files", () => {
+    expect(readImportFile("json", "[{")).toEqual({ error: expect.stringMatching(/^Couldn't read the JSON file: /) });
+    expect(readImportFile("json", '{ "sku": "A-1" }')).toEqual({
+      error: 'Couldn\'t read the JSON file: expected an array of product objects, or { "products": [...] }',
+    });
+    expect(readImportFile("csv", '"A-1,Lamp')).toEqual({ error: expect.stringMatching(/^Couldn't read the CSV file: /) });
+    expect(readImportFile("csv", "sku,colour\nA-1,red")).toEqual({
+      error: expect.stringMatching(/^Unknown column\(s\): colour\. Columns are: id, sku, name/),
+    });
+    expect(readImportFile("csv", "sku,name\n")).toEqual({ error: "The file has no products in it" });
+    expect(readImportFile("json", "[]")).toEqual({ error: "The file has no products in it" });
+  });
+});
+
+describe("runImportJob", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("on a dry run, counts what would change and reports bad rows without writing", async () => {
+    const pool = fakePool({ products: [{ id: 7, sku: "DESK-1" }, { id: 8, sku: null }], variantSkus: ["SHIRT-M"] });
+    const rows = [
+      row(1, NEW_LAMP),
+      row(2, { sku: "DESK-1", price: "250" }),
+      row(3, { id: "8", stock: "4" }),
+      row(4, { sku: "NEW-2", name: "Chair" }),
+      row(5, { sku: "DESK-1", stock: "-1" }),
+      row(6, { ...NEW_LAMP, sku: "SHIRT-M" }),
+      row(7, { ...NEW_LAMP, sku: "LAMP-2", category: "Lighting" }),
+      row(8, { id: "9" }),
+    ];
+
+    await runImportJob(pool, null, 1, rows, { dryRun: true, actorId: 3 });
+
+    expect(pool.transactions).toEqual([]);
+    expect(outcome(pool)).toEqual({
+      status: "completed",
+      processed: 8,
+      created: 1,
+      updated: 2,
+      errorCount: 8,
+      errors: [
+        { row: 4, sku: "NEW-2", field: "price", message: "price is required for new products" },
+        { row: 4, sku: "NEW-2", field: "category", message: "category is required for new products" },
+        { row: 4, sku: "NEW-2", field: "image_url", message: "image_url is required for new products" },
+        { row: 5, sku: "DESK-1", field: "stock", message: "Stock must be a non-negative integer" },
+        { row: 5, sku: "DESK-1", field: "sku", message: "SKU appears more than once in the file" },
+        { row: 6, sku: "SHIRT-M", field: "sku", message: "SKU belongs to a product variant; variants can't be imported" },
+        {
+          row: 7,
+          sku: "LAMP-2",
+          field: "category",
+          message: 'More than one category is called "Lighting"; give its full path ("Home > Lighting" or "Garden > Lighting") or its id',
+        },
+        { row: 8, sku: null, field: "id", message: "No product with id 9; new products need a SKU" },
+      ],
+    });
+  });
+
+  test("applies each row in a transaction of its own, skipping the ones that fail", async () => {
+    const pool = fakePool({ products: [{ id: 7, sku: "DESK-1" }], taken: ["LAMP-2"] });
+    const rows = [
+      row(1, { ...NEW_LAMP, stock: "5" }),
+      row(2, { ...NEW_LAMP, sku: "LAMP-2" }),
+      row(3, { sku: "DESK-1", price: "250" }),
+    ];
+
+    await runImportJob(pool, null, 1, rows, { dryRun: false, actorId: 3 });
+
+    expect(pool.transactions.map((statements) => [statements[0], statements[statements.length - 1]])).toEqual([
+      ["BEGIN", "COMMIT"],
+      ["BEGIN", "ROLLBACK"],
+      ["BEGIN", "COMMIT"],
+    ]);
+    expect(pool.transactions[0]).toContainEqual(expect.stringMatching(/^INSERT INTO stock_movements/));
+    expect(outcome(pool)).toMatchObject({
+      status: "completed",
+      processed: 3,
+      created: 1,
+      updated: 1,
+      errors: [{ row: 2, sku: "LAMP-2", field: null, message: "SKU is already in use" }],
+    });
+  });
+
+  test("marks the job failed when it can't carry on", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const pool = fakePool();
+    const query = pool.query;
+    pool.query = async (sql, params) => {
+      if (sql.includes("FROM categories")) {
+        throw new Error("connection lost");
+      }
+      return query(sql, params);
+    };
+
+    await expect(runImportJob(pool, null, 1, [row(1, NEW_LAMP)], { dryRun: true })).resolves.toBeUndefined();
+
+    const failed = pool.jobUpdates[pool.jobUpdates.length - 1];
+    expect(failed.sql).toContain("status = 'failed'");
+    expect(failed.params.slice(2, 6)).toEqual([0, 0, 0, 0]);
+  });
+});
+
+describe("failInterruptedImportJobs", () => {
+  test("fails queued and running jobs whose heartbeat has stopped", async () => {
+    const db = { query: jest.fn(async () => ({ rowCount: 2 })) };
+
+    expect(await failInterruptedImportJobs(db)).toBe(2);
+    expect(db.query.mock.calls[0][0]).toContain("status IN ('queued', 'running') AND heartbeat_at <");
+    expect(db.query.mock.calls[0][1]).toEqual([120]);
+  });
+});
+
+describe("startImportJobSweep", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("fails interrupted jobs every interval, logging how many it found", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const counts = [1, 0];
+    const db = { query: jest.fn(async () => ({ rowCount: counts.shift() })) };
+
+    const timer = startImportJobSweep(db, 1000);
+    await jest.advanceTimersByTimeAsync(2000);
+    clearInterval(timer);
+
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(console.log.mock.calls).toEqual([["Marked 1 interrupted import job(s) failed"]]);
+  });
+
+  test("logs failures and keeps sweeping", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const db = { query: jest.fn(async () => Promise.reject(new Error("connection lost"))) };
+
+    const timer = startImportJobSweep(db, 1000);
+    await jest.advanceTimersByTimeAsync(2000);
+    clearInterval(timer);
+
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,192 @@
+const { calculateDiscounts } = require("../Services/promotions");
+
+const USD = { code: "USD", rate: 1, decimals: 2 };
+const EUR = { code: "EUR", rate: 0.9, decimals: 2 };
+
+// 2 x 19.99 + 1 x 5.00 = 44.98
+const LINES = [
+  { productId: 1, variantId: null, categoryId: 10, quantity: 2, unitCents: 1999 },
+  { productId: 2, variantId: null, categoryId: 20, quantity: 1, unitCents: 500 },
+];
+
+function promotion(fields) {
+  return {
+    code: null,
+    name: "Promotion",
+    value: null,
+    active: true,
+    starts_at: null,
+    ends_at: null,
+    min_order_value: null,
+    usage_limit: null,
+    per_customer_limit: null,
+    product_ids: [],
+    category_ids: [],
+    buy_quantity: null,
+    get_quantity: null,
+    times_redeemed: 0,
+    ...fields,
+  };
+}
+
+// Answers the queries calculateDiscounts makes from `promotions`, the
+// customer's own redemption count and the category tree
+function fakeDb(promotions, { customerRedemptions = 0, subcategories = {} } = {}) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push(sql);
+      if (sql.includes("FOR UPDATE")) {
+        return { rows: [] };
+      }
+      if (sql.includes("FROM promotions")) {
+        return { rows: promotions.filter((p) => p.code === null || p.code === params[0]) };
+      }
+      if (sql.includes("pr.user_id")) {
+        return { rows: [{ count: customerRedemptions }] };
+      }
+      if (sql.includes("WITH RECURSIVE subtree")) {
+        const ids = params[0].flatMap((id) => [id, ...(subcategories[id] || [])]);
+        return { rows: ids.map((id) => ({ id })) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+describe("calculateDiscounts", () => {
+  test("takes a percentage off, rounded to the cent", async () => {
+    const db = fakeDb([promotion({ id: 1, type: "percentage", value: "10.00" })]);
+    const result = await calculateDiscounts(db, { lines: LINES, userId: 1, currency: USD });
+
+    expect(result.subtotal).toBe(44.98);
+    expect(result.discounts).toEqual([
+      { promotionId: 1, code: null, name: "Promotion", type: "percentage", amount: 4.5 }, // 4.498
+    ]);
+    expect(result.discountTotal).toBe(4.5);
+    expect(result.total).toBe(40.48);
+  });
+
+  test("takes a fixed amount off, converted to the cart's currency", async () => {
+    const db = fakeDb([promotion({ id: 1, type: "fixed_amount", value: "5.00" })]);
+
+    const usd = await calculateDiscounts(db, { lines: LINES, userId: 1, currency: USD });
+    expect(usd.discountTotal).toBe(5);
+    expect(usd.total).toBe(39.98);
+
+    const eur = await calculateDiscounts(db, { lines: LINES, userId: 1, currency: EUR });
+    expect(eur.discountTotal).toBe(4.5);
+  });
+
+  test("never takes off more than the cart is worth", async () => {
+    const db = fakeDb([
+      promotion({ id: 1, type: "percentage", value: "50.00" }),
+      promotion({ id: 2, type: "fixed_amount", value: "40.00" }),
+    ]);
+    const result = await calculateDiscounts(db, { lines: LINES, userId: 1, currency: USD });
+
+    expect(result.discounts.map((discount) => discount.amount)).toEqual([22.49, 22.49]);
+    expect(result.total).toBe(0);
+  });
+
+  test("only discounts the products and categories a promotion names", async () => {
+    const db = fakeDb([promotion({ id: 1, type: "percentage", value: "10.00", category_ids: [5] })], {
+      subcategories: { 5: [10] },
+    });
+    const result = await calculateDiscounts(db, { lines: LINES, userId: 1, currency: USD });
+
+    expect(result.discountTotal).toBe(4); // 10% of 2 x 19.99
+  });
+
+  test("gives every buy + get group its cheapest units free", async () => {
+    const db = fakeDb([promotion({ id: 1, type: "buy_x_get_y", buy_quantity: 1, get_quantity: 1 })]);
+    const result = await calculateDiscounts(db, { lines: LINES, userId: 1, currency: USD });
+
+    expect(result.discountTotal).toBe(19.99); // the third unit has no partner
+  });
+
+  test("groups units across lines, most expensive first", async () => {
+    const db = fakeDb([promotion({ id: 1, type: "buy_x_get_y", buy_quantity: 2, get_quantity: 1 })]);
+    const lines = [
+      { productId: 1, variantId: null, categoryId: 10, quantity: 3, unitCents: 500 },
+      { productId: 2, variantId: null, categoryId: 10, quantity: 3, unitCents: 1000 },
+    ];
+    const result = await calculateDiscounts(db, { lines, userId: 1, currency: USD });
+
+    expect(result.discountTotal).toBe(15); // one unit from each group of three
+  });
+
+  test("handles huge quantities without listing every unit", async () => {
+    const db = fakeDb([promotion({ id: 1, type: "buy_x_get_y", buy_quantity: 2, get_quantity: 1 })]);
+    const lines = [
+      { productId: 1, variantId: null, categoryId: 10, quantity: 4, unitCents: 1000 },
+      { productId: 2, variantId: null, categoryId: 10, quantity: 1000000000, unitCents: 100 },
+    ];
+    const result = await calculateDiscounts(db, { lines, userId: 1, currency: USD });
+
+    // One of the 10.00 units, then 333,333,333 of the 1.00 ones
+    expect(result.discountTotal).toBe(333333343);
+  });
+
+  test("applies a coupon alongside automatic promotions", async () => {
+    const db = fakeDb([
+      promotion({ id: 1, type: "percentage", value: "10.00" }),
+      promotion({ id: 2, code: "SAVE5", type: "fixed_amount", value: "5.00" }),
+      promotion({ id: 3, code: "OTHER", type: "fixed_amount", value: "1.00" }),
+    ]);
+    const result = await calculateDiscounts(db, { lines: LINES, userId: 1, code: " save5 ", currency: USD });
+
+    expect(result.discounts.map((discount) => discount.code)).toEqual([null, "SAVE5"]);
+    expect(result.total).toBe(35.48);
+    expect(result.couponError).toBeNull();
+  });
+
+  test("explains why a coupon wasn't applied", async () => {
+    const db = fakeDb([promotion({ id: 1, code: "BIG", type: "fixed_amount", value: "5.00", min_order_value: "50.00" })]);
+
+    const small = await calculateDiscounts(db, { lines: LINES, userId: 1, code: "BIG", currency: USD });
+    expect(small.couponError).toBe("This promotion needs an order of at least 50 USD");
+    expect(small.discounts).toEqual([]);
+
+    const unknown = await calculateDiscounts(db, { lines: LINES, userId: 1, code: "NOPE", currency: USD });
+    expect(unknown.couponError).toBe("Coupon code not found");
+  });
+
+  test("rejects used-up coupons and ones the customer has already used", async () => {
+    const promotions = [
+      promotion({ id: 1, code: "GONE", type: "fixed_amount", value: "5.00", usage_limit: 3, times_redeemed: 3 }),
+      promotion({ id: 2, code: "ONCE", type: "fixed_amount", value: "5.00", per_customer_limit: 1 }),
+    ];
+
+    const gone = await calculateDiscounts(fakeDb(promotions), { lines: LINES, userId: 1, code: "GONE", currency: USD });
+    expect(gone.couponError).toBe("This promotion has been used up");
+
+    const once = await calculateDiscounts(fakeDb(promotions, { customerRedemptions: 1 }), {
+      lines: LINES,
+      userId: 1,
+      code: "ONCE",
+      currency: USD,
+    });
+    expect(once.couponError).toBe("You have already used this promotion");
+    expect(once.total).toBe(44.98);
+  });
+
+  test("marks free shipping without discounting the items", async () => {
+    const db = fakeDb([promotion({ id: 1, type: "free_shipping" })]);
+    const result = await calculateDiscounts(db, { lines: LINES, userId: 1, currency: USD });
+
+    expect(result.freeShipping).toBe(true);
+    expect(result.discountTotal).toBe(0);
+    expect(result.discounts).toHaveLength(1);
+  });
+
+  test("locks the promotions before counting redemptions when asked to", async () => {
+    const db = fakeDb([promotion({ id: 1, type: "percentage", value: "10.00" })]);
+    await calculateDiscounts(db, { lines: LINES, userId: 1, currency: USD, lock: true });
+
+    expect(db.queries[0]).toContain("FOR UPDATE");
+    expect(db.queries[1]).toContain("times_redeemed");
+    expect(db.queries[1]).not.toContain("FOR UPDATE");
+  });
+});
@@ -0,0 +1,88 @@
+const { sendStockNotifications } = require("../Services/stockNotifications");
+
+// Answers the queries sendStockNotifications makes for one product with
+// `available` units free, its waiting subscribers and no low-stock threshold
+function fakePool({ available = 3, subscribers = [] } = {}) {
+  const statements = [];
+  const notified = [];
+  const query = async (sql, params) => {
+    statements.push(sql);
+    if (sql.includes("AS available FROM products")) {
+      return { rows: [{ name: "Lamp", sku: null, available }] };
+    }
+    if (sql.startsWith("SELECT id FROM back_in_stock_subscriptions")) {
+      return { rows: subscribers.map((subscriber) => ({ id: subscriber.id })) };
+    }
+    if (sql.includes("FOR UPDATE OF s SKIP LOCKED")) {
+      const subscriber = subscribers.find((candidate) => candidate.id === params[0]);
+      return { rows: [{ email: subscriber.email }] };
+    }
+    if (sql.startsWith("UPDATE back_in_stock_subscriptions")) {
+      notified.push(params[0]);
+      return { rows: [] };
+    }
+    if (sql.includes("low_stock_threshold AS threshold")) {
+      return { rows: [{ name: "Lamp", sku: null, stock: 10, threshold: null }] };
+    }
+    if (["BEGIN", "COMMIT", "ROLLBACK"].includes(sql) || sql.startsWith("DELETE FROM low_stock_alerts")) {
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { statements, notified, query, connect: async () => ({ query, release() {} }) };
+}
+
+describe("sendStockNotifications", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("tells waiting subscribers once a product can be bought again", async () => {
+    const pool = fakePool({ subscribers: [{ id: 1, email: "a@example.com" }, { id: 2, email: "b@example.com" }] });
+    const notifier = { send: jest.fn(async () => {}) };
+
+    await sendStockNotifications(pool, notifier, [{ productId: 5 }, { productId: 5 }]);
+
+    expect(notifier.send.mock.calls.map(([notification]) => notification.to)).toEqual(["a@example.com", "b@example.com"]);
+    expect(notifier.send.mock.calls[0][0]).toMatchObject({ event: "back_in_stock", subject: "Lamp is back in stock" });
+    expect(pool.notified).toEqual([1, 2]);
+  });
+
+  test("leaves a subscription waiting when its message can't be sent", async () => {
+    const pool = fakePool({ subscribers: [{ id: 1, email: "a@example.com" }, { id: 2, email: "b@example.com" }] });
+    const notifier = {
+      send: jest.fn(async ({ to }) => {
+        if (to === "a@example.com") {
+          throw new Error("SMTP down");
+        }
+      }),
+    };
+
+    await sendStockNotifications(pool, notifier, [{ productId: 5 }]);
+
+    expect(pool.notified).toEqual([2]);
+    expect(pool.statements).toContain("ROLLBACK");
+  });
+
+  test("doesn't notify anyone while nothing is free", async () => {
+    const pool = fakePool({ available: 0, subscribers: [{ id: 1, email: "a@example.com" }] });
+    const notifier = { send: jest.fn(async () => {}) };
+
+    await sendStockNotifications(pool, notifier, [{ productId: 5 }]);
+
+    expect(notifier.send).not.toHaveBeenCalled();
+  });
+
+  test("never rejects, so callers can't mistake a committed change for a failed one", async () => {
+    const failing = { query: async () => Promise.reject(new Error("connection lost")) };
+    const notifier = { send: jest.fn(async () => {}) };
+
+    await expect(sendStockNotifications(failing, notifier, [{ productId: 5 }])).resolves.toBeUndefined();
+    await expect(sendStockNotifications(failing, notifier, null)).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,120 @@
+const { reserveStock, releaseReservations, startReservationSweep } = require("../Services/stockReservations");
+
+const EXPIRES_AT = new Date("2026-10-19T12:15:00Z");
+
+// Answers reserveStock's queries from the stock of product 1 (or variant 7)
+// and the units other carts hold, recording the holds it writes
+function fakeDb({ stock = 5, heldByOthers = 0 } = {}) {
+  const holds = [];
+  return {
+    holds,
+    async query(sql, params) {
+      if (sql.startsWith("SELECT stock")) {
+        return { rows: [{ stock }] };
+      }
+      if (sql.includes("FROM stock_reservations")) {
+        return { rows: heldByOthers ? [{ product_id: 1, variant_id: null, quantity: heldByOthers }] : [] };
+      }
+      if (sql.startsWith("INSERT INTO stock_reservations")) {
+        holds.push(params);
+        return { rows: [{ expires_at: EXPIRES_AT }] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+describe("reserveStock", () => {
+  test("holds the line's units for fifteen minutes", async () => {
+    const db = fakeDb();
+
+    expect(await reserveStock(db, 3, { productId: 1, quantity: 5 })).toEqual({ expiresAt: EXPIRES_AT });
+    expect(db.holds).toEqual([[3, 1, null, 5, 15]]);
+  });
+
+  test("only counts units other carts haven't already held", async () => {
+    const db = fakeDb({ stock: 5, heldByOthers: 3 });
+
+    expect(await reserveStock(db, 3, { productId: 1, quantity: 3 })).toEqual({
+      status: 409,
+      error: "Only 2 of this item available",
+      available: 2,
+    });
+    expect(await reserveStock(db, 3, { productId: 1, quantity: 2 })).toEqual({ expiresAt: EXPIRES_AT });
+  });
+
+  test("calls a line out of stock when nothing is free", async () => {
+    const db = fakeDb({ stock: 4, heldByOthers: 6 });
+
+    expect(await reserveStock(db, 3, { productId: 1, quantity: 1 })).toEqual({
+      status: 409,
+      error: "This item is out of stock",
+      available: 0,
+    });
+    expect(db.holds).toEqual([]);
+  });
+});
+
+describe("releaseReservations", () => {
+  // Records the statement and parameters, answering with the released lines
+  function releasingDb(released) {
+    const calls = [];
+    return {
+      calls,
+      async query(sql, params) {
+        calls.push({ sql, params });
+        return { rows: released };
+      },
+    };
+  }
+
+  test("releases every hold, a product's or one variant's and returns the lines", async () => {
+    const db = releasingDb([{ productId: 1, variantId: null }]);
+
+    expect(await releaseReservations(db, 3)).toEqual([{ productId: 1, variantId: null }]);
+    await releaseReservations(db, 3, { productId: 1 });
+    await releaseReservations(db, 3, { productId: 1, variantId: 7 });
+
+    expect(db.calls.map((call) => call.params)).toEqual([[3], [3, 1], [3, 1, 7]]);
+    expect(db.calls[2].sql).toContain("variant_id = $3");
+    expect(db.calls.every((call) => call.sql.includes('RETURNING product_id AS "productId"'))).toBe(true);
+  });
+});
+
+describe("startReservationSweep", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("releases expired holds every interval and passes on what it freed", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const released = [[{ productId: 1, variantId: null }], []];
+    const db = { query: jest.fn(async () => ({ rows: released.shift() })) };
+    const onReleased = jest.fn(async () => {});
+
+    const timer = startReservationSweep(db, onReleased, 1000);
+    await jest.advanceTimersByTimeAsync(2000);
+    clearInterval(timer);
+
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(db.query.mock.calls[0][0]).toContain("WHERE expires_at <= NOW()");
+    expect(onReleased.mock.calls).toEqual([[[{ productId: 1, variantId: null }]]]);
+  });
+
+  test("logs failures and keeps sweeping", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const db = { query: jest.fn(async () => Promise.reject(new Error("connection lost"))) };
+
+    const timer = startReservationSweep(db, async () => {}, 1000);
+    await jest.advanceTimersByTimeAsync(2000);
+    clearInterval(timer);
+
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledTimes(2);
+  });
+});